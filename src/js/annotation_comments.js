@@ -5,6 +5,21 @@
 
 const { addClass, removeClass, offset, width, height, qs, qsa, remove } = require('./lib/dom');
 const { EventManager } = require('./lib/events');
+const Logger = require('./lib/logger');
+const StorageAdapter = require('./lib/storage/storage_adapter');
+const RestAdapter = require('./lib/storage/rest_adapter');
+const LocalStorageAdapter = require('./lib/storage/local_storage_adapter');
+const ProtocolClient = require('./lib/storage/protocol_client');
+const Collaboration = require('./components/collaboration');
+const Transport = require('./lib/sync/transport');
+const LocalTransport = require('./lib/sync/local_transport');
+const BroadcastChannelTransport = require('./lib/sync/broadcast_channel_transport');
+const WebSocketTransport = require('./lib/sync/websocket_transport');
+const AnnotationDocument = require('./lib/crdt/annotation_document');
+const DocumentBinding = require('./components/document_binding');
+const Formats = require('./lib/formats');
+const Timecode = require('./lib/timecode');
+const Permissions = require('./lib/permissions');
 
 module.exports = videojs => {
   const Plugin = videojs.getPlugin('plugin');
@@ -15,6 +30,8 @@ module.exports = videojs => {
 
   const DEFAULT_OPTIONS = Object.freeze({
     bindArrowKeys: true,
+    skipResolved: false,
+    keyBindings: null,
     meta: { user_id: null, user_name: null },
     annotationsObjects: [],
     showControls: true,
@@ -24,13 +41,22 @@ module.exports = videojs => {
     internalCommenting: true,
     startInAnnotationMode: false,
     frameRate: null,
+    timecode: false,
+    dropFrame: null,
+    startTimecode: null,
     allowEdit: true,
     allowDelete: true,
     allowAdd: true,
     restrictEditToOwner: false,
     restrictDeleteToOwner: false,
+    permissionPolicy: null,
+    markdown: false,
+    userDirectory: null,
     videoSrc: null,
-    idPrefix: ''
+    idPrefix: '',
+    storage: null,
+    collaboration: null,
+    document: null
   });
 
   return class AnnotationComments extends Plugin {
@@ -45,6 +71,14 @@ module.exports = videojs => {
       this.player = player;
       this.meta = options.meta;
       this.options = options;
+      this.storage = null;
+      if (options.storage) {
+        if (StorageAdapter.isAdapter(options.storage)) {
+          this.storage = options.storage;
+        } else {
+          Logger.error('storage option ignored: it does not implement the storage adapter interface');
+        }
+      }
 
       this._readyCallbacks = [];
 
@@ -62,6 +96,133 @@ module.exports = videojs => {
       }
     }
 
+    // Storage sync status of an annotation or comment: 'pending' (being saved), 'confirmed', or 'failed' (the
+    // change was rolled back). Null if there is no annotation or comment with the ID
+    syncStatus(id) {
+      return this.annotationState ? this.annotationState.syncStatus(id) : null;
+    }
+
+    // Can the current user do an action (see lib/permissions) to an annotation, or one of its comments?
+    can(action, annotation = null, comment = null) {
+      return Permissions.allowed(this.options, this.meta, action, annotation, comment);
+    }
+
+    // Check an action the user asked for, firing permissionDenied if they can't do it
+    authorize(action, annotation = null, comment = null) {
+      if (this.can(action, annotation, comment)) return true;
+      this.fire('permissionDenied', {
+        action,
+        annotationId: annotation ? annotation.id : null,
+        commentId: comment ? comment.id : null
+      });
+      return false;
+    }
+
+    // The annotations as a file in a format: 'webvtt', 'csv', 'srt', 'edl' or 'markers' (see lib/formats)
+    // options are passed to the format, with the frameRate, dropFrame and startTimecode options by default
+    exportAnnotations(format, options = {}) {
+      const annotations = this.annotationState ? this.annotationState._internalData : [];
+      return Formats.getFormat(format, 'export').export(annotations, { ...this.timecodeOptions, ...options });
+    }
+
+    // Replace the annotations with those in a file in a format ('webvtt', 'csv', 'edl' or 'markers'), returning
+    // them. Throws if the file isn't in the format
+    importAnnotations(format, text, options = {}) {
+      const annotations = Formats.getFormat(format, 'import').import(text, { ...this.timecodeOptions, ...options });
+      this.annotationState.setAnnotationsFromData(Utils.cloneDeep(annotations));
+      return annotations;
+    }
+
+    // The timecode settings (see lib/timecode) from the options
+    get timecodeOptions() {
+      const { frameRate, dropFrame, startTimecode } = this.options;
+      return { frameRate, dropFrame, startTimecode };
+    }
+
+    // The annotations as a WebVTT file (see lib/formats/webvtt)
+    exportWebVTT() {
+      return this.exportAnnotations('webvtt');
+    }
+
+    // Replace the annotations with those in a WebVTT file, returning them. Throws if it isn't a WebVTT file
+    // options: { textTrack } - also add them as cues to a new native text track: true, or { kind, label, language }
+    importWebVTT(text, options = {}) {
+      const annotations = this.importAnnotations('webvtt', text);
+      if (options.textTrack) {
+        Formats.WebVTT.fillTextTrack(this.player, annotations, options.textTrack === true ? {} : options.textTrack);
+      }
+      return annotations;
+    }
+
+    // The parts of the annotations last loaded (W3C data) that couldn't be imported: [{ id, message, skipped }]
+    // Annotations are first loaded before the plugin is ready, so importIssues events for them can't be heard
+    get importIssues() {
+      return this.annotationState ? this.annotationState.importIssues : [];
+    }
+
+    // Whether there is a change to undo/redo: to the range/shape while adding or editing, else to the annotations
+    get canUndo() {
+      return this.controls ? this.controls.canUndo : false;
+    }
+
+    get canRedo() {
+      return this.controls ? this.controls.canRedo : false;
+    }
+
+    // Storage adapter classes, for use when setting the storage option
+    static get StorageAdapter() {
+      return StorageAdapter;
+    }
+
+    static get RestAdapter() {
+      return RestAdapter;
+    }
+
+    static get LocalStorageAdapter() {
+      return LocalStorageAdapter;
+    }
+
+    static get ProtocolClient() {
+      return ProtocolClient;
+    }
+
+    // Collaboration transport classes, for use when setting the collaboration option
+    static get Transport() {
+      return Transport;
+    }
+
+    static get LocalTransport() {
+      return LocalTransport;
+    }
+
+    static get BroadcastChannelTransport() {
+      return BroadcastChannelTransport;
+    }
+
+    static get WebSocketTransport() {
+      return WebSocketTransport;
+    }
+
+    // WebVTT conversion functions, for converting annotations without a player: { toWebVTT, fromWebVTT, fillTextTrack }
+    static get WebVTT() {
+      return Formats.WebVTT;
+    }
+
+    // Conversion functions for all export/import formats: { FORMATS, WebVTT, CSV, SRT, Markers }
+    static get Formats() {
+      return Formats;
+    }
+
+    // SMPTE timecode conversion functions (see lib/timecode)
+    static get Timecode() {
+      return Timecode;
+    }
+
+    // Replicated annotation document class, for use when setting the document option
+    static get AnnotationDocument() {
+      return AnnotationDocument;
+    }
+
     // Video source URI for W3C annotation target
     get videoSrc() {
       if (this.options.videoSrc) return this.options.videoSrc;
@@ -76,13 +237,57 @@ module.exports = videojs => {
       this.annotationState.annotations = this.options.annotationsObjects;
 
       this.controls = new Controls(this.player, this.options.bindArrowKeys);
+      this.buildLiveRegion();
       this.bindEvents();
       this.setBounds(false);
       if (this.options.startInAnnotationMode) this.toggleAnnotationMode();
+      this.startDocument();
+      if (this.storage) this.loadFromStorage();
+      this.startCollaboration();
 
       this.pluginReady();
     }
 
+    // Connect to other users' players if the collaboration option is set: { transport, user }
+    startCollaboration() {
+      const { collaboration } = this.options;
+      if (!collaboration) return;
+      if (!Transport.isTransport(collaboration.transport)) {
+        Logger.error('collaboration option ignored: it needs a transport implementing send, onMessage and close');
+        return;
+      }
+      this.collaboration = new Collaboration(this.player, collaboration);
+    }
+
+    // Keep annotations in an AnnotationDocument if the document option is set (an AnnotationDocument, or true
+    // for a new one), available as plugin.document
+    startDocument() {
+      const { document: doc } = this.options;
+      if (!doc) return;
+      this.document = doc instanceof AnnotationDocument ? doc : new AnnotationDocument();
+      this.documentBinding = new DocumentBinding(this.player, this.document);
+    }
+
+    // Other users connected through the collaboration transport, and the annotation each has open
+    // [{ clientId, user: { id, name }, annotationId }]
+    get presence() {
+      return this.collaboration ? this.collaboration.presence : [];
+    }
+
+    // Load annotations from the storage adapter, replacing any given as annotationsObjects
+    loadFromStorage() {
+      return this.storage
+        .load()
+        .then(annotations => {
+          if (!this.annotationState) return;
+          this.annotationState.setAnnotationsFromData(annotations || []);
+          this.fire('storageLoaded', { annotations: this.annotationState.data });
+        })
+        .catch(error => {
+          this.fire('storageError', { operation: 'load', error });
+        });
+    }
+
     // Bind needed events for interaction w/ components
     bindEvents() {
       // Set player boundaries on window size change or fullscreen change
@@ -118,6 +323,32 @@ module.exports = videojs => {
       this.eventDispatcher.registerListener(type, callback, false);
     }
 
+    // The active keyboard shortcuts, e.g. for a help overlay: [{ action, keys, labels, description }]
+    get keyBindings() {
+      return this.controls ? this.controls.keyBindings : [];
+    }
+
+    // Visually hidden element whose text changes are read out by screen readers
+    buildLiveRegion() {
+      this.liveRegionEl = document.createElement('div');
+      this.liveRegionEl.className = 'vac-live-region vac-sr-only';
+      this.liveRegionEl.setAttribute('role', 'status');
+      this.liveRegionEl.setAttribute('aria-live', 'polite');
+      this.liveRegionEl.setAttribute('aria-atomic', 'true');
+      this.player.el().appendChild(this.liveRegionEl);
+    }
+
+    // Announce a message to screen reader users (e.g. an annotation reached during playback)
+    announce(message) {
+      if (!this.liveRegionEl) return;
+      // Clear first so the same message is read again if repeated
+      this.liveRegionEl.textContent = '';
+      clearTimeout(this.announceTimeout);
+      this.announceTimeout = setTimeout(() => {
+        if (this.liveRegionEl) this.liveRegionEl.textContent = message;
+      }, 100);
+    }
+
     // Toggle annotations mode on/off
     toggleAnnotationMode() {
       this.active = !this.active;
@@ -132,6 +363,7 @@ module.exports = videojs => {
 
       // Handle control component UI if showControls: true
       if (this.options.showControls) {
+        if (this.controls.playerButton) this.controls.playerButton.setPressed(this.active);
         if (!this.active) {
           this.controls.clear(true);
         } else {
@@ -175,6 +407,8 @@ module.exports = videojs => {
 
     // Teardown all components, remove all listeners, and remove elements from DOM
     dispose() {
+      if (this.collaboration) this.collaboration = this.collaboration.teardown();
+      if (this.documentBinding) this.documentBinding = this.documentBinding.teardown();
       this.controls = this.controls.teardown();
       this.annotationState = this.annotationState.teardown();
       this.eventDispatcher = this.eventDispatcher.teardown();
@@ -189,6 +423,8 @@ module.exports = videojs => {
     }
 
     teardown() {
+      clearTimeout(this.announceTimeout);
+      this.liveRegionEl = null;
       if (this.player) this.player.off('fullscreenchange');
       this.eventManager.off(window, 'resize.vac-window-resize');
       this.eventManager.offAll();
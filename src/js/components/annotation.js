@@ -8,8 +8,15 @@ const CommentList = require('./comment_list');
 const Marker = require('./marker');
 const Comment = require('./comment');
 const Shape = require('./shape');
+const Shapes = require('../lib/shapes');
+const Mentions = require('../lib/mentions');
+const Statuses = require('../lib/statuses');
 const { sharedManager: eventManager } = require('../lib/events');
 const { toW3C } = require('../lib/w3c');
+const { addClass, removeClass, qs, remove, setText } = require('../lib/dom');
+
+// Storage sync states: a change is being saved, was saved (or there's no storage), or failed and was rolled back
+const SYNC_STATUSES = ['pending', 'confirmed', 'failed'];
 
 module.exports = class Annotation extends PlayerUIComponent {
   constructor(data, player) {
@@ -17,8 +24,12 @@ module.exports = class Annotation extends PlayerUIComponent {
     this.id = data.id || this.componentId;
     this.range = data.range;
     this.shape = data.shape;
+    this.keyframes = data.keyframes || null; // Optional [{ time, shape }] for shapes that move over time
     this.markerClass = data.markerClass || null;
     this.annotationType = data.annotationType || 'default';
+    this.initialStatus = Statuses.isStatus(data.status) ? data.status : 'open'; // Status before any status entries
+    this.syncStatus = 'confirmed';
+    this.viewers = []; // Other users who have this annotation open: [{ clientId, user: { id, name } }]
     this.secondsActive = this.buildSecondsActiveArray();
     this.buildComments(data);
     this.buildMarker();
@@ -35,15 +46,170 @@ module.exports = class Annotation extends PlayerUIComponent {
   buildMarker() {
     this.marker = new Marker(this.player, this.range, this.commentList.comments[0], this.markerClass, this.annotationType);
     this.marker.render();
+    this.renderSyncStatus();
+    this.renderStatus();
+    this.renderViewers();
+  }
+
+  // Show the first comment again in the marker (after it was edited), keeping the marker's state
+  refreshMarker() {
+    if (!this.marker || !this.marker.el) return;
+    const { className } = this.marker.el;
+    const { display } = this.marker.el.style;
+    this.marker.render();
+    this.marker.el.className = className;
+    this.marker.el.style.display = display;
+    this.renderViewers();
+    this.bindEvents();
+  }
+
+  // Set the other users who have this annotation open
+  setViewers(viewers) {
+    this.viewers = viewers;
+    this.renderViewers();
+  }
+
+  // Show who else has the annotation open: their initials on the marker, their names in the comment list
+  renderViewers() {
+    const names = this.viewers.map(viewer => (viewer.user && viewer.user.name) || 'Anonymous');
+    const markerEl = this.marker && this.marker.el;
+    if (markerEl) {
+      const existing = qs(markerEl, '.vac-marker-viewers');
+      if (existing) remove(existing);
+      if (names.length) {
+        const badge = document.createElement('span');
+        badge.className = 'vac-marker-viewers';
+        badge.title = names.join(', ');
+        badge.setAttribute('aria-hidden', 'true');
+        badge.textContent = names.map(Utils.initials).join(' ');
+        markerEl.appendChild(badge);
+        addClass(markerEl, 'vac-has-viewers');
+      } else {
+        removeClass(markerEl, 'vac-has-viewers');
+      }
+    }
+    const viewersEl = this.commentList && this.commentList.el && qs(this.commentList.el, '.vac-viewers');
+    if (viewersEl) setText(viewersEl, names.length ? `Also viewing: ${names.join(', ')}` : '');
+  }
+
+  // Change the id (e.g. to the one storage assigned)
+  setId(id) {
+    this.id = id;
+  }
+
+  // Mark the annotation as discarded (it failed to save), so changes queued after it aren't sent
+  setDiscarded(discarded) {
+    this.discarded = discarded;
+  }
+
+  // Set the storage sync status (see SYNC_STATUSES)
+  setSyncStatus(status) {
+    this.syncStatus = status;
+    this.renderSyncStatus();
+  }
+
+  // Show the sync status as a class on the marker and comment list
+  renderSyncStatus() {
+    [this.marker && this.marker.el, this.commentList && this.commentList.el].forEach(el => {
+      if (!el) return;
+      SYNC_STATUSES.forEach(status => removeClass(el, `vac-sync-${status}`));
+      addClass(el, `vac-sync-${this.syncStatus}`);
+    });
+  }
+
+  // The review status (see lib/statuses): the status of the latest status entry in the thread, if there is one
+  get status() {
+    const entries = this.commentList.comments.filter(comment => comment.status);
+    return entries.length ? entries[entries.length - 1].status : this.initialStatus;
+  }
+
+  // Is the annotation resolved (or won't be fixed)?
+  get isResolved() {
+    return Statuses.isClosed(this.status);
+  }
+
+  // Show the status as a class on the marker and comment list, firing annotationStatusChanged when it changed
+  renderStatus() {
+    const { status } = this;
+    [this.marker && this.marker.el, this.commentList && this.commentList.el].forEach(el => {
+      if (!el) return;
+      Statuses.STATUSES.forEach(s => removeClass(el, `vac-status-${s}`));
+      addClass(el, `vac-status-${status}`);
+    });
+    if (this.commentList) this.commentList.renderStatusBar();
+    const previousStatus = this.renderedStatus;
+    this.renderedStatus = status;
+    if (previousStatus && previousStatus !== status) {
+      this.plugin.fire('annotationStatusChanged', { id: this.id, status, previousStatus });
+    }
+  }
+
+  // Copies of the range, shape and keyframes, e.g. to restore them if saving an edit fails
+  get geometry() {
+    return {
+      range: Utils.cloneObject(this.range),
+      shape: Utils.cloneDeep(this.shape),
+      keyframes: Utils.cloneDeep(this.keyframes)
+    };
+  }
+
+  // Replace the range, shape and keyframes, rebuilding the marker
+  setGeometry({ range, shape, keyframes }) {
+    if (this.isOpen) this.close(true);
+    this.range = range;
+    this.shape = shape;
+    this.keyframes = keyframes || null;
+    this.secondsActive = this.buildSecondsActiveArray();
+    this.marker.teardown();
+    this.buildMarker();
+    this.bindEvents();
   }
 
   buildShape() {
-    this.annotationShape = new Shape(this.player, this.shape);
+    this.annotationShape = new Shape(this.player, this.shapeAtTime(this.range.start));
+  }
+
+  // Does this annotation have a shape (static or keyframed)?
+  get hasShape() {
+    return !!(this.shape || this.keyframes);
+  }
+
+  // Get the shape to display at a time (in seconds), interpolating between keyframes if there are any
+  shapeAtTime(time) {
+    if (this.keyframes) return Shapes.shapeAtTime(this.keyframes, time);
+    return this.shape;
+  }
+
+  // Move the displayed shape to its position for a time (in seconds), while the annotation is open
+  updateShapeForTime(time) {
+    if (!this.keyframes || !this.isOpen || !this.annotationShape.el) return;
+    const shape = this.shapeAtTime(time);
+    const layoutChanged = !Shapes.sameLayout(shape, this.annotationShape.shape);
+    this.annotationShape.shape = shape;
+    if (layoutChanged) {
+      eventManager.off(this.annotationShape.el, 'click.vac-annotation');
+      this.annotationShape.render();
+      this.bindShapeEvents();
+    } else {
+      this.annotationShape.setDimsFromShape();
+    }
   }
 
   // Serialize as W3C Web Annotation
   get data() {
-    return toW3C(this._internalData, this.plugin.videoSrc, this.plugin.options.idPrefix);
+    return toW3C(this._internalData, this.plugin.videoSrc, this.plugin.options.idPrefix, this.plugin.options);
+  }
+
+  // W3C id (the id with the idPrefix), as used by storage adapters
+  get w3cId() {
+    return `${this.plugin.options.idPrefix || ''}${this.id}`;
+  }
+
+  // W3C annotation for the root comment alone, as stored by storage adapters (replies are stored separately)
+  get rootData() {
+    const { data } = this;
+    delete data._replies;
+    return data;
   }
 
   // Internal data for non-API use (sorting, time map, etc.)
@@ -52,17 +218,26 @@ module.exports = class Annotation extends PlayerUIComponent {
       id: this.id,
       range: this.range,
       shape: this.shape,
+      ...(this.keyframes ? { keyframes: this.keyframes } : {}),
       markerClass: this.markerClass,
       annotationType: this.annotationType,
+      ...(this.status !== 'open' ? { status: this.status } : {}),
       comments: this.commentList._internalData
     };
   }
 
   bindEvents() {
     eventManager.off(this.marker.el, 'click.vac-marker');
+    eventManager.off(this.marker.el, 'keydown.vac-marker');
     eventManager.on(this.marker.el, 'click.vac-marker', e =>
       this.plugin.annotationState.openAnnotation(this, true)
     );
+    // Markers are focusable buttons, so Enter/Space opens them like a click
+    eventManager.on(this.marker.el, 'keydown.vac-marker', e => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      this.plugin.annotationState.openAnnotation(this, true);
+    });
   }
 
   // Opens the annotation. Handles marker, commentList, shape, Annotation state, and player state
@@ -75,17 +250,16 @@ module.exports = class Annotation extends PlayerUIComponent {
     const showTooltip = previewOnly && this.plugin.options.showMarkerShapeAndTooltips;
     this.marker.setActive(showTooltip);
     if (!previewOnly && this.plugin.options.showCommentList) {
-      this.commentList.render();
+      // Only move focus into the comments when the user is working in the player (not for API calls from the page)
+      this.commentList.render(this.player.el().contains(document.activeElement));
     }
+    // Annotations reached during playback aren't focused, so announce them to screen readers instead
+    if (previewOnly) this.plugin.announce(this.announcement);
 
     if (!previewOnly || (previewOnly && this.plugin.options.showMarkerShapeAndTooltips)) {
+      this.annotationShape.shape = this.shapeAtTime(snapToStart ? this.range.start : this.currentTime);
       this.annotationShape.render();
-
-      if (this.shape) {
-        eventManager.on(this.annotationShape.el, 'click.vac-annotation', () => {
-          this.plugin.annotationState.openAnnotation(this, false, false, false);
-        });
-      }
+      this.bindShapeEvents();
     }
 
     if (withPause) this.player.pause();
@@ -97,6 +271,22 @@ module.exports = class Annotation extends PlayerUIComponent {
     });
   }
 
+  // Short description of the annotation for screen readers
+  get announcement() {
+    const time = Utils.humanRange(this.range, this.plugin.options);
+    const first = this.commentList.comments[0];
+    return `Annotation at ${time}${first ? `: ${Mentions.toPlainText(first.body)}` : ''}`;
+  }
+
+  // Open the annotation when its shape is clicked
+  bindShapeEvents() {
+    if (!this.hasShape || !this.annotationShape.el) return;
+    eventManager.off(this.annotationShape.el, 'click.vac-annotation');
+    eventManager.on(this.annotationShape.el, 'click.vac-annotation', () => {
+      this.plugin.annotationState.openAnnotation(this, false, false, false);
+    });
+  }
+
   // Closes the annotation. Handles marker, commendList, shape, and AnnotationState
   close(clearActive = true) {
     if (!this.isOpen) return;
@@ -134,25 +324,68 @@ module.exports = class Annotation extends PlayerUIComponent {
   }
 
   // Tearsdown annotation and marker, removes object from AnnotationState
-  teardown(removeFromCollection = true) {
+  // persist: false removes it without deleting it from storage (e.g. rolling back a failed create)
+  teardown(removeFromCollection = true, persist = true) {
+    // Keep the data so the annotation can be restored if deleting it from storage fails
+    if (removeFromCollection) this.removedData = this._internalData;
     this.close(true);
     this.marker.teardown();
     if (this.commentList) this.commentList.teardown(removeFromCollection);
-    if (removeFromCollection) this.plugin.annotationState.removeAnnotation(this);
+    if (removeFromCollection) this.plugin.annotationState.removeAnnotation(this, persist);
     if (this.annotationShape) this.annotationShape.teardown();
     if (removeFromCollection) super.teardown();
   }
 
+  // Undo/redo of replies: the comment list is rebuilt when the annotation is restored, so replies are found by id,
+  // and nothing happens if the annotation was deleted since
+  deleteReply(comment) {
+    if (this.plugin.annotationState.annotations.indexOf(this) === -1) return;
+    const current = this.commentList.comments.find(c => c === comment || c.id === comment.id);
+    if (current && this.commentList.comments.length > 1) this.commentList.deleteComment(current);
+  }
+
+  reinstateReply(data) {
+    if (this.plugin.annotationState.annotations.indexOf(this) === -1) return;
+    this.commentList.reinstateComment(data);
+  }
+
+  // Set a comment's text and meta back (or again) from internal data, saving the change (undoing an edit)
+  editComment(data) {
+    if (this.plugin.annotationState.annotations.indexOf(this) === -1) return;
+    const comment = this.commentList.comments.find(c => c.id === data.id);
+    if (comment) this.commentList.editComment(comment, data.body, Utils.cloneDeep(data.meta), false);
+  }
+
+  // Rebuild a removed annotation from the data it had when it was removed
+  restore() {
+    if (!this.removedData) return;
+    this.buildComments(this.removedData);
+    this.buildMarker();
+    this.buildShape();
+    this.bindEvents();
+    this.removedData = null;
+  }
+
   // Build a new annotation instance by passing in data for range, shape, comment, & plugin ref
-  static newFromData(range, shape, commentStr, plugin, id = null, markerClass = null, annotationType = null) {
+  static newFromData(
+    range,
+    shape,
+    commentStr,
+    plugin,
+    id = null,
+    markerClass = null,
+    annotationType = null,
+    keyframes = null
+  ) {
     const comment = Comment.dataObj(commentStr, plugin);
     const asFloat = !!plugin.options.frameRate;
     if (range) range = Utils.parseIntObj(range, asFloat);
-    if (shape) shape = Utils.parseIntObj(shape);
+    if (shape) shape = Shapes.validate(shape);
     const data = {
       id,
       range,
       shape,
+      keyframes,
       markerClass,
       annotationType,
       comments: [comment]
@@ -1,18 +1,36 @@
 /*
     Component for managing the state of annotations, including showing active annotation during playback,
     toggling active states for annotations, navigating annotations forward/back, etc
+    When a storage adapter is configured (see lib/storage), changes are also sent to it
+    Local changes (add/edit/delete annotation, add/delete reply) are recorded so they can be undone and redone
 */
 
 const Utils = require('./../lib/utils');
+const Logger = require('../lib/logger');
+const Shapes = require('../lib/shapes');
 const PlayerComponent = require('./../lib/player_component');
 const Annotation = require('./annotation');
-const { sharedManager: eventManager } = require('../lib/events');
-const { isW3CFormat, fromW3CCollection, fromW3C, toW3CCollection } = require('../lib/w3c');
+const UndoHistory = require('../lib/undo_history');
+const { isW3CFormat, fromW3CCollection, fromW3C, toW3CCollection, stripIdPrefix } = require('../lib/w3c');
+
+// Copy of internal annotation data, validated/sanitized
+const validateData = data => {
+  const valid = { ...data };
+  if (valid.range) valid.range = Utils.validateRange(valid.range);
+  if (valid.shape) valid.shape = Utils.validateShape(valid.shape);
+  if (valid.keyframes) valid.keyframes = Shapes.validateKeyframes(valid.keyframes);
+  if (valid.markerClass) valid.markerClass = Utils.sanitizeCSSClassName(valid.markerClass);
+  if (valid.annotationType) valid.annotationType = Utils.sanitizeCSSClassName(valid.annotationType);
+  return valid;
+};
 
 module.exports = class AnnotationState extends PlayerComponent {
   constructor(player) {
     super(player);
     this.initAPI(this, 'AnnotationState');
+    this.storageQueues = new WeakMap(); // annotation -> Promise of its last change sent to storage
+    // Controls reports changes to the history, as it decides whether undo applies to these or to an edit in progress
+    this.history = new UndoHistory({ onChange: () => this.plugin.controls && this.plugin.controls.historyChanged() });
     this.resetData();
     this.bindEvents();
   }
@@ -33,17 +51,17 @@ module.exports = class AnnotationState extends PlayerComponent {
 
   // Sets _annotations w/Annoation objects from input array
   set annotations(annotationsData) {
-    // Auto-detect W3C format and convert
+    // Auto-detect W3C format and convert, keeping what couldn't be imported as importIssues
+    this.importIssues = [];
     if (annotationsData.length && isW3CFormat(annotationsData[0])) {
-      annotationsData = fromW3CCollection(annotationsData);
+      annotationsData = fromW3CCollection(
+        annotationsData,
+        this.plugin.options.idPrefix,
+        this.w3cOptions(this.importIssues)
+      );
+      this.reportImportIssues(this.importIssues);
     }
-    this._annotations = annotationsData.map(a => {
-      if (a.range) a.range = Utils.validateRange(a.range);
-      if (a.shape) a.shape = Utils.validateShape(a.shape);
-      if (a.markerClass) a.markerClass = Utils.sanitizeCSSClassName(a.markerClass);
-      if (a.annotationType) a.annotationType = Utils.sanitizeCSSClassName(a.annotationType);
-      return new Annotation(a, this.player);
-    });
+    this._annotations = annotationsData.map(a => new Annotation(validateData(a), this.player));
     this.sortAnnotations();
     this.rebuildAnnotationTimeMap();
   }
@@ -52,6 +70,20 @@ module.exports = class AnnotationState extends PlayerComponent {
     return this._annotations;
   }
 
+  // Options for reading W3C data: the video size for pixel regions, collecting what can't be imported in issues
+  w3cOptions(issues) {
+    const size = name => (typeof this.player[name] === 'function' ? this.player[name]() : null);
+    return { videoWidth: size('videoWidth'), videoHeight: size('videoHeight'), onIssue: issue => issues.push(issue) };
+  }
+
+  // Log and fire an event for the parts of W3C data that couldn't be imported
+  // [{ id, message, skipped }] - skipped annotations (without a time) were left out
+  reportImportIssues(issues) {
+    if (!issues.length) return;
+    issues.forEach(issue => Logger.error(`Annotation ${issue.id || '(no id)'}: ${issue.message}`));
+    this.plugin.fire('importIssues', { issues });
+  }
+
   set activeAnnotation(annotation = null) {
     this._activeAnnotation = annotation;
   }
@@ -61,12 +93,18 @@ module.exports = class AnnotationState extends PlayerComponent {
     return this._activeAnnotation || { close: () => {} };
   }
 
+  // The open annotation, or null (unlike activeAnnotation, which returns a placeholder)
+  get currentAnnotation() {
+    return this._activeAnnotation || null;
+  }
+
   // Serialize data as W3C Web Annotation collection
   get data() {
     return toW3CCollection(
       this._annotations.map(a => a._internalData),
       this.plugin.videoSrc,
-      this.plugin.options.idPrefix
+      this.plugin.options.idPrefix,
+      this.plugin.options
     );
   }
 
@@ -76,8 +114,17 @@ module.exports = class AnnotationState extends PlayerComponent {
   }
 
   // Bind events for setting liveAnnotation on video time change
+  // and for moving keyframed shapes of the active annotation as the video plays
   bindEvents() {
     this.player.on('timeupdate', Utils.throttle(this.setLiveAnnotation.bind(this), 100));
+    this.player.on('timeupdate', this.updateActiveShape.bind(this));
+    this.player.on('seeked', this.updateActiveShape.bind(this));
+  }
+
+  // Interpolate the shape of the active annotation for the current time
+  updateActiveShape() {
+    if (!this.enabled || !this._activeAnnotation) return;
+    this._activeAnnotation.updateShapeForTime(this.currentTime);
   }
 
   // Sort annotations by range.start
@@ -93,19 +140,54 @@ module.exports = class AnnotationState extends PlayerComponent {
     this.openAnnotation(annotation, true, true, false, true);
     this.stateChanged();
     this.plugin.fire('annotationAdded', { annotation: annotation.data });
+    this.persist(annotation, 'create', () => [annotation.rootData], {
+      items: [annotation, annotation.commentList.comments[0]],
+      onSaved: saved => this.adoptSavedId(annotation, saved),
+      rollback: () => this.discardAnnotation(annotation)
+    });
+    this.recordStep({
+      label: 'Add annotation',
+      undo: () => this.deleteAnnotation(annotation),
+      redo: () => this.reinstateAnnotation(annotation)
+    });
+  }
+
+  // Add an annotation from internal data without opening it (e.g. one another user added)
+  insertAnnotation(data) {
+    if (this.findAnnotation(data.id)) return;
+    const annotation = new Annotation(validateData(data), this.player);
+    this._annotations.push(annotation);
+    this.stateChanged();
+    this.plugin.fire('annotationAdded', { annotation: annotation.data });
+  }
+
+  // Make changes that came from another user: they are applied and fire the usual events, but aren't saved to
+  // storage (the user who made them saves them) or sent to other users
+  applyRemoteChange(fn) {
+    this.applyingRemoteChange = true;
+    try {
+      fn();
+    } finally {
+      this.applyingRemoteChange = false;
+    }
   }
 
   // Create and add a annotation
   createAndAddAnnotation(data) {
+    if (!this.plugin.authorize('add')) return;
     this.plugin.controls.uiState.adding && this.plugin.controls.cancelAddNew();
 
     // Auto-detect W3C format for single annotation
     if (isW3CFormat(data)) {
-      data = fromW3C(data);
+      const issues = [];
+      data = fromW3C(data, this.plugin.options.idPrefix, this.w3cOptions(issues));
+      this.reportImportIssues(issues);
+      if (!data) return;
     }
 
     if (data.range) data.range = Utils.validateRange(data.range);
     if (data.shape) data.shape = Utils.validateShape(data.shape);
+    const keyframes = Shapes.validateKeyframes(data.keyframes);
     const markerClass = Utils.sanitizeCSSClassName(data.markerClass);
     const annotationType = Utils.sanitizeCSSClassName(data.annotationType);
 
@@ -116,29 +198,126 @@ module.exports = class AnnotationState extends PlayerComponent {
       this.plugin,
       data.id,
       markerClass,
-      annotationType
+      annotationType,
+      keyframes
     );
     this.addNewAnnotation(annotation);
   }
 
-  // Programmatic edit of an annotation's range/shape by ID
-  editAnnotationById(id, range, shape) {
+  // Programmatic edit of an annotation's range/shape/keyframes by ID
+  // Passing keyframes: null removes existing keyframes
+  editAnnotationById(id, range, shape, keyframes) {
     const annotation = this.findAnnotation(id);
-    if (!annotation) return;
-    if (annotation.isOpen) annotation.close(true);
-    if (range) annotation.range = Utils.validateRange(Utils.parseIntObj(range));
-    if (shape) annotation.shape = Utils.validateShape(Utils.parseIntObj(shape));
-    annotation.secondsActive = annotation.buildSecondsActiveArray();
-    annotation.marker.teardown();
-    annotation.buildMarker();
-    eventManager.off(annotation.marker.el, 'click.vac-marker');
-    annotation.bindEvents();
+    if (!annotation || !this.plugin.authorize('shape-edit', annotation)) return;
+    const previous = annotation.geometry;
+    const { geometry } = annotation;
+    if (range) geometry.range = Utils.validateRange(Utils.parseIntObj(range));
+    if (shape) geometry.shape = Utils.validateShape(shape);
+    if (keyframes !== undefined) geometry.keyframes = Shapes.validateKeyframes(keyframes);
+    annotation.setGeometry(geometry);
+    this.annotationEdited(annotation, previous);
+  }
+
+  // Update state after an annotation's range/shape/keyframes changed
+  // previous: the geometry before the change, restored if saving it fails
+  annotationEdited(annotation, previous = null) {
+    const edited = annotation.geometry;
     this.stateChanged();
     this.plugin.fire('annotationEdited', { id: annotation.id, annotation: annotation.data });
+    this.persist(annotation, 'update', () => [annotation.rootData], {
+      items: [annotation],
+      rollback: previous ? () => this.restoreGeometry(annotation, previous) : null,
+      reapply: () => this.restoreGeometry(annotation, edited, previous)
+    });
+    if (!previous) return;
+    // Edits of the same annotation in quick succession (e.g. dragging it via editAnnotation) are undone together
+    this.recordStep({
+      label: 'Edit annotation',
+      mergeKey: `edit-${annotation.componentId}`,
+      undo: () => this.restoreGeometry(annotation, previous, edited),
+      redo: () => this.restoreGeometry(annotation, edited, previous)
+    });
+  }
+
+  // Replace an annotation's range/shape/keyframes from internal data (e.g. another user's edit), keeping it open
+  // if it was. Adds the annotation if it doesn't exist
+  applyAnnotationEdit(data) {
+    const annotation = this.findAnnotation(data.id);
+    if (!annotation) {
+      this.insertAnnotation(data);
+      return;
+    }
+    const wasActive = annotation.isActive && annotation.isOpen;
+    const { range, shape = null, keyframes = null } = validateData(data);
+    annotation.setGeometry({ range, shape, keyframes });
+    this.annotationEdited(annotation);
+    if (wasActive) this.openAnnotation(annotation, true, false);
+  }
+
+  // Remove an annotation by ID without it being edited first (e.g. another user deleted it)
+  teardownAnnotationById(id) {
+    const annotation = this.findAnnotation(id);
+    if (annotation) this.deleteAnnotation(annotation);
+  }
+
+  // Delete an annotation if it's still shown, cancelling any edit of it first
+  deleteAnnotation(annotation) {
+    if (this._annotations.indexOf(annotation) === -1) return;
+    const { controls } = this.plugin;
+    if (controls && controls.editingAnnotation === annotation) controls.cancelEdit();
+    annotation.teardown();
+  }
+
+  // Bring the annotations in line with internal data (e.g. a merged AnnotationDocument), one change at a time so
+  // open annotations and replies being written aren't lost: annotations and comments are added, removed, or have
+  // their range/shape/keyframes (or comment text) replaced where they differ
+  reconcile(annotationsData) {
+    const ids = annotationsData.map(data => data.id);
+    this._annotations
+      .filter(annotation => ids.indexOf(annotation.id) === -1)
+      .forEach(annotation => this.teardownAnnotationById(annotation.id));
+
+    annotationsData.forEach(data => {
+      const annotation = this.findAnnotation(data.id);
+      if (!annotation) {
+        this.insertAnnotation(Utils.cloneDeep(data));
+        return;
+      }
+      const current = annotation._internalData;
+      const changed = ['range', 'shape', 'keyframes'].some(
+        key => JSON.stringify(current[key] || null) !== JSON.stringify(data[key] || null)
+      );
+      if (changed) this.applyAnnotationEdit(Utils.cloneDeep(data));
+
+      const { commentList } = annotation;
+      const commentIds = data.comments.map(comment => comment.id);
+      data.comments.forEach(comment => {
+        if (commentList.comments.some(c => c.id === comment.id)) {
+          commentList.applyCommentEdit(comment);
+        } else {
+          commentList.insertComment(Utils.cloneDeep(comment));
+        }
+      });
+      commentList.comments
+        .filter(comment => commentIds.indexOf(comment.id) === -1)
+        .forEach(comment => commentList.deleteComment(comment));
+    });
+  }
+
+  // Set an annotation's geometry back (rolling back an edit), or again (reapplying it when given what it replaces)
+  restoreGeometry(annotation, geometry, previous = null) {
+    if (this._annotations.indexOf(annotation) === -1) return;
+    annotation.setGeometry(geometry);
+    if (previous) {
+      this.annotationEdited(annotation, previous);
+    } else {
+      this.stateChanged();
+    }
   }
 
   // Replace all annotations with new data
   setAnnotationsFromData(annotationsData) {
+    this.history.clear();
     this.annotations.forEach(a => a.teardown(false));
     this.annotations = annotationsData;
     this.stateChanged();
@@ -147,16 +326,159 @@ module.exports = class AnnotationState extends PlayerComponent {
   // Destroy an existing annotation
   destroyAnnotationById(id) {
     const annotation = this.findAnnotation(id);
-    if (annotation) annotation.teardown();
+    if (annotation && this.plugin.authorize('delete-annotation', annotation)) annotation.teardown();
   }
 
   // Remove an annotation
-  removeAnnotation(annotation) {
+  // persist: false removes it locally only (see discardAnnotation)
+  removeAnnotation(annotation, persist = true) {
     const { id } = annotation;
     const i = this._annotations.indexOf(annotation);
     this._annotations.splice(i, 1);
     this.stateChanged();
+    if (!persist) return;
     this.plugin.fire('annotationDeleted', { id });
+    this.persist(annotation, 'delete', () => [annotation.w3cId], {
+      items: [annotation],
+      rollback: () => this.restoreAnnotation(annotation),
+      reapply: () => annotation.teardown()
+    });
+    this.recordStep({
+      label: 'Delete annotation',
+      undo: () => this.reinstateAnnotation(annotation),
+      redo: () => this.deleteAnnotation(annotation)
+    });
+  }
+
+  // Remove an annotation that failed to save. Changes queued after it are dropped
+  discardAnnotation(annotation) {
+    annotation.setDiscarded(true);
+    if (this._annotations.indexOf(annotation) !== -1) annotation.teardown(true, false);
+  }
+
+  // Put back an annotation that failed to be deleted
+  restoreAnnotation(annotation) {
+    if (this._annotations.indexOf(annotation) !== -1) return;
+    annotation.restore();
+    this._annotations.push(annotation);
+    this.stateChanged();
+  }
+
+  // Put back a deleted annotation with its replies and save it again (undoing a delete)
+  reinstateAnnotation(annotation) {
+    if (this._annotations.indexOf(annotation) !== -1 || !annotation.removedData) return;
+    annotation.setDiscarded(false);
+    this.restoreAnnotation(annotation);
+    this.plugin.fire('annotationAdded', { annotation: annotation.data });
+    const [root, ...replies] = annotation.commentList.comments;
+    this.persist(annotation, 'create', () => [annotation.rootData], {
+      items: [annotation, root],
+      rollback: () => this.discardAnnotation(annotation)
+    });
+    replies.forEach(comment => annotation.commentList.saveReply(comment));
+  }
+
+  // Record a local change in the undo history (changes from other users aren't undoable here)
+  recordStep(step) {
+    if (this.applyingRemoteChange) return;
+    this.history.record(step);
+  }
+
+  // Undo the last change, returning whether there was one
+  undo() {
+    const step = this.history.undo();
+    if (step) this.plugin.announce(`Undid ${step.label.toLowerCase()}`);
+    return !!step;
+  }
+
+  // Redo the last undone change, returning whether there was one
+  redo() {
+    const step = this.history.redo();
+    if (step) this.plugin.announce(`Redid ${step.label.toLowerCase()}`);
+    return !!step;
+  }
+
+
+  /*
+        Send a change to the storage adapter, if one is configured. The change has already been made locally
+        (optimistically), so nothing waits on this. Changes to the same annotation (and its replies) are sent in
+        order, so e.g. a delete uses the id the adapter assigned on create.
+
+        While a change is being saved its items (annotation and/or comments) have the sync status 'pending', then
+        'confirmed' ('saveConfirmed' fires). If saving fails the change is rolled back and they are 'failed'
+        ('saveFailed' fires, or 'saveConflict' if someone else changed the annotation first, which is also shown
+        in the comment list with the option to make the change again).
+
+        argsFn: returns the arguments for the adapter method, called when the change is sent
+        options: {
+          items: annotation/comments the change is to, whose sync status is tracked
+          onSaved: called with what the adapter resolved with
+          rollback: undoes the change locally
+          reapply: makes the change again, to overwrite a conflicting change
+        }
+    */
+  persist(annotation, operation, argsFn, options = {}) {
+    const { storage } = this.plugin;
+    if (!storage || this.applyingRemoteChange) return Promise.resolve(null);
+
+    const { items = [], onSaved = null, rollback = null, reapply = null } = options;
+    const setStatus = status => items.forEach(item => item && item.setSyncStatus(status));
+    const detail = () => ({
+      operation,
+      id: annotation.id,
+      ...(items[0] && items[0] !== annotation ? { commentId: items[0].id } : {})
+    });
+    setStatus('pending');
+
+    const previous = this.storageQueues.get(annotation) || Promise.resolve();
+    const queue = previous
+      .then(() => {
+        if (annotation.discarded) throw Object.assign(new Error('Annotation was discarded'), { discarded: true });
+        return storage[operation](...argsFn());
+      })
+      .then(result => {
+        if (onSaved) onSaved(result);
+        setStatus('confirmed');
+        this.plugin.fire('saveConfirmed', detail());
+        return result;
+      })
+      .catch(error => {
+        if (error && error.discarded) return null;
+        if (rollback) rollback();
+        setStatus('failed');
+
+        const conflict = !!(error && error.conflict);
+        if (conflict && !annotation.discarded) {
+          annotation.commentList.showConflict({
+            message: 'Someone else changed this annotation, so your change was not saved.',
+            reapply
+          });
+        }
+        this.plugin.fire(conflict ? 'saveConflict' : 'saveFailed', { ...detail(), error, rolledBack: !!rollback });
+        this.plugin.fire('storageError', { operation, id: annotation.id, error });
+        return null;
+      });
+    this.storageQueues.set(annotation, queue);
+    return queue;
+  }
+
+  // Storage sync status (pending, confirmed or failed) of an annotation or comment by ID, or null if not found
+  syncStatus(id) {
+    const item = this.findAnnotation(id) || this.findComment(id);
+    return item ? item.syncStatus : null;
+  }
+
+  // Switch to the id an annotation was stored under, if the adapter assigned one (e.g. a server-assigned IRI)
+  adoptSavedId(annotation, saved) {
+    const id = this.localId(saved && saved.id);
+    if (id == null || id === annotation.id) return;
+    annotation.setId(id);
+    this.stateChanged(true);
+  }
+
+  // Convert a W3C id back to an internal id by removing the idPrefix
+  localId(w3cId) {
+    return stripIdPrefix(w3cId, this.plugin.options.idPrefix);
   }
 
   // Set the live annotation based on current video time
@@ -266,34 +588,52 @@ module.exports = class AnnotationState extends PlayerComponent {
     return comments.find(c => c.id == id);
   }
 
+  // The annotations nextAnnotation/prevAnnotation go through: all of them, or those not resolved (or won't fix)
+  navigableAnnotations(skipResolved) {
+    return skipResolved ? this.annotations.filter(a => !a.isResolved) : this.annotations;
+  }
+
   // Finds the next annotation in collection and opens it
-  nextAnnotation() {
-    if (this._activeAnnotation) {
-      const ind = this.annotations.indexOf(this._activeAnnotation);
-      const nextInd = ind === this.annotations.length - 1 ? 0 : ind + 1;
-      return this.openAnnotation(this.annotations[nextInd], true);
+  // skipResolved: leave out resolved annotations (defaults to the skipResolved option)
+  nextAnnotation(skipResolved = this.plugin.options.skipResolved) {
+    const annotations = this.navigableAnnotations(skipResolved);
+    if (!annotations.length) return null;
+    const ind = annotations.indexOf(this._activeAnnotation);
+    if (ind !== -1) {
+      const nextInd = ind === annotations.length - 1 ? 0 : ind + 1;
+      return this.openAnnotation(annotations[nextInd], true);
     }
-    const time = Math.floor(this.currentTime);
-    for (let i = 0; i < this.annotations.length; i++) {
-      if (this.annotations[i].range.start > time)
-        return this.openAnnotation(this.annotations[i], true);
+    // From the open annotation if it was left out, else from the current time
+    const time = this._activeAnnotation ? this._activeAnnotation.range.start : Math.floor(this.currentTime);
+    for (let i = 0; i < annotations.length; i++) {
+      if (annotations[i].range.start > time)
+        return this.openAnnotation(annotations[i], true);
     }
-    this.openAnnotation(this.annotations[0], true);
+    this.openAnnotation(annotations[0], true);
   }
 
   // Finds the previous annotation in collection and opens it
-  prevAnnotation() {
-    if (this._activeAnnotation) {
-      const ind = this.annotations.indexOf(this._activeAnnotation);
-      const nextInd = ind === 0 ? this.annotations.length - 1 : ind - 1;
-      return this.openAnnotation(this.annotations[nextInd], true);
+  // skipResolved: leave out resolved annotations (defaults to the skipResolved option)
+  prevAnnotation(skipResolved = this.plugin.options.skipResolved) {
+    const annotations = this.navigableAnnotations(skipResolved);
+    if (!annotations.length) return null;
+    const ind = annotations.indexOf(this._activeAnnotation);
+    if (ind !== -1) {
+      const nextInd = ind === 0 ? annotations.length - 1 : ind - 1;
+      return this.openAnnotation(annotations[nextInd], true);
     }
-    const time = Math.floor(this.currentTime);
-    for (let i = this.annotations.length - 1; i >= 0; i--) {
-      if (this.annotations[i].range.start < time)
-        return this.openAnnotation(this.annotations[i], true);
+    const time = this._activeAnnotation ? this._activeAnnotation.range.start : Math.floor(this.currentTime);
+    for (let i = annotations.length - 1; i >= 0; i--) {
+      if (annotations[i].range.start < time)
+        return this.openAnnotation(annotations[i], true);
     }
-    this.openAnnotation(this.annotations[this.annotations.length - 1], true);
+    this.openAnnotation(annotations[annotations.length - 1], true);
+  }
+
+  // Change the status of an annotation by ID (see lib/statuses)
+  setAnnotationStatusById(id, status) {
+    const annotation = this.findAnnotation(id);
+    if (annotation) annotation.commentList.setStatus(status);
   }
 
   // Use anywhere the annotation data changes
@@ -319,6 +659,7 @@ module.exports = class AnnotationState extends PlayerComponent {
     this.annotations.forEach(annotation => {
       annotation.teardown(false);
     });
+    this.history.clear();
     this.resetData();
     super.teardown();
   }
@@ -0,0 +1,226 @@
+/*
+    Component for real-time collaboration between players showing the same video, over a pluggable transport
+    (see lib/sync). Local changes are sent to the other players as operations, which they apply to their
+    AnnotationState one at a time (without replacing all annotations). Each player also shares which annotation
+    its user has open (presence), shown on the markers and in the comment list.
+
+    Messages: { type, clientId, user, ...data }
+      hello          a player joined; the others answer with their presence
+      presence       { annotationId } the annotation the user has open, or null
+      leave          a player left
+      add            { annotation } internal annotation data
+      edit           { annotation } internal annotation data, whose range/shape/keyframes replace the current ones
+      delete         { id }
+      comment        { annotationId, comment } internal comment data
+      editComment    { annotationId, comment } internal comment data, whose body/meta replace the current ones
+      deleteComment  { annotationId, commentId }
+*/
+
+const PlayerComponent = require('../lib/player_component');
+const Utils = require('../lib/utils');
+const { sharedManager: eventManager } = require('../lib/events');
+
+// Local plugin events that are sent to other players, and the message handler for each
+const LOCAL_EVENTS = {
+  annotationAdded: 'onAnnotationAdded',
+  annotationEdited: 'onAnnotationEdited',
+  annotationDeleted: 'onAnnotationDeleted',
+  commentAdded: 'onCommentAdded',
+  commentEdited: 'onCommentEdited',
+  commentDeleted: 'onCommentDeleted',
+  annotationOpened: 'onAnnotationOpened',
+  annotationClosed: 'onAnnotationClosed',
+  saveFailed: 'onSaveFailed',
+  saveConflict: 'onSaveFailed'
+};
+
+module.exports = class Collaboration extends PlayerComponent {
+  // options: { transport, user: { id, name } (defaults to the meta option) }
+  constructor(player, options) {
+    super(player);
+    this.transport = options.transport;
+    this.user = options.user || { id: this.plugin.meta.user_id, name: this.plugin.meta.user_name };
+    this.clientId = Utils.guid();
+    this.peers = {}; // clientId -> { clientId, user, annotationId }
+    this.openAnnotationId = null;
+
+    this.transport.onMessage(message => this.receive(message));
+    this.bindEvents();
+    this.send({ type: 'hello', annotationId: null });
+  }
+
+  // Other users connected: [{ clientId, user, annotationId }]
+  get presence() {
+    return Object.keys(this.peers).map(clientId => ({ ...this.peers[clientId] }));
+  }
+
+  get state() {
+    return this.plugin.annotationState;
+  }
+
+  bindEvents() {
+    this.listeners = Object.keys(LOCAL_EVENTS).map(type => {
+      const callback = event => {
+        // Changes applied from other users are not sent back
+        if (this.state && this.state.applyingRemoteChange) return;
+        this[LOCAL_EVENTS[type]](event.detail);
+      };
+      this.plugin.eventDispatcher.registerListener(type, callback, false);
+      return { type, callback };
+    });
+    eventManager.on(window, `pagehide.vac-collaboration-${this.clientId}`, () => this.send({ type: 'leave' }));
+  }
+
+  send(message) {
+    this.transport.send({ ...message, clientId: this.clientId, user: this.user });
+  }
+
+  // Internal data (with all comments) for an annotation, given its W3C id from an event
+  annotationData(w3cId) {
+    const annotation = this.state.findAnnotation(this.state.localId(w3cId));
+    return annotation ? Utils.cloneDeep(annotation._internalData) : null;
+  }
+
+  onAnnotationAdded({ annotation }) {
+    const data = this.annotationData(annotation.id);
+    if (data) this.send({ type: 'add', annotation: data });
+  }
+
+  onAnnotationEdited({ id }) {
+    const annotation = this.state.findAnnotation(id);
+    if (annotation) this.send({ type: 'edit', annotation: Utils.cloneDeep(annotation._internalData) });
+  }
+
+  onAnnotationDeleted({ id }) {
+    this.send({ type: 'delete', id });
+  }
+
+  onCommentAdded({ annotationId, commentId }) {
+    const comment = this.state.findComment(commentId);
+    if (comment) this.send({ type: 'comment', annotationId, comment: Utils.cloneDeep(comment._internalData) });
+  }
+
+  onCommentEdited({ annotationId, commentId }) {
+    const comment = this.state.findComment(commentId);
+    if (comment) this.send({ type: 'editComment', annotationId, comment: Utils.cloneDeep(comment._internalData) });
+  }
+
+  onCommentDeleted({ annotationId, commentId }) {
+    this.send({ type: 'deleteComment', annotationId, commentId });
+  }
+
+  // Previews shown during playback don't count as having an annotation open
+  onAnnotationOpened({ annotation, triggered_by_timeline: byTimeline }) {
+    if (byTimeline) return;
+    this.setOpenAnnotation(this.state.localId(annotation.id));
+  }
+
+  onAnnotationClosed() {
+    this.setOpenAnnotation(null);
+  }
+
+  setOpenAnnotation(annotationId) {
+    if (annotationId === this.openAnnotationId) return;
+    this.openAnnotationId = annotationId;
+    this.send({ type: 'presence', annotationId });
+  }
+
+  // A change that failed to save was rolled back here, so roll it back for the other players too
+  onSaveFailed({ operation, id, commentId, rolledBack }) {
+    if (!rolledBack) return;
+    const annotation = this.state.findAnnotation(id);
+    if (operation === 'create') {
+      this.send({ type: 'delete', id });
+    } else if (operation === 'reply') {
+      this.send({ type: 'deleteComment', annotationId: id, commentId });
+    } else if (annotation && operation === 'update') {
+      if (commentId) {
+        this.onCommentEdited({ annotationId: id, commentId });
+      } else {
+        this.onAnnotationEdited({ id });
+      }
+    } else if (annotation && operation === 'delete') {
+      if (commentId) {
+        this.onCommentAdded({ annotationId: id, commentId });
+      } else {
+        this.send({ type: 'add', annotation: Utils.cloneDeep(annotation._internalData) });
+      }
+    }
+  }
+
+  // Handle a message from another player
+  receive(message) {
+    if (!message || !message.clientId || message.clientId === this.clientId || !this.state) return;
+    const { clientId, user, type } = message;
+
+    if (type === 'leave') {
+      delete this.peers[clientId];
+      this.presenceChanged();
+      return;
+    }
+
+    const peer = this.peers[clientId] || { clientId, annotationId: null };
+    this.peers[clientId] = { ...peer, user: user || {} };
+
+    if (type === 'hello' || type === 'presence') {
+      this.peers[clientId].annotationId = message.annotationId || null;
+      if (type === 'hello') this.send({ type: 'presence', annotationId: this.openAnnotationId });
+      this.presenceChanged();
+      return;
+    }
+
+    this.state.applyRemoteChange(() => this.applyOperation(message));
+    this.renderPresence();
+    this.plugin.fire('remoteChange', { type, user, clientId });
+  }
+
+  // Apply an add/edit/delete/comment/editComment/deleteComment operation from another player
+  applyOperation(message) {
+    const { type } = message;
+    if (type === 'add') {
+      this.state.insertAnnotation(message.annotation);
+    } else if (type === 'edit') {
+      this.state.applyAnnotationEdit(message.annotation);
+    } else if (type === 'delete') {
+      this.state.teardownAnnotationById(message.id);
+    } else if (type === 'comment') {
+      const annotation = this.state.findAnnotation(message.annotationId);
+      if (annotation) annotation.commentList.insertComment(message.comment);
+    } else if (type === 'editComment') {
+      const annotation = this.state.findAnnotation(message.annotationId);
+      if (annotation) annotation.commentList.applyCommentEdit(message.comment);
+    } else if (type === 'deleteComment') {
+      const annotation = this.state.findAnnotation(message.annotationId);
+      const comment = annotation && annotation.commentList.comments.find(c => c.id === message.commentId);
+      if (comment) annotation.commentList.deleteComment(comment);
+    }
+  }
+
+  presenceChanged() {
+    this.renderPresence();
+    this.plugin.fire('presenceChanged', { users: this.presence });
+  }
+
+  // Show each user on the annotation they have open
+  renderPresence() {
+    const viewersById = {};
+    this.presence.forEach(peer => {
+      if (peer.annotationId == null) return;
+      viewersById[peer.annotationId] = (viewersById[peer.annotationId] || []).concat([peer]);
+    });
+    this.state.annotations.forEach(annotation => annotation.setViewers(viewersById[annotation.id] || []));
+  }
+
+  // Tell the other players this one left, disconnect and unbind events
+  teardown() {
+    this.send({ type: 'leave' });
+    eventManager.off(window, `pagehide.vac-collaboration-${this.clientId}`);
+    if (this.plugin && this.plugin.eventDispatcher) {
+      this.listeners.forEach(({ type, callback }) => this.plugin.eventDispatcher.unregisterListener(type, callback));
+    }
+    this.transport.close();
+    this.peers = {};
+    super.teardown();
+    return null;
+  }
+};
@@ -4,6 +4,9 @@
 
 const PlayerUIComponent = require('./../lib/player_ui_component');
 const Utils = require('./../lib/utils');
+const Markdown = require('../lib/markdown');
+const Statuses = require('../lib/statuses');
+const { buildBody } = require('../lib/w3c');
 const { htmlToEl } = require('../lib/dom');
 
 const templateName = 'comment';
@@ -15,6 +18,9 @@ module.exports = class Comment extends PlayerUIComponent {
     this.id = data.id || this.componentId;
     this.meta = data.meta;
     this.body = data.body;
+    this.parentId = data.parentId != null ? data.parentId : null; // Id of the comment this replies to, if any
+    this.status = Statuses.isStatus(data.status) ? data.status : null; // The status it changed to, for status entries
+    this.syncStatus = 'confirmed'; // Storage sync status: pending, confirmed or failed
     this.timestamp = Math.floor(new Date(data.meta.datetime).getTime() / 1000);
     this.timeSince = this.timeSince();
 
@@ -26,19 +32,52 @@ module.exports = class Comment extends PlayerUIComponent {
     return {
       type: 'Annotation',
       motivation: 'replying',
-      body: { type: 'TextualBody', value: this.body, format: 'text/plain' },
+      body: buildBody(this.body, this.plugin.options),
       creator: {
         type: 'Person',
         name: this.meta.user_name,
         ...(this.meta.user_id != null ? { id: String(this.meta.user_id) } : {})
       },
-      created: this.meta.datetime
+      created: this.meta.datetime,
+      ...(this.meta.modified ? { modified: this.meta.modified } : {}),
+      ...(this.status ? { status: this.status } : {})
     };
   }
 
   // Internal data for non-API use
   get _internalData() {
-    return { id: this.id, meta: this.meta, body: this.body };
+    return {
+      id: this.id,
+      meta: this.meta,
+      body: this.body,
+      ...(this.parentId != null ? { parentId: this.parentId } : {}),
+      ...(this.status ? { status: this.status } : {})
+    };
+  }
+
+  // Change the comment's id (e.g. to the one storage assigned), keeping its element in sync
+  setId(id) {
+    this.id = id;
+    if (this.el) this.el.setAttribute('data-id', id);
+  }
+
+  // Change the id of the comment this replies to (e.g. to the one storage assigned it)
+  setParentId(id) {
+    this.parentId = id;
+  }
+
+  // Replace the text (e.g. with an edit), with meta saying when it was modified
+  setBody(body, meta) {
+    this.body = body;
+    this.meta = meta;
+    this.el = htmlToEl(this.render());
+  }
+
+  // Set the storage sync status, updating the comment in the open list
+  setSyncStatus(status) {
+    this.syncStatus = status;
+    this.el = htmlToEl(this.render());
+    if (this.commentList) this.commentList.updateComment(this);
   }
 
   get HTML() {
@@ -48,9 +87,16 @@ module.exports = class Comment extends PlayerUIComponent {
   render() {
     return this.renderTemplate(templateName, {
       id: this.id,
-      body: this.body,
+      bodyHtml: Markdown.toHTML(this.body, { markdown: this.plugin.options.markdown }),
       meta: this.meta,
-      timeSince: this.timeSince
+      timeSince: this.timeSince,
+      editedSince: this.meta.modified ? Utils.timeAgo(this.meta.modified) : '',
+      allowEdit: !!this.commentList && this.commentList.canEditComment(this),
+      allowDelete: !!this.commentList && this.commentList.canDeleteComment(this),
+      allowReply: !!this.commentList && !this.status && this.commentList.can('reply', this),
+      syncStatus: this.syncStatus,
+      status: this.status,
+      statusLabel: this.status ? Statuses.label(this.status) : ''
     });
   }
 
@@ -64,18 +110,23 @@ module.exports = class Comment extends PlayerUIComponent {
   }
 
   // Return a Comment obj given body content and plugin reference
-  static newFromData(body, commentList, plugin) {
-    const data = this.dataObj(body, plugin);
+  // fields: { parentId } for a reply to a comment, { status } for a status entry
+  static newFromData(body, commentList, plugin, fields = {}) {
+    const data = this.dataObj(body, plugin, fields);
     data.commentList = commentList;
     return new Comment(data, plugin.player);
   }
 
   // Return an object with plugin data, timestamp, unique id, and body content
-  static dataObj(body, plugin) {
-    return {
+  static dataObj(body, plugin, fields = {}) {
+    const data = {
       meta: { datetime: new Date().toISOString(), ...plugin.meta },
       id: Utils.guid(),
       body
     };
+    Object.keys(fields).forEach(key => {
+      if (fields[key] != null) data[key] = fields[key];
+    });
+    return data;
   }
 };
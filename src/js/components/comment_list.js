@@ -5,17 +5,29 @@
 const PlayerUIComponent = require('./../lib/player_ui_component');
 const Utils = require('./../lib/utils');
 const Comment = require('./comment');
+const Statuses = require('../lib/statuses');
+const FocusTrap = require('../lib/focus_trap');
+const CommentEditor = require('../lib/comment_editor');
+const { toW3CReply } = require('../lib/w3c');
 const { htmlToEl, addClass, removeClass, css, scrollTop, outerWidth, position, offset, innerWidth, innerHeight, qs, qsa, closest, append, before, remove, setHtml, getVal } = require('../lib/dom');
 const { sharedManager: eventManager } = require('../lib/events');
 
 const commentListTemplateName = 'comment_list';
 const newCommentTemplateName = 'new_comment';
+const commentEditTemplateName = 'comment_edit';
+const commentThreadTemplateName = 'comment_thread';
+const threadToggleTemplateName = 'thread_toggle';
+const statusBarTemplateName = 'status_bar';
+
+// Ids can be numbers or strings (e.g. from the DOM, events or imported data), so compare them as strings
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
 
 module.exports = class CommentList extends PlayerUIComponent {
   constructor(data, player) {
     super(player);
 
     this.annotation = data.annotation;
+    this.collapsedThreads = new Set(); // Ids of the comments whose replies are hidden
     this.comments = data.comments.map(commentData => {
       commentData.commentList = this;
       return new Comment(commentData, player);
@@ -36,10 +48,22 @@ module.exports = class CommentList extends PlayerUIComponent {
   // Bind all events needed for the comment list
   bindListEvents() {
     eventManager.on(this.el, 'click.vac-comment', '.vac-close-comment-list', () => this.annotation.close());
-    eventManager.on(this.el, 'click.vac-comment', '.vac-reply-btn', this.addNewComment.bind(this));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-reply-btn', () => this.addNewComment());
+    eventManager.on(this.el, 'click.vac-comment', '.vac-reply-comment', e =>
+      this.addNewComment(this.findComment(this.findCommentId(e)))
+    );
+    eventManager.on(this.el, 'click.vac-comment', '.vac-thread-toggle', this.toggleThread.bind(this));
+    eventManager.on(this.el, 'change.vac-comment', '.vac-status-select', e => this.setStatus(e.target.value));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-resolve', () => this.setStatus('resolved'));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-reopen', () => this.setStatus('open'));
     eventManager.on(this.el, 'click.vac-comment', '.vac-delete-annotation', this.handleDeleteAnnotationClick.bind(this));
     eventManager.on(this.el, 'click.vac-comment', '.vac-delete-comment', this.destroyComment.bind(this));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-edit-comment', this.startCommentEdit.bind(this));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-comment-edit .vac-save-comment', () => this.saveCommentEdit());
+    eventManager.on(this.el, 'click.vac-comment', '.vac-comment-edit .vac-cancel-comment', () => this.stopCommentEdit());
     eventManager.on(this.el, 'click.vac-comment', '.vac-edit-annotation', this.handleEditAnnotationClick_.bind(this));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-conflict-keep', this.resolveConflict.bind(this, true));
+    eventManager.on(this.el, 'click.vac-comment', '.vac-conflict-discard', this.resolveConflict.bind(this, false));
     eventManager.on(this.el, 'mousewheel.vac-comment', '.vac-comments-wrap', this.disablePageScroll.bind(this));
     eventManager.on(this.el, 'DOMMouseScroll.vac-comment', '.vac-comments-wrap', this.disablePageScroll.bind(this));
   }
@@ -47,41 +71,156 @@ module.exports = class CommentList extends PlayerUIComponent {
   // Bind event listeners for new comments form
   bindCommentFormEvents() {
     if (!this.newCommentFormEl) return;
-    eventManager.on(this.newCommentFormEl, 'click.vac-comment', '.vac-add-controls a, .vac-video-write-new.vac-is-comment a', this.closeNewComment.bind(this));
-    eventManager.on(this.newCommentFormEl, 'click.vac-comment', '.vac-video-write-new.vac-is-comment button', this.saveNewComment.bind(this));
+    eventManager.on(this.newCommentFormEl, 'click.vac-comment', '.vac-video-write-new.vac-is-comment .vac-cancel', this.closeNewComment.bind(this));
+    eventManager.on(this.newCommentFormEl, 'click.vac-comment', '.vac-video-write-new.vac-is-comment .vac-save', this.saveNewComment.bind(this));
+  }
+
+  // Can the current user do an action (see lib/permissions) to this annotation, or one of its comments?
+  can(action, comment = null) {
+    return this.plugin.can(action, this.annotation, comment);
+  }
+
+  // Can the current user edit the range/shape of, delete, reply to and change the status of this annotation?
+  get permissions() {
+    return {
+      allowEdit: this.can('shape-edit'),
+      allowDelete: this.can('delete-annotation'),
+      allowReply: this.can('reply'),
+      allowResolve: this.can('resolve')
+    };
+  }
+
+  // Can the current user edit the text of a comment?
+  canEditComment(comment) {
+    if (comment.status) return false; // Status entries record a change, so they can't be edited
+    return this.can('edit', comment);
+  }
+
+  // Can the current user delete a comment? Deleting the first comment deletes the annotation
+  canDeleteComment(comment) {
+    return this.can('delete-comment', comment) && (comment !== this.comments[0] || this.can('delete-annotation'));
   }
 
   // Render CommentList UI with all comments using template
-  render() {
-    const userId = this.plugin.meta.user_id;
-    const ownerId = this.comments[0] && this.comments[0].meta.user_id;
-    const isOwner = userId && ownerId && userId === ownerId;
-    const allowEdit = this.plugin.options.allowEdit && (!this.plugin.options.restrictEditToOwner || isOwner);
-    const allowDelete = this.plugin.options.allowDelete && (!this.plugin.options.restrictDeleteToOwner || isOwner);
+  // trapFocus: move keyboard focus into the panel and keep it there until the panel closes
+  render(trapFocus = false) {
+    const { allowEdit, allowDelete, allowReply } = this.permissions;
 
     const html = this.renderTemplate(commentListTemplateName, {
-      commentsHTML: this.comments.map(c => Utils.sanitizeCommentHTML(c.HTML)),
-      rangeStr: this.plugin.options.frameRate
-        ? Utils.humanTimeFrames(this.annotation.range, this.plugin.options.frameRate)
-        : Utils.humanTime(this.annotation.range),
+      commentsHTML: this.repliesTo(null).map(c => this.threadHTML(c)),
+      rangeStr: Utils.humanRange(this.annotation.range, this.plugin.options),
       allowEdit,
-      allowDelete
+      allowDelete,
+      allowReply,
+      conflict: this.conflict ? this.conflict.message : null,
+      status: this.statusBarData
     });
     this.el = htmlToEl(html, true);
     append(this.player.el(), this.el);
     this.invalidateUICache();
     this.wrapEl = this.$UI.commentsContainer;
     this.bindListEvents();
+    this.annotation.renderSyncStatus();
+    this.annotation.renderStatus();
+    this.annotation.renderViewers();
+
+    if (trapFocus) {
+      this.focusTrap = new FocusTrap(this.el, this.player.el());
+      this.focusTrap.activate(this.el);
+    }
   }
 
   // Re-render UI on state change
   reRender() {
-    this.teardown(false);
-    this.render();
+    const trapFocus = !!this.focusTrap;
+    const returnFocusEl = trapFocus ? this.focusTrap.returnFocusEl : null;
+    this.teardown(false, false);
+    this.render(trapFocus);
+    // Focus should still go back to where it was before the panel first opened
+    if (trapFocus && returnFocusEl) this.focusTrap.returnFocusEl = returnFocusEl;
+  }
+
+  /*
+      Threads: a reply to a comment (other than the first) has its id as parentId, and is shown indented below it.
+      Replies to the annotation, and replies whose comment is gone, are at the top level with the first comment
+  */
+
+  // The comment with an id, or null
+  findComment(id) {
+    return this.comments.find(c => sameId(c.id, id)) || null;
+  }
+
+  // The comment a comment replies to, if it is in the list
+  parentOf(comment) {
+    if (sameId(comment.parentId, comment.id)) return null;
+    return this.findComment(comment.parentId);
+  }
+
+  // The replies to a comment, oldest first (or the top-level comments, without one)
+  repliesTo(comment) {
+    return this.comments.filter(c => this.parentOf(c) === comment);
+  }
+
+  // A comment and all the replies below it
+  threadOf(comment) {
+    return [comment].concat(...this.repliesTo(comment).map(reply => this.threadOf(reply)));
+  }
+
+  // HTML for a comment and its replies
+  threadHTML(comment) {
+    return this.renderTemplate(commentThreadTemplateName, {
+      id: comment.id,
+      commentHTML: Utils.sanitizeCommentHTML(comment.HTML),
+      repliesHTML: this.repliesTo(comment).map(reply => this.threadHTML(reply)),
+      collapsed: this.collapsedThreads.has(comment.id)
+    });
+  }
+
+  // Collapse or expand the replies to the comment whose toggle was clicked
+  toggleThread(event) {
+    const threadEl = closest(event.target, '.vac-thread');
+    const comment = threadEl && this.findComment(threadEl.getAttribute('data-thread-id'));
+    if (!comment) return;
+    if (this.collapsedThreads.has(comment.id)) {
+      this.collapsedThreads.delete(comment.id);
+    } else {
+      this.collapsedThreads.add(comment.id);
+    }
+    this.renderThreadToggle(comment).focus();
+  }
+
+  // Show whether a comment's replies are collapsed, and how many there are, returning its toggle
+  renderThreadToggle(comment) {
+    const threadEl = qs(this.el, `.vac-thread[data-thread-id="${comment.id}"]`);
+    const collapsed = this.collapsedThreads.has(comment.id);
+    const toggleEl = htmlToEl(
+      this.renderTemplate(threadToggleTemplateName, {
+        id: comment.id,
+        replyCount: this.repliesTo(comment).length,
+        collapsed
+      }),
+      true
+    );
+    const current = qs(threadEl, ':scope > .vac-thread-toggle');
+    if (current) {
+      current.replaceWith(toggleEl);
+    } else {
+      before(toggleEl, qs(threadEl, ':scope > .vac-replies'));
+    }
+    if (collapsed) {
+      addClass(threadEl, 'vac-collapsed');
+    } else {
+      removeClass(threadEl, 'vac-collapsed');
+    }
+    return toggleEl;
   }
 
   // Render new comment form
-  addNewComment() {
+  // replyTo: the comment being replied to, if any (replies to the first comment are replies to the annotation)
+  addNewComment(replyTo = null) {
+    if (!this.can('reply', replyTo)) return;
+    this.closeNewComment();
+    this.replyingTo = replyTo;
     addClass(this.wrapEl, this.UI_CLASSES.active);
     const commentsWrap = qs(this.wrapEl, '.vac-comments-wrap');
     if (commentsWrap) scrollTop(commentsWrap, 999999);
@@ -91,10 +230,22 @@ module.exports = class CommentList extends PlayerUIComponent {
     const top = pos.top + 10;
     const right = outerWidth(this.wrapEl) - (pos.left + width);
 
-    const formHtml = this.renderTemplate(newCommentTemplateName, { width, top, right });
+    const { markdown, userDirectory } = this.plugin.options;
+    const formHtml = this.renderTemplate(newCommentTemplateName, {
+      width,
+      top,
+      right,
+      markdown,
+      mentions: !!userDirectory,
+      replyTo: replyTo ? replyTo.meta.user_name || '' : null
+    });
     this.newCommentFormEl = htmlToEl(formHtml, true);
     this.bindCommentFormEvents();
     append(this.player.el(), this.newCommentFormEl);
+    this.commentEditor = new CommentEditor(this.newCommentFormEl, this.plugin.options);
+
+    this.formFocusTrap = new FocusTrap(this.newCommentFormEl, this.el);
+    this.formFocusTrap.activate(qs(this.newCommentFormEl, 'textarea'));
   }
 
   // Save comment from new comment form, update state and re-render UI
@@ -105,58 +256,319 @@ module.exports = class CommentList extends PlayerUIComponent {
     const body = getVal(this.$UI.newCommentTextarea);
 
     if (!body) return; // empty comment - TODO add validation / err message
-    this.createComment(body);
+    this.createComment(body, this.replyingTo ? this.replyingTo.id : null);
+  }
+
+  // parentId: id of the comment replied to, if it isn't a reply to the annotation
+  createComment(body, parentId = null) {
+    const parent = this.findComment(parentId);
+    if (!this.plugin.authorize('reply', this.annotation, parent)) return;
+    const nested = parent && parent !== this.comments[0] && !parent.status;
+    this.addComment(Comment.newFromData(body, this, this.plugin, { parentId: nested ? parent.id : null }), 'Add reply');
+    if (this.annotation.isActive) this.closeNewComment();
+  }
+
+  // Change the annotation's status (see lib/statuses) by adding a status entry to the thread
+  setStatus(status) {
+    if (!Statuses.isStatus(status) || status === this.annotation.status) return;
+    if (!this.plugin.authorize('resolve', this.annotation)) {
+      this.renderStatusBar(); // Put back the status the select was changed from
+      return;
+    }
+    this.addComment(Comment.newFromData(Statuses.entryText(status), this, this.plugin, { status }), 'Change status');
   }
 
-  createComment(body) {
-    const comment = Comment.newFromData(body, this, this.plugin);
+  // Add a new comment to the list, save it, and record it for undo with a label
+  addComment(comment, label) {
     this.comments.push(comment);
     this.sortComments();
 
     // Don't mutate UI if comment is being created for an inactive annotation (via API)
-    if (this.annotation.isActive) {
-      this.appendComment(comment);
-      this.closeNewComment();
-    }
+    if (this.annotation.isActive) this.appendComment(comment);
+
+    this.commentsChanged();
+    this.plugin.fire('commentAdded', { annotationId: this.annotation.id, commentId: comment.id, comment: comment.data });
+    this.saveReply(comment);
+    const { annotation } = this;
+    const data = comment._internalData;
+    this.plugin.annotationState.recordStep({
+      label,
+      undo: () => annotation.deleteReply(comment),
+      redo: () => annotation.reinstateReply(data)
+    });
+  }
+
+  // Update state after comments were added or removed (which may change the status)
+  commentsChanged() {
+    this.annotation.renderStatus();
+    this.plugin.annotationState.stateChanged(true);
+  }
+
+  // Data for the status bar
+  get statusBarData() {
+    const { status } = this.annotation;
+    return {
+      status,
+      statusOptions: Statuses.options(),
+      closed: Statuses.isClosed(status),
+      allowResolve: this.can('resolve')
+    };
+  }
 
+  // Show the annotation's status in the open list
+  renderStatusBar() {
+    const statusBarEl = this.el && qs(this.el, '.vac-status-bar');
+    if (!statusBarEl) return;
+    const hadFocus = statusBarEl.contains(document.activeElement);
+    const newEl = htmlToEl(this.renderTemplate(statusBarTemplateName, this.statusBarData), true);
+    statusBarEl.replaceWith(newEl);
+    if (hadFocus) qs(newEl, '.vac-status-select').focus();
+  }
+
+  // Send a reply to storage, removing it again if that fails
+  saveReply(comment) {
+    this.plugin.annotationState.persist(this.annotation, 'reply', () => [this.annotation.w3cId, this.replyData(comment)], {
+      items: [comment],
+      onSaved: saved => this.adoptSavedId(comment, saved),
+      rollback: () => this.removeComment(comment)
+    });
+  }
+
+  // Put back a deleted reply and save it again (undoing a delete)
+  reinstateComment(data) {
+    if (this.findComment(data.id)) return;
+    this.saveReply(this.insertComment(data));
+  }
+
+  // Add a comment from internal data { id, meta, body } (e.g. one another user added), returning it
+  insertComment(data) {
+    const existing = this.findComment(data.id);
+    if (existing) return existing;
+    const comment = new Comment({ ...data, commentList: this }, this.player);
+    this.comments.push(comment);
+    this.sortComments();
+    // Append rather than re-render, so a reply being written isn't lost
+    if (this.el) this.appendComment(comment);
+    this.commentsChanged();
+    this.plugin.fire('commentAdded', { annotationId: this.annotation.id, commentId: comment.id, comment: comment.data });
+    return comment;
+  }
+
+  // W3C reply annotation for a comment, as stored by storage adapters
+  replyData(comment) {
+    const { idPrefix } = this.plugin.options;
+    return toW3CReply(comment._internalData, this.annotation.w3cId, idPrefix, this.plugin.options);
+  }
+
+  // Switch to the id a reply was stored under, if the storage adapter assigned one
+  adoptSavedId(comment, saved) {
+    const id = this.plugin.annotationState.localId(saved && saved.id);
+    if (id == null || sameId(id, comment.id)) return;
+    const previousId = comment.id;
+    if (this.el) {
+      qsa(this.el, `.vac-comment[data-id="${previousId}"]`).forEach(el => el.setAttribute('data-id', id));
+      qsa(this.el, `.vac-thread[data-thread-id="${previousId}"]`).forEach(el => el.setAttribute('data-thread-id', id));
+    }
+    comment.setId(id);
+    // Replies to it follow it
+    this.comments.filter(c => sameId(c.parentId, previousId)).forEach(reply => reply.setParentId(id));
+    if (this.collapsedThreads.delete(previousId)) this.collapsedThreads.add(id);
     this.plugin.annotationState.stateChanged(true);
-    this.plugin.fire('commentAdded', { annotationId: this.annotation.id, comment: comment.data });
   }
 
-  // Append a single comment to the list without full re-render
+  // Replace a comment's element in the open list (e.g. after its sync status changed)
+  updateComment(comment) {
+    if (!this.el) return;
+    const commentEl = qs(this.el, `.vac-comment[data-id="${comment.id}"]`);
+    if (commentEl) commentEl.replaceWith(htmlToEl(Utils.sanitizeCommentHTML(comment.HTML), true));
+  }
+
+  // Append a single comment to the list (or its thread) without full re-render
   appendComment(comment) {
     if (!this.el) return this.reRender(false);
-    const sanitizedHTML = Utils.sanitizeCommentHTML(comment.HTML);
-    const commentEl = htmlToEl(sanitizedHTML, true);
-    const replyBtn = qs(this.el, '.vac-reply-btn');
-    if (replyBtn) before(commentEl, replyBtn);
+    const threadEl = htmlToEl(this.threadHTML(comment), true);
+    const parent = this.parentOf(comment);
+    const repliesEl = parent && qs(this.el, `.vac-thread[data-thread-id="${parent.id}"] > .vac-replies`);
+    if (repliesEl) {
+      append(repliesEl, threadEl);
+      this.renderThreadToggle(parent);
+    } else {
+      // Before the ADD REPLY button, or where it would be if the user can't reply
+      const nextEl = qs(this.el, '.vac-reply-btn') || qs(this.el, '.vac-add-new-shapebox');
+      if (nextEl) before(threadEl, nextEl);
+    }
+  }
+
+  // Replace the body of the clicked comment with a form for editing its text
+  startCommentEdit(event) {
+    const comment = this.findComment(this.findCommentId(event));
+    if (!comment || !this.canEditComment(comment)) return;
+    this.stopCommentEdit();
+    const bodyEl = qs(this.el, `.vac-comment[data-id="${comment.id}"] .vac-comment-body`);
+    if (!bodyEl) return;
+
+    const { markdown, userDirectory } = this.plugin.options;
+    const formEl = htmlToEl(
+      this.renderTemplate(commentEditTemplateName, { body: comment.body, markdown, mentions: !!userDirectory }),
+      true
+    );
+    bodyEl.replaceWith(formEl);
+    this.commentEdit = { comment, formEl, editor: new CommentEditor(formEl, this.plugin.options) };
+    const textarea = qs(formEl, 'textarea');
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }
+
+  // Save the text of the comment being edited (an empty or unchanged text just closes the form)
+  saveCommentEdit() {
+    if (!this.commentEdit) return;
+    const { comment, formEl } = this.commentEdit;
+    const body = getVal(qs(formEl, 'textarea'));
+    this.stopCommentEdit();
+    if (!body || !body.trim() || body === comment.body) return;
+    if (this.plugin.authorize('edit', this.annotation, comment)) this.editComment(comment, body);
+  }
+
+  // Close the edit form, showing the comment again
+  stopCommentEdit() {
+    if (!this.commentEdit) return;
+    const { comment, editor } = this.commentEdit;
+    editor.teardown();
+    this.commentEdit = null;
+    this.updateComment(comment);
+  }
+
+  /*
+      Change the text of a comment and save it. It is marked as modified now, unless meta is given (e.g. setting
+      back the text and meta it had, when undoing an edit)
+      record: add it to the undo history
+  */
+  editComment(comment, body, meta = null, record = true) {
+    const previous = comment._internalData;
+    comment.setBody(body, meta || { ...comment.meta, modified: new Date().toISOString() });
+    const edited = comment._internalData;
+    this.commentChanged(comment);
+
+    const isFirst = comment === this.comments[0];
+    this.plugin.annotationState.persist(
+      this.annotation,
+      'update',
+      () => [isFirst ? this.annotation.rootData : this.replyData(comment)],
+      {
+        items: [comment],
+        rollback: () => this.applyCommentEdit(previous),
+        reapply: () => this.editComment(comment, edited.body, edited.meta, false)
+      }
+    );
+    if (!record) return;
+    const { annotation } = this;
+    this.plugin.annotationState.recordStep({
+      label: 'Edit comment',
+      undo: () => annotation.editComment(previous),
+      redo: () => annotation.editComment(edited)
+    });
+  }
+
+  // Set a comment's text and meta from internal data without saving it (e.g. another user's edit, or rolling
+  // back an edit that failed to save)
+  applyCommentEdit(data) {
+    const comment = this.findComment(data.id);
+    if (!comment || (comment.body === data.body && JSON.stringify(comment.meta) === JSON.stringify(data.meta))) return;
+    comment.setBody(data.body, Utils.cloneDeep(data.meta));
+    this.commentChanged(comment);
+  }
+
+  // Show a comment's new text in the list (and the marker, for the first comment) and report the change
+  commentChanged(comment) {
+    if (this.commentEdit && this.commentEdit.comment === comment) this.stopCommentEdit();
+    this.updateComment(comment);
+    if (comment === this.comments[0]) this.annotation.refreshMarker();
+    this.plugin.annotationState.stateChanged(true);
+    this.plugin.fire('commentEdited', { annotationId: this.annotation.id, commentId: comment.id, comment: comment.data });
   }
 
   // Cancel comment adding process
   closeNewComment() {
     this.unbindCommentFormEvents();
+    if (this.commentEditor) this.commentEditor = this.commentEditor.teardown();
     if (this.wrapEl) removeClass(this.wrapEl, this.UI_CLASSES.active);
+    if (this.formFocusTrap) this.formFocusTrap.release();
+    this.formFocusTrap = null;
     if (this.newCommentFormEl) remove(this.newCommentFormEl);
     this.newCommentFormEl = null;
+    this.replyingTo = null;
     this.$newCommentForm = null;
   }
 
-  // Delete a comment. If it is the only comment, delete the annotation
+  // Delete a comment, if the user can. Deleting the first comment deletes the annotation, with all its replies
   // Update state and re-render UI
   destroyComment(event) {
-    const annotationId = this.annotation.id;
-    if (this.comments.length == 1) {
+    const commentId = this.findCommentId(event);
+    const comment = this.findComment(commentId);
+    if (!comment || !this.plugin.authorize('delete-comment', this.annotation, comment)) return;
+    if (comment === this.comments[0] && !this.plugin.authorize('delete-annotation', this.annotation)) return;
+    this.deleteComment(comment);
+  }
+
+  // Delete a reply (and the replies to it), locally and from storage. The first comment is the annotation's body,
+  // so deleting it deletes the annotation
+  deleteComment(comment) {
+    if (comment === this.comments[0]) {
       this.annotation.teardown();
-    } else {
-      const commentId = this.findCommentId(event);
-      const comment = this.comments.find(c => c.id == commentId);
-      const i = this.comments.indexOf(comment);
-      this.comments.splice(i, 1);
-      this.reRender();
-      this.plugin.fire('commentDeleted', { annotationId, commentId });
+      this.plugin.annotationState.stateChanged(true);
+      return;
     }
+    const replyId = `${this.plugin.options.idPrefix || ''}${comment.id}`;
+    const thread = this.threadOf(comment);
+    this.removeComment(comment);
+    this.plugin.fire('commentDeleted', { annotationId: this.annotation.id, commentId: comment.id });
+    this.plugin.annotationState.persist(this.annotation, 'delete', () => [replyId], {
+      items: [comment],
+      rollback: () => thread.forEach(c => this.restoreComment(c)),
+      reapply: () => this.deleteComment(comment)
+    });
+    const { annotation } = this;
+    const data = thread.map(c => c._internalData);
+    this.plugin.annotationState.recordStep({
+      label: 'Delete reply',
+      undo: () => data.forEach(d => annotation.reinstateReply(d)),
+      redo: () => annotation.deleteReply(comment)
+    });
+  }
 
-    this.plugin.annotationState.stateChanged(true);
+  // Remove a comment (and the replies to it) from the list without saving the change (e.g. rolling back a reply
+  // that failed to save)
+  removeComment(comment) {
+    if (this.comments.indexOf(comment) === -1) return;
+    const thread = this.threadOf(comment);
+    this.comments = this.comments.filter(c => thread.indexOf(c) === -1);
+    if (this.el) this.reRender();
+    this.commentsChanged();
+  }
+
+  // Put a removed comment back (e.g. rolling back a delete that failed to save)
+  restoreComment(comment) {
+    if (this.comments.indexOf(comment) !== -1) return;
+    this.comments.push(comment);
+    this.sortComments();
+    if (this.el) this.reRender();
+    this.commentsChanged();
+  }
+
+  // Show that a change wasn't saved because someone else changed the annotation first
+  // conflict: { message, reapply } - reapply makes the change again, overwriting theirs
+  showConflict(conflict) {
+    this.conflict = conflict;
+    if (this.el) this.reRender();
+  }
+
+  // Keep my change (make it again) or discard it (keeping the rolled back state), and hide the conflict
+  resolveConflict(keepMine) {
+    const { conflict } = this;
+    this.conflict = null;
+    if (this.el) this.reRender();
+    if (keepMine && conflict && conflict.reapply) conflict.reapply();
+    this.plugin.fire('conflictResolved', { annotationId: this.annotation.id, keptMine: keepMine });
   }
 
   findCommentId(event) {
@@ -198,19 +610,23 @@ module.exports = class CommentList extends PlayerUIComponent {
 
   // Edit the annotation (start edit flow)
   handleEditAnnotationClick_() {
+    if (!this.plugin.authorize('shape-edit', this.annotation)) return;
     this.plugin.controls.startEdit(this.annotation);
   }
 
   // Delete the annotation
   handleDeleteAnnotationClick(e) {
-    const confirmEl = document.createElement('a');
-    confirmEl.className = 'vac-delete-confirm';
+    const confirmEl = document.createElement('button');
+    confirmEl.type = 'button';
+    confirmEl.className = 'vac-link vac-delete-confirm';
     confirmEl.textContent = 'CONFIRM';
+    confirmEl.setAttribute('aria-label', 'Confirm delete annotation');
     eventManager.on(confirmEl, 'click.comment', () => {
       eventManager.off(confirmEl, '.comment');
-      this.annotation.teardown();
+      if (this.plugin.authorize('delete-annotation', this.annotation)) this.annotation.teardown();
     });
-    e.target.replaceWith(confirmEl);
+    closest(e.target, '.vac-delete-annotation').replaceWith(confirmEl);
+    confirmEl.focus();
   }
 
   // Unbind listeners for new comments form
@@ -219,8 +635,12 @@ module.exports = class CommentList extends PlayerUIComponent {
   }
 
   // Teardown CommentList UI, unbind events
-  teardown(destroyComments = true) {
+  // restoreFocus: return keyboard focus to where it was before the panel opened
+  teardown(destroyComments = true, restoreFocus = true) {
     this.closeNewComment();
+    if (this.commentEdit) this.commentEdit = this.commentEdit.editor.teardown();
+    if (this.focusTrap) this.focusTrap.release(restoreFocus);
+    this.focusTrap = null;
     if (this.el) {
       eventManager.off(this.el, '.vac-comment');
     }
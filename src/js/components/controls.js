@@ -7,13 +7,24 @@ const PlayerUIComponent = require('./../lib/player_ui_component');
 const Utils = require('./../lib/utils');
 const DraggableMarker = require('./draggable_marker.js');
 const SelectableShape = require('./selectable_shape.js');
+const KeyframeMarkers = require('./keyframe_markers');
 const PlayerButton = require('./player_button');
 const Annotation = require('./annotation');
-const { qs, qsa, addClass, removeClass, hasClass, css, width, height, append, remove, getVal, setText, htmlToEl } = require('../lib/dom');
+const Shapes = require('../lib/shapes');
+const { Keymap } = require('../lib/keymap');
+const FocusTrap = require('../lib/focus_trap');
+const CommentEditor = require('../lib/comment_editor');
+const UndoHistory = require('../lib/undo_history');
+const Timecode = require('../lib/timecode');
+const { qs, qsa, closest, addClass, removeClass, toggleClass, hasClass, css, width, height, append, remove, getVal, setText, htmlToEl } = require('../lib/dom');
 const { EventManager } = require('../lib/events');
 
 const templateName = 'controls';
 
+
+// Changes to the range/shape being added or edited closer together than this (ms) while dragging are one undo step
+const EDIT_MERGE_WINDOW = 250;
+
 // Control uses a "ui state" to determine how UI is rendered - this object is the base state, containing a
 // default value for each item in the state
 const BASE_UI_STATE = Object.freeze({
@@ -22,6 +33,30 @@ const BASE_UI_STATE = Object.freeze({
   editing: false // Are we currently editing an existing annotation's range/shape?
 });
 
+// Keyboard actions, by name: default keys and a description for the help overlay. Each is handled by the
+// `${name}Action` method. Keys can be overridden with the keyBindings option (see Keymap for the key format)
+const KEY_ACTIONS = Object.freeze([
+  { name: 'prevAnnotation', keys: 'arrowleft', description: 'Previous annotation' },
+  { name: 'nextAnnotation', keys: 'arrowright', description: 'Next annotation' },
+  { name: 'newAnnotation', keys: 'n', description: 'New annotation at the playhead' },
+  { name: 'rangeIn', keys: 'i', description: 'Set range start to the playhead' },
+  { name: 'rangeOut', keys: 'o', description: 'Set range end to the playhead' },
+  { name: 'nudgeRangeBack', keys: 'alt+arrowleft', description: 'Move range back a frame' },
+  { name: 'nudgeRangeForward', keys: 'alt+arrowright', description: 'Move range forward a frame' },
+  { name: 'nudgeShapeLeft', keys: 'shift+arrowleft', description: 'Move shape left' },
+  { name: 'nudgeShapeRight', keys: 'shift+arrowright', description: 'Move shape right' },
+  { name: 'nudgeShapeUp', keys: 'shift+arrowup', description: 'Move shape up' },
+  { name: 'nudgeShapeDown', keys: 'shift+arrowdown', description: 'Move shape down' },
+  { name: 'comment', keys: 'c', description: 'Write comment for new annotation' },
+  { name: 'reply', keys: 'r', description: 'Reply to open annotation' },
+  { name: 'save', keys: 'mod+enter', description: 'Save', allowInText: true },
+  { name: 'cancel', keys: 'escape', description: 'Cancel / close', allowInText: true },
+  { name: 'deleteAnnotation', keys: 'shift+delete', description: 'Delete open annotation' },
+  { name: 'undo', keys: 'mod+z', description: 'Undo' },
+  { name: 'redo', keys: ['mod+shift+z', 'mod+y'], description: 'Redo' },
+  { name: 'showHelp', keys: '?', description: 'Show keyboard shortcuts' }
+]);
+
 module.exports = class Controls extends PlayerUIComponent {
   constructor(player, bindArrowKeys) {
     super(player);
@@ -30,8 +65,10 @@ module.exports = class Controls extends PlayerUIComponent {
     this.internalCommenting = this.plugin.options.internalCommenting;
     this.showControls = this.plugin.options.showControls;
     this.uiState = Utils.cloneObject(BASE_UI_STATE);
+    this.shapeType = 'rect'; // Drawing mode used for new shapes (see Shapes.SHAPE_TYPES)
     this.eventManager = new EventManager();
-    this.bindEvents(bindArrowKeys);
+    this.keymap = this.buildKeymap(bindArrowKeys);
+    this.bindEvents();
 
     if (this.showControls) {
       // create player button in the control bar if controls are shown
@@ -42,9 +79,9 @@ module.exports = class Controls extends PlayerUIComponent {
   }
 
   // Bind all the events we need for UI interaction
-  bindEvents(bindArrowKeys) {
+  bindEvents() {
     const playerEl = this.player.el();
-    this.eventManager.on(playerEl, 'click.vac-controls', '.vac-controls button', this.startAddNew.bind(this)); // Add new button click
+    this.eventManager.on(playerEl, 'click.vac-controls', '.vac-controls .vac-add-new', this.startAddNew.bind(this)); // Add new button click
     this.eventManager.on(playerEl, 'click.vac-controls', '.vac-annotation-nav .vac-a-next', () =>
       this.plugin.annotationState.nextAnnotation()
     ); // Click 'next' on annotation nav
@@ -55,38 +92,82 @@ module.exports = class Controls extends PlayerUIComponent {
     this.eventManager.on(playerEl, 'click.vac-controls', '.vac-video-move .vac-a-prev', () => this.marker && this.marker.scrubStart(-1)); // Click '-1 sec' on marker nav
     this.eventManager.on(playerEl, 'click.vac-controls', '.vac-frame-move .vac-f-next', () => this.marker && this.marker.scrubStart(1, 'frame')); // Click '+1 frame' on frame nav
     this.eventManager.on(playerEl, 'click.vac-controls', '.vac-frame-move .vac-f-prev', () => this.marker && this.marker.scrubStart(-1, 'frame')); // Click '-1 frame' on frame nav
+    this.eventManager.on(playerEl, 'click.vac-controls', '.vac-shape-tools .vac-shape-tool', e => {
+      const tool = closest(e.target, '.vac-shape-tool');
+      this.setShapeType(tool.getAttribute('data-shape-type'));
+    }); // Click a drawing tool (box, polygon, freehand)
+    this.eventManager.on(playerEl, 'click.vac-controls', '.vac-keyframe-controls .vac-k-add', this.setKeyframe.bind(this)); // Click '+ key' while editing
+    this.eventManager.on(playerEl, 'click.vac-controls', '.vac-keyframe-controls .vac-k-delete', this.deleteKeyframe.bind(this)); // Click '- key' while editing
+    this.eventManager.on(playerEl, 'change.vac-controls', '.vac-range-fields .vac-range-field', e =>
+      this.setRangeFromField(closest(e.target, '.vac-range-field'))
+    ); // Type a timecode for the range start/end
 
     if (this.internalCommenting) {
-      this.eventManager.on(playerEl, 'click.vac-controls', '.vac-add-controls:not(.vac-edit-controls) button', this.writeComment.bind(this)); // 'Next' button click while adding
+      this.eventManager.on(playerEl, 'click.vac-controls', '.vac-add-controls:not(.vac-edit-controls) .vac-continue', this.writeComment.bind(this)); // 'Next' button click while adding
       this.eventManager.on(
         playerEl,
         'click.vac-controls',
-        '.vac-video-write-new.vac-is-annotation button',
+        '.vac-video-write-new.vac-is-annotation .vac-save',
         this.saveNew.bind(this)
       ); // 'Save' button click while adding
       this.eventManager.on(
         playerEl,
         'click.vac-controls',
-        '.vac-add-controls:not(.vac-edit-controls) a, .vac-video-write-new.vac-is-annotation a',
+        '.vac-add-controls:not(.vac-edit-controls) .vac-cancel, .vac-video-write-new.vac-is-annotation .vac-cancel',
         this.cancelAddNew.bind(this)
       ); // Cancel link click
       this.eventManager.on(playerEl, 'click.vac-controls', '.vac-edit-controls .vac-save-edit', this.saveEdit.bind(this));
       this.eventManager.on(playerEl, 'click.vac-controls', '.vac-edit-controls .vac-cancel-edit', this.cancelEdit.bind(this));
     }
-    if (bindArrowKeys) {
-      this.eventManager.on(document, `keyup.vac-nav-${this.playerId}`, this.handleArrowKeys.bind(this)); // Use arrow keys to navigate annotations
+    // Record changes to the range/shape being added or edited, so they can be undone before saving
+    this.onEditDataChanged = this.onEditDataChanged.bind(this);
+    this.plugin.eventDispatcher.registerListener('addingAnnotationDataChanged', this.onEditDataChanged, false);
+    this.updateRangeFields = this.updateRangeFields.bind(this);
+    this.plugin.eventDispatcher.registerListener('addingAnnotationDataChanged', this.updateRangeFields, false);
+    if (this.keymap) {
+      // Video.js gives the player element a tabindex, so it takes focus when clicked and keys are scoped to it
+      if (!playerEl.hasAttribute('tabindex')) playerEl.setAttribute('tabindex', '-1');
+      this.eventManager.on(playerEl, 'keydown.vac-controls', e => this.keymap.handleKeydown(e));
     }
   }
 
+  // Build the keymap for keyboard actions, applying the keyBindings option (false disables the keyboard)
+  // bindArrowKeys: false leaves prev/next annotation unbound unless keyBindings binds them
+  buildKeymap(bindArrowKeys) {
+    const { keyBindings } = this.plugin.options;
+    if (keyBindings === false) return null;
+
+    const bindings = bindArrowKeys ? {} : { prevAnnotation: null, nextAnnotation: null };
+    const keymap = new Keymap({ ...bindings, ...keyBindings });
+    KEY_ACTIONS.forEach(({ name, keys, description, allowInText }) => {
+      keymap.register(name, {
+        keys,
+        description,
+        allowInText,
+        handler: () => this[`${name}Action`]()
+      });
+    });
+    return keymap;
+  }
+
+  // The active key bindings: [{ action, keys, labels, description }]
+  get keyBindings() {
+    return this.keymap ? this.keymap.list() : [];
+  }
+
   // Remove UI and unbind events for this and child components
   teardown() {
     this.clear(true);
     const playerEl = this.player.el();
     this.eventManager.off(playerEl, '.vac-controls');
-    this.eventManager.off(document, `.vac-nav-${this.playerId}`);
+    this.hideKeyboardHelp();
     this.eventManager.off(document, `.vac-tooltip-${this.playerId}`);
     if (this.playerButton) this.playerButton.teardown();
     this.eventManager.offAll();
+    if (this.plugin.eventDispatcher) {
+      this.plugin.eventDispatcher.unregisterListener('addingAnnotationDataChanged', this.onEditDataChanged);
+      this.plugin.eventDispatcher.unregisterListener('addingAnnotationDataChanged', this.updateRangeFields);
+    }
     super.teardown();
   }
 
@@ -102,6 +183,7 @@ module.exports = class Controls extends PlayerUIComponent {
         this.restoreNormalUI();
         this.marker.teardown();
         this.selectableShape.teardown();
+        this.keyframeMarkers.teardown();
         if (this.editingAnnotation) {
           css(this.editingAnnotation.marker.el, { display: '' });
           this.editingAnnotation = null;
@@ -115,6 +197,7 @@ module.exports = class Controls extends PlayerUIComponent {
       }
     }
     this.$tooltip_ = null;
+    if (this.commentEditor) this.commentEditor = this.commentEditor.teardown();
     // Remove each control element
     const controlEls = qsa(this.player.el(), '.vac-control');
     controlEls.forEach(el => remove(el));
@@ -124,23 +207,26 @@ module.exports = class Controls extends PlayerUIComponent {
   render(reset = false) {
     this.clear(reset);
     const data = {
-      rangeStr: this.marker
-        ? (this.plugin.options.frameRate
-          ? Utils.humanTimeFrames(this.marker.range, this.plugin.options.frameRate)
-          : Utils.humanTime(this.marker.range))
-        : null,
+      rangeStr: this.marker ? Utils.humanRange(this.marker.range, this.plugin.options) : null,
       showNav: this.plugin.annotationState.annotations.length > 1,
       ...this.uiState,
       internalCommenting: this.internalCommenting,
       showControls: this.showControls,
-      allowAdd: this.plugin.options.allowAdd,
-      frameRate: this.plugin.options.frameRate
+      allowAdd: this.plugin.can('add'),
+      frameRate: this.plugin.options.frameRate,
+      shapeType: this.shapeType,
+      timecode: !!this.plugin.options.timecode,
+      markdown: this.plugin.options.markdown,
+      mentions: !!this.plugin.options.userDirectory
     };
 
     const $ctrls = this.renderTemplate(templateName, data);
     const fragment = htmlToEl($ctrls, false);
     this.player.el().appendChild(fragment);
     this.invalidateUICache();
+    const writeEl = qs(this.player.el(), '.vac-video-write-new.vac-is-annotation');
+    if (writeEl) this.commentEditor = new CommentEditor(writeEl, this.plugin.options);
+    this.updateRangeFields();
 
     if (this.playerButton) this.playerButton.updateNumAnnotations();
   }
@@ -156,6 +242,7 @@ module.exports = class Controls extends PlayerUIComponent {
 
   // User clicked 'add' button in the controls - setup UI and marker
   startAddNew() {
+    if (!this.plugin.authorize('add')) return;
     if (!this.plugin.active) this.plugin.toggleAnnotationMode();
 
     this.player.pause();
@@ -178,10 +265,13 @@ module.exports = class Controls extends PlayerUIComponent {
     };
     this.marker = new DraggableMarker(this.player, range);
     this.selectableShape = new SelectableShape(this.player);
+    this.selectableShape.setType(this.shapeType);
 
     // show cursor help text if controls are hidden
     if (!this.showControls) this.bindCursorTooltip();
 
+    this.startEditHistory();
+    this.updateRangeFields();
     this.plugin.fire('enteredAddingAnnotation', { range });
   }
 
@@ -198,7 +288,7 @@ module.exports = class Controls extends PlayerUIComponent {
 
     const a = Annotation.newFromData(
       this.marker.range,
-      this.selectableShape.shape,
+      this.selectableShape.allShapes,
       comment,
       this.plugin
     );
@@ -214,7 +304,7 @@ module.exports = class Controls extends PlayerUIComponent {
     this.player.pause();
     this.editingAnnotation = annotation;
     this.editOriginalRange = Utils.cloneObject(annotation.range);
-    this.editOriginalShape = annotation.shape ? Utils.cloneObject(annotation.shape) : null;
+    this.editOriginalShape = Utils.cloneDeep(annotation.shape) || null;
 
     // Close annotation UI but keep reference
     annotation.close(true);
@@ -228,35 +318,126 @@ module.exports = class Controls extends PlayerUIComponent {
     const range = Utils.cloneObject(annotation.range);
     this.marker = new DraggableMarker(this.player, range);
     this.selectableShape = new SelectableShape(this.player, annotation.shape);
+    this.selectableShape.setType(this.shapeType);
+
+    // Keyframes are edited on a copy, which is only written back to the annotation on save
+    this.editKeyframes = Utils.cloneDeep(annotation.keyframes) || [];
+    this.selectedKeyframe = null;
+    this.keyframeMarkers = new KeyframeMarkers(this.player, {
+      onSelect: this.selectKeyframe.bind(this),
+      onMove: this.moveKeyframe.bind(this)
+    });
+    this.keyframeMarkers.render(this.editKeyframes);
 
     if (!this.showControls) this.bindCursorTooltip();
+    this.startEditHistory();
+    this.updateRangeFields();
+  }
+
+  // Round a time (in seconds) to the precision used for ranges: whole frames or whole seconds
+  roundTime(time) {
+    const { frameRate } = this.plugin.options;
+    if (frameRate) return Math.round(time * frameRate) / frameRate;
+    return parseInt(time, 10);
+  }
+
+  // Set a keyframe at the current time using the shape currently drawn (replacing any keyframe at that time)
+  setKeyframe() {
+    if (!this.uiState.editing) return;
+    const shape = Utils.cloneDeep(this.selectableShape.allShapes);
+    if (!shape) return;
+    const time = this.roundTime(this.currentTime);
+
+    // When an annotation with a static shape gets its first keyframe, the static shape becomes the keyframe at start
+    const staticShape = this.editingAnnotation.shape;
+    const rangeStart = this.marker.range.start;
+    if (!this.editKeyframes.length && staticShape && time !== rangeStart) {
+      this.editKeyframes.push({ time: rangeStart, shape: Utils.cloneDeep(staticShape) });
+    }
+
+    const existing = this.editKeyframes.find(kf => kf.time === time);
+    if (existing) {
+      existing.shape = shape;
+    } else {
+      this.editKeyframes.push({ time, shape });
+      this.editKeyframes.sort((a, b) => a.time - b.time);
+    }
+    this.selectedKeyframe = this.editKeyframes.findIndex(kf => kf.time === time);
+    this.keyframesChanged();
+  }
+
+  // Delete the selected keyframe, or the keyframe at the current time
+  deleteKeyframe() {
+    if (!this.uiState.editing) return;
+    let index = this.selectedKeyframe;
+    if (index === null) {
+      const time = this.roundTime(this.currentTime);
+      index = this.editKeyframes.findIndex(kf => kf.time === time);
+    }
+    if (index === null || index === -1) return;
+    this.editKeyframes.splice(index, 1);
+    this.selectedKeyframe = null;
+    this.keyframesChanged();
+  }
+
+  // Select a keyframe: seek to it and load its shape for editing
+  selectKeyframe(index) {
+    const keyframe = this.editKeyframes[index];
+    if (!keyframe) return;
+    this.selectedKeyframe = index;
+    this.currentTime = keyframe.time;
+    this.selectableShape.setShape(keyframe.shape);
+    this.keyframeMarkers.render(this.editKeyframes, index);
+  }
+
+  // Move a keyframe to a new time (replacing any other keyframe already at that time)
+  moveKeyframe(index, time) {
+    const keyframe = this.editKeyframes[index];
+    if (!keyframe) return;
+    this.editKeyframes = this.editKeyframes.filter(kf => kf === keyframe || kf.time !== time);
+    keyframe.time = time;
+    this.editKeyframes.sort((a, b) => a.time - b.time);
+    this.selectedKeyframe = this.editKeyframes.indexOf(keyframe);
+    this.currentTime = time;
+    this.keyframesChanged();
+  }
+
+  // Redraw keyframe ticks and notify listeners after keyframes were added, moved or deleted
+  keyframesChanged() {
+    this.keyframeMarkers.render(this.editKeyframes, this.selectedKeyframe);
+    this.plugin.fire('addingAnnotationDataChanged', { keyframes: this.editKeyframes });
   }
 
   // Save edits to the annotation
   saveEdit() {
     const annotation = this.editingAnnotation;
-    annotation.range = Utils.cloneObject(this.marker.range);
-    if (this.selectableShape.shape) {
-      annotation.shape = Utils.cloneObject(this.selectableShape.shape);
+    const previous = annotation.geometry;
+    const { geometry } = annotation;
+    geometry.range = Utils.cloneObject(this.marker.range);
+    if (this.editKeyframes.length) {
+      // The first keyframe doubles as the static shape for consumers that don't read keyframes
+      geometry.keyframes = this.editKeyframes;
+      geometry.shape = Utils.cloneDeep(this.editKeyframes[0].shape);
+    } else {
+      geometry.keyframes = null;
+      const shape = this.selectableShape.allShapes;
+      if (shape) geometry.shape = Utils.cloneDeep(shape);
     }
-    annotation.secondsActive = annotation.buildSecondsActiveArray();
 
     // Rebuild marker
-    annotation.marker.teardown();
-    annotation.buildMarker();
-    annotation.bindEvents();
+    annotation.setGeometry(geometry);
 
     // Teardown editing UI
     this.marker.teardown();
     this.selectableShape.teardown();
+    this.keyframeMarkers.teardown();
     this.editingAnnotation = null;
     this.uiState.editing = false;
     this.restoreNormalUI();
     this.render(false);
     this.marker = null;
 
-    this.plugin.annotationState.stateChanged();
-    this.plugin.fire('annotationEdited', { id: annotation.id, annotation: annotation.data });
+    this.plugin.annotationState.annotationEdited(annotation, previous);
   }
 
   // Cancel editing, restore original range/shape
@@ -268,6 +449,7 @@ module.exports = class Controls extends PlayerUIComponent {
     // Teardown editing UI
     this.marker.teardown();
     this.selectableShape.teardown();
+    this.keyframeMarkers.teardown();
     css(annotation.marker.el, { display: '' });
     this.editingAnnotation = null;
     this.uiState.editing = false;
@@ -276,6 +458,22 @@ module.exports = class Controls extends PlayerUIComponent {
     this.marker = null;
   }
 
+  // Set the drawing mode for shapes drawn while adding/editing
+  setShapeType(type) {
+    if (Shapes.SHAPE_TYPES.indexOf(type) === -1) return;
+    this.shapeType = type;
+    if (this.selectableShape) this.selectableShape.setType(type);
+    qsa(this.player.el(), '.vac-shape-tools .vac-shape-tool').forEach(el => {
+      const selected = el.getAttribute('data-shape-type') === type;
+      if (selected) {
+        addClass(el, this.UI_CLASSES.active);
+      } else {
+        removeClass(el, this.UI_CLASSES.active);
+      }
+      el.setAttribute('aria-pressed', selected ? 'true' : 'false');
+    });
+  }
+
   // Change normal UI (hide markers, hide playback, etc) on init add state
   setAddingUI() {
     this.plugin.annotationState.enabled = false;
@@ -284,18 +482,299 @@ module.exports = class Controls extends PlayerUIComponent {
 
   // Restore normal UI after add state
   restoreNormalUI() {
+    this.endEditHistory();
     this.plugin.annotationState.enabled = this.plugin.active;
     this.enablePlayingAndControl();
-    this.eventManager.off(document, `mousemove.vac-tooltip-${this.playerId}`);
+    this.eventManager.off(document, `pointermove.vac-tooltip-${this.playerId}`);
+  }
+
+  // Keyboard actions, named after their KEY_ACTIONS entry. Each returns whether it applied; when it didn't the
+  // key is left to the player/page
+
+  prevAnnotationAction() {
+    if (!this.plugin.active || this.uiState.adding || this.uiState.editing) return false;
+    this.plugin.annotationState.prevAnnotation();
+    return true;
+  }
+
+  nextAnnotationAction() {
+    if (!this.plugin.active || this.uiState.adding || this.uiState.editing) return false;
+    this.plugin.annotationState.nextAnnotation();
+    return true;
+  }
+
+  newAnnotationAction() {
+    if (!this.plugin.can('add') || !this.internalCommenting) return false;
+    if (this.uiState.adding || this.uiState.editing) return false;
+    this.startAddNew();
+    return true;
   }
 
-  // On arrow key press, navigate to next or prev Annotation
-  handleArrowKeys(e) {
-    if (!this.plugin.active) return;
-    const keyId = e.which;
+  rangeInAction() {
+    return this.setRangeEdge('start');
+  }
+
+  rangeOutAction() {
+    return this.setRangeEdge('end');
+  }
+
+  nudgeRangeBackAction() {
+    return this.nudgeRange(-1);
+  }
+
+  nudgeRangeForwardAction() {
+    return this.nudgeRange(1);
+  }
 
-    if (keyId == 37) this.plugin.annotationState.prevAnnotation();
-    if (keyId == 39) this.plugin.annotationState.nextAnnotation();
+  nudgeShapeLeftAction() {
+    return this.nudgeShape(-1, 0);
+  }
+
+  nudgeShapeRightAction() {
+    return this.nudgeShape(1, 0);
+  }
+
+  nudgeShapeUpAction() {
+    return this.nudgeShape(0, -1);
+  }
+
+  nudgeShapeDownAction() {
+    return this.nudgeShape(0, 1);
+  }
+
+  commentAction() {
+    if (!this.internalCommenting || !this.uiState.adding || this.uiState.writingComment) return false;
+    this.writeComment();
+    this.focusCommentTextarea();
+    return true;
+  }
+
+  replyAction() {
+    const annotation = this.plugin.annotationState.currentAnnotation;
+    if (!this.internalCommenting || !annotation || annotation.commentList.newCommentFormEl) return false;
+    if (!annotation.commentList.can('reply')) return false;
+    annotation.commentList.addNewComment();
+    this.focusCommentTextarea();
+    return true;
+  }
+
+  saveAction() {
+    if (!this.internalCommenting) return false;
+    const annotation = this.plugin.annotationState.currentAnnotation;
+    if (annotation && annotation.commentList.commentEdit) {
+      annotation.commentList.saveCommentEdit();
+    } else if (annotation && annotation.commentList.newCommentFormEl) {
+      annotation.commentList.saveNewComment();
+    } else if (this.uiState.writingComment) {
+      this.saveNew();
+    } else if (this.uiState.editing) {
+      this.saveEdit();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  cancelAction() {
+    const annotation = this.plugin.annotationState.currentAnnotation;
+    if (this.keyboardHelpEl) {
+      this.hideKeyboardHelp();
+    } else if (annotation && annotation.commentList.commentEdit) {
+      annotation.commentList.stopCommentEdit();
+    } else if (annotation && annotation.commentList.newCommentFormEl) {
+      annotation.commentList.closeNewComment();
+    } else if (this.uiState.editing) {
+      this.cancelEdit();
+    } else if (this.uiState.adding) {
+      this.cancelAddNew();
+    } else if (annotation) {
+      annotation.close();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  undoAction() {
+    if (this.uiState.writingComment) return false;
+    return this.undo();
+  }
+
+  redoAction() {
+    if (this.uiState.writingComment) return false;
+    return this.redo();
+  }
+
+  deleteAnnotationAction() {
+    const annotation = this.plugin.annotationState.currentAnnotation;
+    if (!annotation || !this.plugin.authorize('delete-annotation', annotation)) return false;
+    annotation.teardown();
+    return true;
+  }
+
+  showHelpAction() {
+    this.toggleKeyboardHelp();
+    return true;
+  }
+
+  // Show/hide the overlay listing the active keyboard shortcuts
+  toggleKeyboardHelp() {
+    if (this.keyboardHelpEl) {
+      this.hideKeyboardHelp();
+      return;
+    }
+    this.keyboardHelpEl = htmlToEl(this.renderTemplate('keyboard_help', { bindings: this.keyBindings }), true);
+    this.eventManager.on(this.keyboardHelpEl, 'click.vac-keyboard-help', this.hideKeyboardHelp.bind(this));
+    append(this.player.el(), this.keyboardHelpEl);
+    this.keyboardHelpTrap = new FocusTrap(this.keyboardHelpEl, this.player.el());
+    this.keyboardHelpTrap.activate();
+  }
+
+  hideKeyboardHelp() {
+    if (!this.keyboardHelpEl) return;
+    this.keyboardHelpTrap.release();
+    this.keyboardHelpTrap = null;
+    this.eventManager.off(this.keyboardHelpEl, '.vac-keyboard-help');
+    remove(this.keyboardHelpEl);
+    this.keyboardHelpEl = null;
+  }
+
+  // The undo history that applies now: changes to the range/shape while adding or editing, else to the annotations
+  get history() {
+    return this.editHistory || this.plugin.annotationState.history;
+  }
+
+  get canUndo() {
+    return this.history.canUndo;
+  }
+
+  get canRedo() {
+    return this.history.canRedo;
+  }
+
+  // Undo the last change, returning whether there was one
+  undo() {
+    if (!this.editHistory) return this.plugin.annotationState.undo();
+    return !!this.editHistory.undo();
+  }
+
+  // Redo the last undone change, returning whether there was one
+  redo() {
+    if (!this.editHistory) return this.plugin.annotationState.redo();
+    return !!this.editHistory.redo();
+  }
+
+  historyChanged() {
+    const { canUndo, canRedo, undoLabel, redoLabel } = this.history;
+    this.plugin.fire('historyChanged', { canUndo, canRedo, undoLabel, redoLabel, editing: !!this.editHistory });
+  }
+
+  // Start recording changes to the range/shape/keyframes being added or edited
+  startEditHistory() {
+    this.editHistory = new UndoHistory({ mergeWindow: EDIT_MERGE_WINDOW, onChange: () => this.historyChanged() });
+    this.editSnapshot = this.editState;
+    this.historyChanged();
+  }
+
+  // Stop recording changes when adding/editing ends: undo goes back to applying to the annotations
+  endEditHistory() {
+    if (!this.editHistory) return;
+    this.editHistory = null;
+    this.editSnapshot = null;
+    this.historyChanged();
+  }
+
+  // The range, shapes and keyframes being added or edited
+  get editState() {
+    return {
+      range: Utils.cloneObject(this.marker.range),
+      shape: Utils.cloneDeep(this.selectableShape.allShapes) || null,
+      keyframes: this.uiState.editing ? Utils.cloneDeep(this.editKeyframes) : []
+    };
+  }
+
+  // Set the range, shapes and keyframes being added or edited (undoing or redoing a change)
+  setEditState(state) {
+    this.editSnapshot = state;
+    this.marker.range = Utils.cloneObject(state.range);
+    this.marker.render();
+    this.selectableShape.setShape(state.shape);
+    if (this.uiState.editing) {
+      this.editKeyframes = Utils.cloneDeep(state.keyframes);
+      this.selectedKeyframe = null;
+      this.keyframeMarkers.render(this.editKeyframes);
+    }
+    this.restoringEditState = true;
+    this.plugin.fire('addingAnnotationDataChanged', Utils.cloneDeep(state));
+    this.restoringEditState = false;
+  }
+
+  // Record a change to the range/shape/keyframes being added or edited. While dragging, the stream of changes is
+  // merged into one step
+  onEditDataChanged() {
+    if (!this.editHistory || this.restoringEditState || !this.marker || !this.selectableShape) return;
+    const previous = this.editSnapshot;
+    const next = this.editState;
+    if (JSON.stringify(previous) === JSON.stringify(next)) return;
+    this.editSnapshot = next;
+
+    const shape = this.selectableShape;
+    const dragging = this.marker.dragging || shape.dragging || shape.drawing || !!shape.transform;
+    this.editHistory.record({
+      label: 'Change range/shape',
+      mergeKey: dragging ? 'drag' : null,
+      undo: () => this.setEditState(previous),
+      redo: () => this.setEditState(next)
+    });
+  }
+
+  // Set the start or end of the range being added/edited to the playhead
+  setRangeEdge(edge) {
+    if (!this.marker || this.uiState.writingComment) return false;
+    this.marker.setRangeEdge(edge, this.currentTime);
+    return true;
+  }
+
+  // Set the start or end of the range being added/edited to the time typed in its range field (timecode, or
+  // anything else Timecode.parseTime reads), marking the field invalid if it isn't a time
+  setRangeFromField(field) {
+    if (!this.marker || !field) return;
+    const time = Timecode.parseTime(getVal(field), this.plugin.options);
+    const valid = time !== null && time <= this.duration;
+    toggleClass(field, 'vac-invalid', !valid);
+    field.setAttribute('aria-invalid', valid ? 'false' : 'true');
+    if (valid) this.marker.setRangeEdge(field.getAttribute('data-edge'), time);
+  }
+
+  // Show the range being added/edited in the range fields
+  updateRangeFields() {
+    if (!this.marker) return;
+    qsa(this.player.el(), '.vac-range-fields .vac-range-field').forEach(field => {
+      const edge = field.getAttribute('data-edge');
+      getVal(field, Timecode.toTimecode(edge === 'start' ? this.marker.range.start : this.marker.rangeEnd, this.plugin.options));
+      removeClass(field, 'vac-invalid');
+      field.setAttribute('aria-invalid', 'false');
+    });
+  }
+
+  // Move the range being added/edited by some frames (seconds without a frameRate)
+  nudgeRange(amount) {
+    if (!this.marker || this.uiState.writingComment) return false;
+    this.marker.moveRange(amount, 'frame');
+    return true;
+  }
+
+  // Move the selected shape being added/edited by dx/dy percent
+  nudgeShape(dx, dy) {
+    if (!this.selectableShape || !this.selectableShape.shape || this.uiState.writingComment) return false;
+    this.selectableShape.nudge(dx, dy);
+    return true;
+  }
+
+  // Focus the textarea of a comment form that was just opened
+  focusCommentTextarea() {
+    const textarea = qs(this.player.el(), '.vac-video-write-new textarea');
+    if (textarea) textarea.focus();
   }
 
   // Adds help text to cursor during annotation mode
@@ -314,10 +793,16 @@ module.exports = class Controls extends PlayerUIComponent {
     this.plugin.setBounds(false);
     this.eventManager.on(
       document,
-      `mousemove.vac-tooltip-${this.playerId}`,
+      `pointermove.vac-tooltip-${this.playerId}`,
       Utils.throttle(event => {
         if (!this.plugin.bounds) return;
 
+        // There's no cursor to follow for touch/pen, which only produce pointer moves while dragging
+        if (event.pointerType !== 'mouse') {
+          addClass(tooltipEl, this.UI_CLASSES.hidden);
+          return;
+        }
+
         const x = event.pageX;
         const y = event.pageY;
         const outOfBounds =
@@ -348,7 +833,7 @@ module.exports = class Controls extends PlayerUIComponent {
           : cursorY + margin;
 
         // hide if the cursor is over the control bar but not hovering over the draggable marker
-        // also hide if mouse is down
+        // also hide if the pointer is down
         if ((withinControls && !markerHovered) || hasClass(tooltipEl, 'vac-cursor-dragging')) {
           addClass(tooltipEl, this.UI_CLASSES.hidden);
         } else {
@@ -0,0 +1,74 @@
+/*
+    Component that keeps an AnnotationDocument (see lib/crdt) in step with AnnotationState, for offline-first
+    editing: every local change is committed to the document, and updates merged from other copies of the document
+    are applied to the annotations one change at a time.
+
+    Each change fires 'documentUpdate' with the binary update, the document's state vector and its origin ('local'
+    changes are the ones to send to other copies; save both to keep the document offline). Updates from other
+    copies are merged with the 'applyDocumentUpdate' event.
+*/
+
+const PlayerComponent = require('../lib/player_component');
+const { encodeOps } = require('../lib/crdt/encoding');
+
+module.exports = class DocumentBinding extends PlayerComponent {
+  constructor(player, doc) {
+    super(player);
+    this.document = doc;
+    this.initAPI(this, 'DocumentBinding');
+
+    // A document with operations (e.g. saved while offline) has the annotations to show,
+    // otherwise it starts with the annotations already loaded
+    if (this.document.isEmpty) {
+      this.document.commit(this.state._internalData);
+    } else {
+      this.state.setAnnotationsFromData(this.document.toData());
+    }
+
+    this.onStateChanged = () => this.commit();
+    this.plugin.eventDispatcher.registerListener('onStateChanged', this.onStateChanged, false);
+  }
+
+  get state() {
+    return this.plugin.annotationState;
+  }
+
+  // Commit local changes to the document
+  commit() {
+    if (this.applying || !this.state) return;
+    const ops = this.document.commit(this.state._internalData);
+    if (ops.length) this.updated(ops, 'local');
+  }
+
+  // Merge an update (from AnnotationDocument.encodeUpdate) and apply the resulting changes to the annotations
+  applyUpdate(update) {
+    let ops;
+    try {
+      ops = this.document.applyUpdate(update);
+    } catch (error) {
+      this.plugin.fire('documentError', { error });
+      return;
+    }
+    if (!ops.length) return;
+
+    this.applying = true;
+    try {
+      this.state.applyRemoteChange(() => this.state.reconcile(this.document.toData()));
+    } finally {
+      this.applying = false;
+    }
+    this.updated(ops, 'remote');
+  }
+
+  updated(ops, origin) {
+    this.plugin.fire('documentUpdate', { update: encodeOps(ops), stateVector: this.document.stateVector(), origin });
+  }
+
+  teardown() {
+    if (this.plugin && this.plugin.eventDispatcher) {
+      this.plugin.eventDispatcher.unregisterListener('onStateChanged', this.onStateChanged);
+    }
+    super.teardown();
+    return null;
+  }
+};
@@ -1,11 +1,25 @@
 /*
     Component for a timeline marker that is draggable when user clicks/drags on it, and rebuilds underlying range
-    as drag occurs
+    as drag occurs. The range start and end each have a handle that can be dragged on its own, dragging the body of
+    the marker moves the whole range. The range is shown as a live readout while dragging.
+    Dragging uses Pointer Events (with the pointer captured by the marker wrap) so it works with touch too. A second
+    touch point or a cancelled pointer puts the range back where the drag started.
+    The handles are also sliders for keyboard users: arrow keys move them a frame (or second), or 10 with shift.
 */
 
 const Marker = require('./marker');
 const Utils = require('../lib/utils');
-const { offset, innerWidth, addClass, removeClass, qs } = require('../lib/dom');
+const {
+  offset,
+  innerWidth,
+  addClass,
+  removeClass,
+  closest,
+  data,
+  qs,
+  capturePointer,
+  releasePointer
+} = require('../lib/dom');
 const { sharedManager: eventManager } = require('../lib/events');
 
 const markerTemplateName = 'draggable_marker';
@@ -16,24 +30,41 @@ module.exports = class DraggableMarker extends Marker {
     this.range = range; // NOTE - this shouldn't be required and is a HACK for how transpilation works in IE10
     this.templateName = markerTemplateName; // Change template from base Marker template
     this.dragging = false; // Is a drag action currently occring?
-    this.rangePin = range.start; // What's the original pinned timeline point when marker was added
+    this.dragMode = null; // What is being dragged: 'start', 'end' or 'range'
     this.render();
     this.parentEl = this.$UI.markerWrap; // Set parent as marker wrap (raw element)
   }
 
   // Bind needed events for UI interaction
   bindMarkerEvents() {
-    // On mouse down init drag
-    eventManager.on(this.el, 'mousedown.vac-marker', e => {
+    // On pointer down init drag
+    eventManager.on(this.el, 'pointerdown.vac-marker', e => {
       e.preventDefault();
-      this.dragging = true;
-      // When mouse moves (with mouse down) call onDrag, throttling to once each 250 ms
+      if (!e.isPrimary) {
+        this.cancelDrag();
+        return;
+      }
+      this.startDrag(e);
+      capturePointer(this.parentEl, e);
+      eventManager.off(document, `.vac-dmarker-${this.playerId}`);
+      // When pointer moves (while down) call onDrag, throttling to once each 100 ms
       eventManager.on(
         document,
-        `mousemove.vac-dmarker-${this.playerId}`,
-        Utils.throttle(this.onDrag.bind(this), 250)
+        `pointermove.vac-dmarker-${this.playerId}`,
+        Utils.throttle(this.onDrag.bind(this), 100)
       );
 
+      // On pointer up end drag action. Document listeners are only bound while dragging, as the marker re-renders
+      // (and binds its events again) as it is dragged
+      eventManager.on(document, `pointerup.vac-dmarker-${this.playerId}`, ev => {
+        if (!this.dragging || !ev.isPrimary) return;
+        releasePointer(this.parentEl, ev);
+        this.endDrag();
+      });
+
+      // The browser took over the pointer (e.g. to scroll or zoom)
+      eventManager.on(document, `pointercancel.vac-dmarker-${this.playerId}`, () => this.cancelDrag());
+
       // Add drag class to cursor tooltip if available
       if (!this.plugin.options.showControls) {
         const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
@@ -44,64 +75,171 @@ module.exports = class DraggableMarker extends Marker {
       }
     });
 
-    // On mouse up end drag action and unbind mousemove event
-    eventManager.on(document, `mouseup.vac-dmarker-${this.playerId}`, e => {
-      if (!this.dragging) return;
-      eventManager.off(document, `mousemove.vac-dmarker-${this.playerId}`);
-      this.dragging = false;
+    // Arrow keys on a focused handle move that end of the range
+    eventManager.on(this.el, 'keydown.vac-marker', '.vac-marker-handle', this.onHandleKeydown.bind(this));
 
-      // Remove drag class and hover class from cursor tooltip if available
-      if (!this.plugin.options.showControls) {
-        const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
-        if (tooltip) {
-          removeClass(tooltip, 'vac-cursor-dragging');
-          removeClass(tooltip, 'vac-marker-hover');
-        }
-      }
-    });
-
-    // On mouse enter, show cursor tooltip if controls are not shown
+    // On pointer enter, show cursor tooltip if controls are not shown
     // This adds the class which is picked up in Controls
     if (!this.plugin.options.showControls) {
-      eventManager.on(this.el, 'mouseenter.vac-cursor-tool-tip', () => {
+      eventManager.on(this.el, 'pointerenter.vac-cursor-tool-tip', () => {
         const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
         if (tooltip) addClass(tooltip, 'vac-marker-hover');
       });
-      eventManager.on(this.el, 'mouseleave.vac-cursor-tool-tip', () => {
+      eventManager.on(this.el, 'pointerleave.vac-cursor-tool-tip', () => {
         const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
         if (tooltip) removeClass(tooltip, 'vac-marker-hover');
       });
     }
   }
 
-  // On drag action, calculate new range and re-render marker
-  onDrag(e) {
-    const dragPercent = this.percentValFromXpos(e.pageX);
-    const frameRate = this.plugin.options.frameRate;
-    let secVal;
-    if (frameRate) {
-      const rawSec = this.duration * dragPercent;
-      const frame = Math.round(rawSec * frameRate);
-      secVal = frame / frameRate;
+  // Work out what is being dragged from where the marker was grabbed
+  startDrag(e) {
+    this.dragging = true;
+    this.dragStartRange = Utils.cloneObject(this.range);
+    const handle = closest(e.target, '.vac-marker-handle');
+    if (handle) {
+      this.dragMode = data(handle, 'drag');
+    } else if (!this.hasRange) {
+      // A range that wasn't extended yet grows from its start
+      this.dragMode = 'end';
     } else {
-      secVal = parseInt(this.duration * dragPercent);
+      this.dragMode = 'range';
+      this.dragOrigin = this.secondsFromXpos(e.pageX);
     }
+    addClass(this.el, 'vac-marker-dragging');
+  }
+
+  // Stop dragging and unbind the document pointer events
+  endDrag() {
+    eventManager.off(document, `.vac-dmarker-${this.playerId}`);
+    this.dragging = false;
+    this.dragMode = null;
+    removeClass(this.el, 'vac-marker-dragging');
+
+    // Remove drag class and hover class from cursor tooltip if available
+    if (!this.plugin.options.showControls) {
+      const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
+      if (tooltip) {
+        removeClass(tooltip, 'vac-cursor-dragging');
+        removeClass(tooltip, 'vac-marker-hover');
+      }
+    }
+  }
+
+  // Abandon a drag, restoring the range from before it began
+  cancelDrag() {
+    if (!this.dragging) return;
+    this.endDrag();
+    this.range = this.dragStartRange;
+    this.render();
+    this.plugin.fire('addingAnnotationDataChanged', { range: this.range });
+  }
+
+  // Move the focused handle's edge with the arrow keys, keeping focus on it after re-rendering
+  onHandleKeydown(e) {
+    const direction = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 }[e.key];
+    if (!direction || e.altKey || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const edge = data(closest(e.target, '.vac-marker-handle'), 'drag');
+    const { frameRate } = this.plugin.options;
+    const step = (e.shiftKey ? 10 : 1) / (frameRate || 1);
+    const current = edge === 'start' ? this.range.start : this.rangeEnd;
+    this.setRangeEdge(edge, current + direction * step);
 
-    if (secVal > this.rangePin) {
-      this.range = {
-        start: this.rangePin,
-        end: secVal
-      };
+    const handle = qs(this.el, `[data-drag="${edge}"]`);
+    if (handle) handle.focus();
+  }
+
+  // Template data, adding slider attributes for the handles
+  get markerTemplateData() {
+    const timeStr = time => Utils.humanRange({ start: time }, this.plugin.options);
+    return {
+      ...super.markerTemplateData,
+      duration: this.duration,
+      handles: [
+        { edge: 'start', label: 'Range start', value: this.range.start, valueText: timeStr(this.range.start) },
+        { edge: 'end', label: 'Range end', value: this.rangeEnd, valueText: timeStr(this.rangeEnd) }
+      ]
+    };
+  }
+
+  // Does the marker span a range (rather than a single point in time)?
+  get hasRange() {
+    return this.range.end != null && this.range.end !== this.range.start;
+  }
+
+  // On drag action, calculate new range and re-render marker
+  onDrag(e) {
+    if (!this.dragging) return;
+    const secVal = this.secondsFromXpos(e.pageX);
+
+    if (this.dragMode === 'range') {
+      this.range = this.shiftedRange(this.dragStartRange, secVal - this.dragOrigin);
     } else {
-      this.range = {
-        start: secVal,
-        end: this.rangePin
-      };
+      // Move one end of the range, swapping handles if it's dragged past the other end
+      const pin = this.dragMode === 'start' ? this.rangeEnd : this.range.start;
+      if (secVal > pin) {
+        this.range = { start: pin, end: secVal };
+        this.dragMode = 'end';
+      } else {
+        this.range = { start: secVal, end: pin };
+        this.dragMode = 'start';
+      }
     }
     this.render();
+    addClass(this.el, 'vac-marker-dragging');
+    this.plugin.fire('addingAnnotationDataChanged', { range: this.range });
+  }
+
+  // Move a whole range by some seconds, keeping its length and stopping at the ends of the timeline
+  shiftedRange(range, delta) {
+    const length = range.end != null ? range.end - range.start : 0;
+    const newStart = Math.max(0, Math.min(this.duration - length, range.start + delta));
+    const shifted = { start: this.snapSeconds(newStart) };
+    if (range.end != null) shifted.end = this.snapSeconds(newStart + length);
+    return shifted;
+  }
+
+  // Move the whole range by some amount (pos or neg)
+  // unit: 'second' (default) or 'frame'
+  moveRange(amount, unit = 'second') {
+    const frameRate = this.plugin.options.frameRate;
+    const delta = unit === 'frame' && frameRate ? amount / frameRate : amount;
+    this.range = this.shiftedRange(this.range, delta);
+    this.render();
+    this.plugin.fire('addingAnnotationDataChanged', { range: this.range });
+  }
+
+  // Set the start ('start') or end ('end') of the range to a time, like setting in/out points in an editor.
+  // Setting an edge past the other one collapses the range onto the new time
+  setRangeEdge(edge, time) {
+    const sec = this.snapSeconds(Math.max(0, Math.min(this.duration, time)));
+    const start = edge === 'start' ? sec : this.range.start;
+    const end = edge === 'end' ? sec : this.rangeEnd;
+    this.range = edge === 'start' && sec > end ? { start: sec, end: sec } : { start: Math.min(start, end), end };
+    this.render();
     this.plugin.fire('addingAnnotationDataChanged', { range: this.range });
   }
 
+  // End of the range, which is the start for a marker that wasn't extended yet
+  get rangeEnd() {
+    return this.range.end != null ? this.range.end : this.range.start;
+  }
+
+  // Snap a time (in seconds) to whole frames, or whole seconds without a frameRate
+  snapSeconds(sec) {
+    const { frameRate } = this.plugin.options;
+    if (frameRate) return Math.round(sec * frameRate) / frameRate;
+    return parseInt(sec, 10);
+  }
+
+  // Calculate the (snapped) time for a pixel-based X position on the document
+  secondsFromXpos(xpos) {
+    return this.snapSeconds(this.duration * this.percentValFromXpos(xpos));
+  }
+
   // Calculate percentage (of video) position for a pixel-based X position on the document
   percentValFromXpos(xpos) {
     const rect = offset(this.parentEl);
@@ -117,7 +255,7 @@ module.exports = class DraggableMarker extends Marker {
   teardown() {
     eventManager.off(document, `.vac-dmarker-${this.playerId}`);
     eventManager.off(this.el, '.vac-cursor-tool-tip');
-    eventManager.off(this.el, 'mousedown.vac-marker');
+    eventManager.off(this.el, 'pointerdown.vac-marker');
     super.teardown();
   }
 
@@ -134,7 +272,7 @@ module.exports = class DraggableMarker extends Marker {
     const newStart = this.range.start + delta;
     this.currentTime = newStart;
     this.range.start = newStart;
-    this.rangePin = newStart;
+    if (this.range.end != null && this.range.end < newStart) this.range.end = newStart;
     this.teardown();
     this.render();
 
@@ -0,0 +1,119 @@
+/*
+    Component for the keyframe ticks drawn on the timeline while editing an annotation's shape
+    A tick can be clicked to select (and seek to) its keyframe, or dragged along the timeline to move it in time
+    (with Pointer Events, so touch works too). Ticks can be focused and selected with Enter/Space
+*/
+
+const PlayerUIComponent = require('../lib/player_ui_component');
+const Utils = require('../lib/utils');
+const { htmlToEl, append, offset, innerWidth, css, closest, capturePointer, releasePointer } = require('../lib/dom');
+const { sharedManager: eventManager } = require('../lib/events');
+
+const templateName = 'keyframe_markers';
+
+module.exports = class KeyframeMarkers extends PlayerUIComponent {
+  // callbacks: { onSelect(index), onMove(index, time) }
+  constructor(player, callbacks) {
+    super(player);
+    this.callbacks = callbacks;
+    this.dragIndex = null; // Index of the keyframe being dragged
+  }
+
+  // Draw a tick on the timeline for each keyframe
+  render(keyframes, selectedIndex = null) {
+    this.teardown();
+    const data = {
+      keyframes: keyframes.map((kf, index) => ({
+        index,
+        left: `${(kf.time / this.duration) * 100}%`,
+        selected: index === selectedIndex,
+        timeStr: Utils.humanRange({ start: kf.time }, this.plugin.options)
+      }))
+    };
+    this.el = htmlToEl(this.renderTemplate(templateName, data), true);
+    append(this.$UI.markerWrap, this.el);
+    this.bindEvents();
+  }
+
+  // Bind drag + click events for the ticks
+  bindEvents() {
+    eventManager.on(this.el, 'pointerdown.vac-keyframe', '.vac-keyframe', e => {
+      e.preventDefault();
+      if (!e.isPrimary) {
+        this.cancelDrag();
+        return;
+      }
+      const tick = closest(e.target, '.vac-keyframe');
+      this.dragIndex = parseInt(tick.getAttribute('data-keyframe-index'), 10);
+      this.dragTick = tick;
+      this.dragTime = null;
+      this.dragStartLeft = tick.style.left;
+      capturePointer(this.el, e);
+
+      eventManager.on(
+        document,
+        `pointermove.vac-keyframe-${this.playerId}`,
+        Utils.throttle(this.onDrag.bind(this), 50)
+      );
+      eventManager.on(document, `pointerup.vac-keyframe-${this.playerId}`, ev => {
+        if (!ev.isPrimary) return;
+        releasePointer(this.el, ev);
+        this.onDragEnd();
+      });
+      eventManager.on(document, `pointercancel.vac-keyframe-${this.playerId}`, this.cancelDrag.bind(this));
+    });
+
+    eventManager.on(this.el, 'keydown.vac-keyframe', '.vac-keyframe', e => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      const tick = closest(e.target, '.vac-keyframe');
+      const index = parseInt(tick.getAttribute('data-keyframe-index'), 10);
+      this.callbacks.onSelect(index);
+      const selected = this.el && this.el.querySelector(`[data-keyframe-index="${index}"]`);
+      if (selected) selected.focus();
+    });
+  }
+
+  // Move the tick with the cursor, snapping to whole seconds (or frames)
+  onDrag(e) {
+    if (this.dragIndex === null) return;
+    const rect = offset(this.$UI.markerWrap);
+    const max = innerWidth(this.$UI.markerWrap);
+    const percent = Math.max(0, Math.min(1, (e.pageX - rect.left) / max));
+    const { frameRate } = this.plugin.options;
+    const rawSec = this.duration * percent;
+    this.dragTime = frameRate ? Math.round(rawSec * frameRate) / frameRate : Math.round(rawSec);
+    css(this.dragTick, { left: `${(this.dragTime / this.duration) * 100}%` });
+  }
+
+  // A drag moves the keyframe, a plain click selects it
+  onDragEnd() {
+    eventManager.off(document, `.vac-keyframe-${this.playerId}`);
+    const index = this.dragIndex;
+    const time = this.dragTime;
+    this.dragIndex = null;
+    this.dragTick = null;
+    if (index === null) return;
+    if (time === null) {
+      this.callbacks.onSelect(index);
+    } else {
+      this.callbacks.onMove(index, time);
+    }
+  }
+
+  // Abandon a drag (e.g. on a pinch), putting the tick back where it was
+  cancelDrag() {
+    eventManager.off(document, `.vac-keyframe-${this.playerId}`);
+    if (this.dragTick) css(this.dragTick, { left: this.dragStartLeft });
+    this.dragIndex = null;
+    this.dragTick = null;
+  }
+
+  // Unbind events and remove ticks from the timeline
+  teardown() {
+    eventManager.off(document, `.vac-keyframe-${this.playerId}`);
+    if (this.el) eventManager.off(this.el, '.vac-keyframe');
+    super.teardown();
+    this.el = null;
+  }
+};
@@ -4,6 +4,7 @@
 
 const PlayerUIComponent = require('../lib/player_ui_component');
 const Utils = require('../lib/utils');
+const Mentions = require('../lib/mentions');
 const { htmlToEl, addClass, removeClass, closest, append } = require('../lib/dom');
 const { sharedManager: eventManager } = require('../lib/events');
 
@@ -72,16 +73,17 @@ module.exports = class Marker extends PlayerUIComponent {
     const left = (this.range.start / this.duration) * 100;
     const width = (this.range.end / this.duration) * 100 - left;
     const zIndex = 100 - Math.floor(width) || 100;
+    const tooltipTime = Utils.humanRange(this.range, this.plugin.options);
+    const body = this.comment ? Mentions.toPlainText(this.comment.body) : null;
     return {
       left: `${left}%`,
       width: `${width}%`,
       zIndex,
       showTooltip: this.plugin.options.showMarkerShapeAndTooltips,
       tooltipRight: left > 50,
-      tooltipTime: this.plugin.options.frameRate
-        ? Utils.humanTimeFrames(this.range, this.plugin.options.frameRate)
-        : Utils.humanTime(this.range),
-      tooltipBody: !this.comment ? null : this.comment.body,
+      tooltipTime,
+      tooltipBody: body,
+      ariaLabel: `Annotation at ${tooltipTime}${body !== null ? `: ${body}` : ''}`,
       rangeShow: !!this.range.end,
       id: this.componentId,
       markerClass: Utils.sanitizeCSSClassName(this.markerClass),
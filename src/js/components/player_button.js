@@ -23,14 +23,20 @@ module.exports = class PlayerButton extends PlayerUIComponent {
   // Add button to player
   render() {
     const btn = this.player.getChild('controlBar').addChild('button', {});
-    btn.controlText('Toggle Animations');
+    btn.controlText('Toggle Annotations');
     this.el = btn.el();
     this.$el = this.el; // keep reference for compatibility
     addClass(this.el, 'vac-player-btn');
+    this.setPressed(!!this.plugin.active);
     const icon = qs(this.el, '.vjs-icon-placeholder');
     if (icon) setHtml(icon, this.renderTemplate(templateName));
   }
 
+  // Reflect whether annotation mode is on for assistive tech
+  setPressed(pressed) {
+    this.el.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+  }
+
   // Update the number of annotations displayed in the bubble
   updateNumAnnotations() {
     const num = this.plugin.annotationState.annotations.length;
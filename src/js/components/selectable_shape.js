@@ -1,92 +1,313 @@
 /*
-    Component for a shape that can be drug/sized on top of the video while adding a new annotation
+    Component for a shape that can be drawn on top of the video while adding a new annotation
+    Supports a drawing mode for each shape type:
+      rect     - click and drag a box
+      ellipse  - click and drag the box the ellipse fits in
+      arrow    - click at the tail and drag to the head
+      point    - click to drop a pin
+      polygon  - click to place each vertex, double-click (or click the first vertex) to close
+      freehand - click and drag to trace an outline, which is closed on release
+    Once a shape is complete it gets handles: drag its body to move it, or a corner/edge handle to resize it
+
+    Hold shift while drawing to add another shape instead of replacing the existing ones. Only one shape (this.shape)
+    is drawn/edited at a time, the others are kept in order in this.others and drawn as a group. Clicking another
+    shape selects it for editing.
+
+    Input uses Pointer Events so mouse, pen and touch all work. The pointer is captured by the canvas during a drag, and
+    a drag is abandoned when a second finger touches down (e.g. to pinch) or the browser cancels the pointer.
 */
 
 const Shape = require('./shape');
 const Utils = require('./../lib/utils');
-const { offset, innerWidth, innerHeight, addClass, removeClass, hasClass, qs } = require('../lib/dom');
+const Shapes = require('../lib/shapes');
+const {
+  offset,
+  innerWidth,
+  innerHeight,
+  createElement,
+  addClass,
+  removeClass,
+  hasClass,
+  closest,
+  css,
+  append,
+  data,
+  qs,
+  capturePointer,
+  releasePointer
+} = require('../lib/dom');
 const { sharedManager: eventManager } = require('../lib/events');
 
+// How close (in percent) a click must be to the first vertex to close a polygon. Touch is less precise, and can't
+// double click to close the polygon instead
+const CLOSE_POLYGON_DISTANCE = 1.5;
+const CLOSE_POLYGON_DISTANCE_TOUCH = 4;
+
+// Resize handles, named by the edges of the bounding box they move (n = top, e = right, s = bottom, w = left)
+const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
 module.exports = class SelectableShape extends Shape {
-  constructor(player) {
+  // shape: existing shape (or array of shapes) to edit (optional)
+  constructor(player, shape = null) {
     super(player);
     this.parentEl = qs(this.player.el(), '.vac-video-cover-canvas');
+    this.type = 'rect'; // Current drawing mode
+    this.others = []; // Shapes other than the one being drawn/edited
+    this.currentIndex = 0; // Position of this.shape among the others
+    this.othersShape = new Shape(player);
+    this.othersShape.parentEl = this.parentEl;
     this.bindEvents();
     this.dragging = false;
+    this.transform = null; // State of an in-progress move/resize
+    this.setShape(shape);
+  }
+
+  // All shapes in order, as a single shape, an array of shapes or null
+  get allShapes() {
+    const shapes = this.others.slice();
+    if (this.shape) shapes.splice(this.currentIndex, 0, this.shape);
+    return Shapes.fromList(shapes);
+  }
+
+  // Replace all shapes, selecting the last one for editing
+  setShape(shape) {
+    if (this.drawing) this.clearShape();
+    const shapes = Shapes.toList(Utils.cloneDeep(shape));
+    this.shape = shapes.pop() || null;
+    this.others = shapes;
+    this.currentIndex = shapes.length;
+    this.renderOthers();
+    this.render();
+  }
+
+  // Draw the shapes that aren't being edited
+  renderOthers() {
+    this.othersShape.shape = this.others.length ? this.others : null;
+    this.othersShape.render();
+  }
+
+  // Select one of the other shapes (by its index in allShapes) for editing
+  selectShape(index) {
+    const shapes = Shapes.toList(this.allShapes);
+    [this.shape] = shapes.splice(index, 1);
+    this.others = shapes;
+    this.currentIndex = index;
+    this.renderOthers();
+    this.render();
+  }
+
+  // Index (in allShapes) of the topmost other shape whose bounding box contains a point, or -1
+  shapeIndexAt(point) {
+    const shapes = Shapes.toList(this.allShapes);
+    for (let i = shapes.length - 1; i >= 0; i -= 1) {
+      const box = Shapes.boundingBox(shapes[i]);
+      const inside = point.x >= box.x1 && point.x <= box.x2 && point.y >= box.y1 && point.y <= box.y2;
+      if (inside && shapes[i] !== this.shape) return i;
+    }
+    return -1;
+  }
+
+  // Get ready to draw a new shape, either in addition to the existing shapes or replacing them
+  startNewShape(keepOthers) {
+    if (this.el) this.el.remove();
+    this.removeHandles();
+    this.others = keepOthers ? Shapes.toList(this.allShapes) : [];
+    this.currentIndex = this.others.length;
+    this.shape = null;
+    this.renderOthers();
+  }
+
+  // Notify listeners of the shapes being drawn
+  shapeChanged() {
+    this.plugin.fire('addingAnnotationDataChanged', { shape: this.allShapes });
+  }
+
+  // Draw the shape, with handles once it's complete
+  render() {
+    super.render();
+    if (this.shape && !this.drawing && !this.dragging) this.renderHandles();
+  }
+
+  // Keep handles in sync with the shape while it's redrawn
+  setDimsFromShape() {
+    super.setDimsFromShape();
+    if (this.handlesEl) this.positionHandles();
+  }
+
+  // Switch drawing mode, discarding any shape that is only partially drawn
+  setType(type) {
+    if (this.drawing) this.clearShape();
+    this.type = type;
   }
 
   // Bind all needed events for drag action
   bindEvents() {
-    // On mousedown initialize drag
-    eventManager.on(this.parentEl, 'mousedown.vac-selectable-shape', e => {
+    // On pointerdown initialize drag
+    eventManager.on(this.parentEl, 'pointerdown.vac-selectable-shape', e => {
+      // A second touch point means a pinch or other gesture, so abandon whatever the first one started
+      if (!e.isPrimary) {
+        this.cancelDrag();
+        return;
+      }
       // Check a few conditions to see if we should *not* start drag
       if (!hasClass(e.target, 'vac-video-cover-canvas')) return; // didn't click on overlay
       if (hasClass(e.target, 'vac-shape')) return; // user clicked on annotation
 
-      // Remove old shape if one existed
-      if (this.el) this.el.remove();
+      const point = { x: this.xCoordToPercent(e.pageX), y: this.YCoordToPercent(e.pageY) };
+      const closeDistance = e.pointerType === 'mouse' ? CLOSE_POLYGON_DISTANCE : CLOSE_POLYGON_DISTANCE_TOUCH;
+      if (this.type === 'polygon' && this.drawing) {
+        this.addPolygonPoint(point, closeDistance);
+        return;
+      }
+
+      this.saveShapes();
 
-      // Define default starting shape (just x/y coords of where user clicked no width/height yet)
-      const shape = {
-        x1: this.xCoordToPercent(e.pageX),
-        y1: this.YCoordToPercent(e.pageY)
-      };
-      shape.x2 = shape.x1;
-      shape.y2 = shape.y1;
-      this.shape = shape;
+      // Clicking one of the other shapes selects it, and starts moving it if the pointer is dragged
+      const index = e.shiftKey ? -1 : this.shapeIndexAt(point);
+      if (index !== -1) {
+        this.selectShape(index);
+        this.startTransform('move', e);
+        return;
+      }
+
+      this.startNewShape(e.shiftKey);
+
+      if (this.type === 'polygon') {
+        this.addPolygonPoint(point, closeDistance);
+        return;
+      }
+
+      if (this.type === 'point') {
+        this.shape = { type: 'point', x: Shapes.roundPercent(point.x), y: Shapes.roundPercent(point.y) };
+        this.render();
+        this.shapeChanged();
+        return;
+      }
+
+      if (this.type === 'freehand') {
+        this.shape = { type: 'freehand', points: [point] };
+        this.drawing = true;
+      } else {
+        // Define default starting shape (just x/y coords of where user clicked no width/height yet)
+        const shape = { x1: point.x, y1: point.y };
+        shape.x2 = shape.x1;
+        shape.y2 = shape.y1;
+        if (this.type !== 'rect') shape.type = this.type;
+        this.shape = shape;
+      }
 
       // Save origin points for future use
-      this.originX = shape.x1;
-      this.originY = shape.y1;
+      this.originX = point.x;
+      this.originY = point.y;
 
-      // Draw shape and start drag state
+      // Start drag state and draw shape
+      this.startDrag(e);
       this.render();
-      this.dragging = true;
-      this.dragMoved = false; // used to determine if user actually dragged or just clicked
-
-      // Bind event on doc mousemove to track drag, throttled to once each 100ms
-      eventManager.on(
-        document,
-        `mousemove.vac-sshape-${this.playerId}`,
-        Utils.throttle(this.onDrag.bind(this), 100)
-      );
-
-      // Add drag class to cursor tooltip if available
-      if (!this.plugin.options.showControls) {
-        const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
-        if (tooltip) addClass(tooltip, 'vac-cursor-dragging');
-      }
     });
 
-    // On mouseup, if during drag cancel drag event listeners
-    eventManager.on(document, `mouseup.vac-sshape-${this.playerId}`, e => {
-      if (!this.dragging) return;
+    // Pointerdown on the handles moves (body) or resizes (corner/edge handle) the shape
+    eventManager.on(this.parentEl, 'pointerdown.vac-selectable-shape', '.vac-shape-handles', e => {
+      e.preventDefault();
+      if (!e.isPrimary) return;
+      const handle = closest(e.target, '.vac-shape-handle');
+      this.saveShapes();
+      this.startTransform(handle ? data(handle, 'handle') : 'move', e);
+    });
 
-      eventManager.off(document, `mousemove.vac-sshape-${this.playerId}`);
+    // Double click closes an in-progress polygon
+    eventManager.on(this.parentEl, 'dblclick.vac-selectable-shape', () => {
+      if (this.type === 'polygon' && this.drawing) this.finishPolygon();
+    });
+  }
 
-      if (!this.dragMoved) {
-        // clear shape if it's just a click (and not a drag)
-        this.shape = null;
-        if (this.el) this.el.remove();
-      }
+  // Remove drag class from cursor tooltip if available
+  removeTooltipDragClass() {
+    if (this.plugin.options.showControls) return;
+    const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
+    if (tooltip) removeClass(tooltip, 'vac-cursor-dragging');
+  }
+
+  // Keep a copy of the shapes and which one is selected, to put back if the drag that is starting is cancelled
+  saveShapes() {
+    this.savedShapes = Utils.cloneDeep({ shape: this.shape, others: this.others, currentIndex: this.currentIndex });
+  }
+
+  // Abandon an in-progress draw or move/resize, leaving the shapes as they were before it began
+  cancelDrag() {
+    if (!this.dragging && !this.transform) return;
+    if (this.dragging) this.endDrag();
+    if (this.transform) this.endTransform();
+    this.clearShape();
+    Object.assign(this, this.savedShapes);
+    this.renderOthers();
+    this.render();
+    this.shapeChanged();
+  }
+
+  // Start tracking pointer movement for a drag (every type except point and polygon)
+  startDrag(e) {
+    this.dragging = true;
+    this.dragMoved = false; // used to determine if user actually dragged or just clicked
+    capturePointer(this.parentEl, e);
+    eventManager.off(document, `.vac-sshape-${this.playerId}`);
+
+    // Bind event on doc pointermove to track drag, throttled to once each 100ms (freehand needs finer sampling)
+    const onMove = this.type === 'freehand' ? this.onFreehandDrag.bind(this) : this.onDrag.bind(this);
+    eventManager.on(
+      document,
+      `pointermove.vac-sshape-${this.playerId}`,
+      Utils.throttle(onMove, this.type === 'freehand' ? 20 : 100)
+    );
 
-      this.dragging = false;
+    // On pointerup finish the shape. Document listeners are only bound while dragging
+    eventManager.on(document, `pointerup.vac-sshape-${this.playerId}`, ev => {
+      if (!ev.isPrimary) return;
+      releasePointer(this.parentEl, ev);
+      this.endDrag();
 
-      // Remove drag class from cursor tooltip if available
-      if (!this.plugin.options.showControls) {
-        const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
-        if (tooltip) removeClass(tooltip, 'vac-cursor-dragging');
+      if (this.type === 'freehand') {
+        this.finishFreehand();
+      } else if (!this.dragMoved) {
+        // clear shape if it's just a click (and not a drag)
+        this.clearShape();
+      } else {
+        this.renderHandles();
       }
     });
+
+    // The browser took over the pointer (e.g. to scroll or zoom)
+    eventManager.on(document, `pointercancel.vac-sshape-${this.playerId}`, () => this.cancelDrag());
+
+    // Add drag class to cursor tooltip if available
+    if (!this.plugin.options.showControls) {
+      const tooltip = qs(this.player.el(), '.vac-cursor-tool-tip');
+      if (tooltip) addClass(tooltip, 'vac-cursor-dragging');
+    }
   }
 
-  // On each interation of drag action (mouse movement), recalc position and redraw shape
+  // Stop dragging and unbind the document pointer events
+  endDrag() {
+    eventManager.off(document, `.vac-sshape-${this.playerId}`);
+    this.dragging = false;
+    this.removeTooltipDragClass();
+  }
+
+  // On each interation of drag action (pointer movement), recalc position and redraw shape
   onDrag(e) {
     this.dragMoved = true;
 
     const xPer = this.xCoordToPercent(e.pageX);
     const yPer = this.YCoordToPercent(e.pageY);
 
+    // Arrows keep their direction, so the head simply follows the cursor
+    if (this.shape.type === 'arrow') {
+      this.shape.x2 = Math.max(0, Math.min(100, xPer));
+      this.shape.y2 = Math.max(0, Math.min(100, yPer));
+      this.setDimsFromShape();
+      this.shapeChanged();
+      return;
+    }
+
     if (xPer < this.originX) {
       this.shape.x2 = this.originX;
       this.shape.x1 = Math.max(0, xPer);
@@ -103,7 +324,162 @@ module.exports = class SelectableShape extends Shape {
     }
     this.setDimsFromShape();
 
-    this.plugin.fire('addingAnnotationDataChanged', { shape: this.shape });
+    this.shapeChanged();
+  }
+
+  // Append a point to the freehand outline as the pointer moves
+  onFreehandDrag(e) {
+    this.dragMoved = true;
+    const point = {
+      x: Shapes.roundPercent(this.xCoordToPercent(e.pageX)),
+      y: Shapes.roundPercent(this.YCoordToPercent(e.pageY))
+    };
+    const last = this.shape.points[this.shape.points.length - 1];
+    if (Shapes.distance(last, point) < 0.5) return;
+    this.shape.points.push(point);
+    this.setDimsFromShape();
+  }
+
+  // Close the freehand outline, discarding it if too few points were traced
+  finishFreehand() {
+    this.drawing = false;
+    this.shape.points = Shapes.simplifyPoints(this.shape.points);
+    this.shape = Utils.validateShape(this.shape);
+    if (!this.shape) {
+      this.clearShape();
+      return;
+    }
+    this.render();
+    this.shapeChanged();
+  }
+
+  // Add a vertex to the polygon being drawn, or close it if the first vertex was clicked
+  addPolygonPoint(point, closeDistance = CLOSE_POLYGON_DISTANCE) {
+    if (!this.drawing) {
+      this.shape = { type: 'polygon', points: [] };
+      this.drawing = true;
+    }
+    const { points } = this.shape;
+    if (points.length >= 3 && Shapes.distance(points[0], point) <= closeDistance) {
+      this.finishPolygon();
+      return;
+    }
+    points.push({ x: Shapes.roundPercent(point.x), y: Shapes.roundPercent(point.y) });
+    this.render();
+  }
+
+  // Close the polygon being drawn, discarding it if it has fewer than 3 distinct vertices
+  finishPolygon() {
+    this.drawing = false;
+    // A double click also registers as two clicks, so drop the duplicate vertices it adds
+    this.shape.points = Shapes.simplifyPoints(this.shape.points, 0.1);
+    this.shape = Utils.validateShape(this.shape);
+    if (!this.shape) {
+      this.clearShape();
+      return;
+    }
+    this.render();
+    this.shapeChanged();
+  }
+
+  // Remove the current shape entirely
+  clearShape() {
+    this.drawing = false;
+    this.shape = null;
+    if (this.el) this.el.remove();
+    this.removeHandles();
+  }
+
+  // Draw the move/resize handles around the shape's bounding box. Points can only be moved
+  renderHandles() {
+    this.removeHandles();
+    this.handlesEl = createElement('div', 'vac-shape-handles');
+    if (Shapes.shapeType(this.shape) === 'point') {
+      addClass(this.handlesEl, 'vac-shape-handles-point');
+    } else {
+      HANDLES.forEach(name => {
+        const handle = createElement('div', 'vac-shape-handle');
+        addClass(handle, `vac-shape-handle-${name}`);
+        data(handle, 'handle', name);
+        append(this.handlesEl, handle);
+      });
+    }
+    this.positionHandles();
+    append(this.parentEl, this.handlesEl);
+  }
+
+  positionHandles() {
+    const box = Shapes.boundingBox(this.shape);
+    css(this.handlesEl, {
+      left: `${box.x1}%`,
+      top: `${box.y1}%`,
+      width: `${box.x2 - box.x1}%`,
+      height: `${box.y2 - box.y1}%`
+    });
+  }
+
+  removeHandles() {
+    if (!this.handlesEl) return;
+    this.handlesEl.remove();
+    this.handlesEl = null;
+  }
+
+  // Move the selected shape by dx/dy percent (e.g. from the keyboard)
+  nudge(dx, dy) {
+    if (!this.shape || this.drawing) return;
+    this.shape = Shapes.translate(this.shape, dx, dy);
+    this.setDimsFromShape();
+    this.shapeChanged();
+  }
+
+  // Start moving ('move') or resizing (handle name) the shape
+  startTransform(handle, e) {
+    this.transform = {
+      handle,
+      startX: this.xCoordToPercent(e.pageX),
+      startY: this.YCoordToPercent(e.pageY),
+      startShape: Utils.cloneDeep(this.shape),
+      startBox: Shapes.boundingBox(this.shape)
+    };
+    capturePointer(this.parentEl, e);
+    eventManager.on(
+      document,
+      `pointermove.vac-sshape-transform-${this.playerId}`,
+      Utils.throttle(this.onTransform.bind(this), 50)
+    );
+    eventManager.on(document, `pointerup.vac-sshape-transform-${this.playerId}`, ev => {
+      if (!ev.isPrimary) return;
+      releasePointer(this.parentEl, ev);
+      this.endTransform();
+    });
+    eventManager.on(document, `pointercancel.vac-sshape-transform-${this.playerId}`, () => this.cancelDrag());
+  }
+
+  endTransform() {
+    eventManager.off(document, `.vac-sshape-transform-${this.playerId}`);
+    this.transform = null;
+  }
+
+  // Recalculate the shape from the cursor's offset since the move/resize began
+  onTransform(e) {
+    if (!this.transform) return;
+    const { handle, startX, startY, startShape, startBox } = this.transform;
+    const dx = this.xCoordToPercent(e.pageX) - startX;
+    const dy = this.YCoordToPercent(e.pageY) - startY;
+
+    if (handle === 'move') {
+      this.shape = Shapes.translate(startShape, dx, dy);
+    } else {
+      // Move the edges named by the handle, dragging an edge past its opposite mirrors the shape
+      const box = { ...startBox };
+      if (handle.indexOf('n') !== -1) box.y1 = Shapes.clampPercent(startBox.y1 + dy);
+      if (handle.indexOf('s') !== -1) box.y2 = Shapes.clampPercent(startBox.y2 + dy);
+      if (handle.indexOf('w') !== -1) box.x1 = Shapes.clampPercent(startBox.x1 + dx);
+      if (handle.indexOf('e') !== -1) box.x2 = Shapes.clampPercent(startBox.x2 + dx);
+      this.shape = Shapes.fitToBox(startShape, startBox, box);
+    }
+    this.setDimsFromShape();
+    this.shapeChanged();
   }
 
   // Convert pixel-based x position (relative to document) to percentage in video
@@ -126,6 +502,9 @@ module.exports = class SelectableShape extends Shape {
   teardown() {
     eventManager.off(this.parentEl, '.vac-selectable-shape');
     eventManager.off(document, `.vac-sshape-${this.playerId}`);
+    eventManager.off(document, `.vac-sshape-transform-${this.playerId}`);
+    this.removeHandles();
+    this.othersShape.teardown();
     super.teardown();
   }
 };
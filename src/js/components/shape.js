@@ -1,35 +1,92 @@
 /*
     Component for managing a shape (i.e. box drawn on the player) for an annotation
+    Rectangles are drawn as a positioned box, points as a pin and all other shapes as an SVG overlay
+    An array of shapes is drawn as a group, so the annotation can bind events to a single element
 */
 
 const PlayerUIComponent = require('./../lib/player_ui_component');
 const Utils = require('./../lib/utils');
-const { createElement, addClass, css, append, remove } = require('../lib/dom');
+const Shapes = require('../lib/shapes');
+const { createElement, addClass, css, append, remove, setHtml } = require('../lib/dom');
+
+// Create a full-size SVG element, with a 0-100 viewBox so coordinates map to percentages
+function createSvgEl(withViewBox = true) {
+  const el = document.createElementNS(Shapes.SVG_NS, 'svg');
+  if (withViewBox) {
+    el.setAttribute('viewBox', '0 0 100 100');
+    el.setAttribute('preserveAspectRatio', 'none');
+  }
+  addClass(el, 'vac-shape');
+  addClass(el, 'vac-shape-svg');
+  return el;
+}
+
+// Create the element for a single shape
+function createShapeEl(shape) {
+  const type = Shapes.shapeType(shape);
+  if (type === 'rect') return createElement('div', 'vac-shape');
+  if (type === 'point') {
+    const el = createElement('div', 'vac-shape');
+    addClass(el, 'vac-shape-point');
+    return el;
+  }
+  // Arrows use percent units without a viewBox so the arrowhead keeps its proportions
+  return createSvgEl(type !== 'arrow');
+}
 
 module.exports = class Shape extends PlayerUIComponent {
   constructor(player, shape = null) {
     super(player);
     this.shape = shape;
     this.parentEl = this.player.el();
+    this.drawing = false; // Is the shape still being drawn (i.e. an unfinished polygon)?
   }
 
-  // Draw the shape element on the parent
+  // Draw the shape element on the parent. Several shapes are drawn as children of a group element
   render() {
-    if (!this.shape) return;
     if (this.el) remove(this.el);
+    this.el = null;
+    if (!this.shape) return;
 
-    this.el = createElement('div', 'vac-shape');
+    if (Array.isArray(this.shape)) {
+      this.el = createElement('div', 'vac-shape-group');
+      this.shape.forEach(shape => append(this.el, createShapeEl(shape)));
+    } else {
+      this.el = createShapeEl(this.shape);
+    }
     this.setDimsFromShape();
     append(this.parentEl, this.el);
   }
 
-  // Set/update the dimensions of the shape based on this.shape
+  // Set/update the dimensions of the shape(s) based on this.shape
   setDimsFromShape() {
-    const x1 = Utils.clampNumber(this.shape.x1, 0, 100);
-    const y1 = Utils.clampNumber(this.shape.y1, 0, 100);
-    const x2 = Utils.clampNumber(this.shape.x2, 0, 100);
-    const y2 = Utils.clampNumber(this.shape.y2, 0, 100);
-    css(this.el, {
+    if (!Array.isArray(this.shape)) {
+      this.setDims(this.el, this.shape);
+      return;
+    }
+    Array.from(this.el.children).forEach((el, i) => this.setDims(el, this.shape[i], i));
+  }
+
+  // Set/update the dimensions of a single shape's element
+  setDims(el, shape, index = 0) {
+    const type = Shapes.shapeType(shape);
+    if (type === 'point') {
+      css(el, { left: `${shape.x}%`, top: `${shape.y}%` });
+      return;
+    }
+    if (type === 'arrow') {
+      setHtml(el, Shapes.arrowSvgMarkup(shape, `vac-arrowhead-${this.componentId}-${index}`));
+      return;
+    }
+    if (type !== 'rect') {
+      setHtml(el, Shapes.toSvgMarkup(shape, this.drawing));
+      return;
+    }
+    const x1 = Utils.clampNumber(shape.x1, 0, 100);
+    const y1 = Utils.clampNumber(shape.y1, 0, 100);
+    const x2 = Utils.clampNumber(shape.x2, 0, 100);
+    const y2 = Utils.clampNumber(shape.y2, 0, 100);
+    css(el, {
       left: `${x1}%`,
       top: `${y1}%`,
       width: `${x2 - x1}%`,
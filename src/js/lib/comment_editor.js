@@ -0,0 +1,166 @@
+/*
+    CommentEditor: adds a live preview (with the markdown option) and @mention autocomplete (with the userDirectory
+    option) to the textarea of a comment form.
+
+    Typing '@' and part of a name lists the matching users; Up/Down choose one, Enter or Tab (or a click) puts
+    the mention in the text (see lib/mentions), and Escape closes the list.
+
+    Example usage:
+        const editor = new CommentEditor(formEl, plugin.options);
+        editor.teardown(); // when the form is removed
+*/
+
+const Markdown = require('./markdown');
+const Mentions = require('./mentions');
+const { sharedManager: eventManager } = require('./events');
+
+let listCount = 0;
+
+class CommentEditor {
+  // el: the form, holding a textarea and (with the markdown option) a .vac-comment-preview
+  // options: { markdown, userDirectory }
+  constructor(el, options = {}) {
+    this.el = el;
+    this.textarea = el.querySelector('textarea');
+    this.previewEl = el.querySelector('.vac-comment-preview');
+    this.markdown = !!options.markdown;
+    this.userDirectory = options.userDirectory || null;
+    this.matches = [];
+    this.selectedIndex = 0;
+    this.lookup = 0; // Counts lookups, so only the latest one's users are listed
+    if (!this.textarea) return;
+
+    eventManager.on(this.textarea, 'input.vac-comment-editor', this.onInput.bind(this));
+    if (this.userDirectory) {
+      this.listEl = document.createElement('ul');
+      this.listEl.id = `vac-mention-list-${(listCount += 1)}`;
+      this.listEl.className = 'vac-mention-list vac-hidden';
+      this.listEl.setAttribute('role', 'listbox');
+      this.listEl.setAttribute('aria-label', 'Mention a user');
+      this.textarea.after(this.listEl);
+      this.textarea.setAttribute('aria-autocomplete', 'list');
+      this.textarea.setAttribute('aria-controls', this.listEl.id);
+      this.textarea.setAttribute('aria-expanded', 'false');
+      eventManager.on(this.textarea, 'keydown.vac-comment-editor', this.onKeydown.bind(this));
+      eventManager.on(this.textarea, 'blur.vac-comment-editor', () => this.closeList());
+      // Choose on mousedown, before the textarea loses focus and closes the list
+      eventManager.on(this.listEl, 'mousedown.vac-comment-editor', '.vac-mention-option', e => {
+        e.preventDefault();
+        this.insertMention(Number(e.target.closest('.vac-mention-option').getAttribute('data-index')));
+      });
+    }
+  }
+
+  onInput() {
+    this.updatePreview();
+    if (this.userDirectory) this.updateMentions();
+  }
+
+  // Show the comment as it will look, or hide the preview while there's nothing to show
+  updatePreview() {
+    if (!this.previewEl) return;
+    const text = this.textarea.value;
+    this.previewEl.innerHTML = text.trim() ? Markdown.toHTML(text, { markdown: this.markdown }) : '';
+    this.previewEl.classList.toggle('vac-hidden', !text.trim());
+  }
+
+  // List the users matching the name being typed after an '@', if there is one
+  updateMentions() {
+    const { selectionStart, value } = this.textarea;
+    const query = Mentions.mentionQuery(value.slice(0, selectionStart));
+    if (query === null) {
+      this.closeList();
+      return;
+    }
+    this.lookup += 1;
+    const { lookup } = this;
+    Mentions.findUsers(this.userDirectory, query)
+      .then(users => {
+        if (lookup === this.lookup && this.listEl) this.showList(users, query);
+      })
+      .catch(() => {
+        // The directory failed (e.g. a lookup over the network): list no one rather than stale users
+        if (lookup === this.lookup) this.closeList();
+      });
+  }
+
+  showList(users, query) {
+    this.matches = users;
+    this.query = query;
+    this.selectedIndex = 0;
+    this.listEl.innerHTML = '';
+    users.forEach((user, i) => {
+      const option = document.createElement('li');
+      option.id = `${this.listEl.id}-${i}`;
+      option.className = 'vac-mention-option';
+      option.setAttribute('role', 'option');
+      option.setAttribute('data-index', i);
+      option.textContent = user.name || user.id;
+      this.listEl.appendChild(option);
+    });
+    this.listEl.classList.toggle('vac-hidden', !users.length);
+    this.textarea.setAttribute('aria-expanded', String(!!users.length));
+    this.highlight(0);
+  }
+
+  closeList() {
+    if (!this.listEl) return;
+    this.lookup += 1;
+    this.matches = [];
+    this.listEl.classList.add('vac-hidden');
+    this.textarea.setAttribute('aria-expanded', 'false');
+    this.textarea.removeAttribute('aria-activedescendant');
+  }
+
+  highlight(index) {
+    if (!this.matches.length) return;
+    this.selectedIndex = (index + this.matches.length) % this.matches.length;
+    Array.from(this.listEl.children).forEach((option, i) => {
+      option.classList.toggle('vac-selected', i === this.selectedIndex);
+      option.setAttribute('aria-selected', String(i === this.selectedIndex));
+    });
+    this.textarea.setAttribute('aria-activedescendant', `${this.listEl.id}-${this.selectedIndex}`);
+  }
+
+  // Keys for the open list. They don't reach the player's keyboard shortcuts (so Escape doesn't cancel the form)
+  onKeydown(e) {
+    if (!this.matches.length) return;
+    const handled = {
+      ArrowDown: () => this.highlight(this.selectedIndex + 1),
+      ArrowUp: () => this.highlight(this.selectedIndex - 1),
+      Enter: () => this.insertMention(this.selectedIndex),
+      Tab: () => this.insertMention(this.selectedIndex),
+      Escape: () => this.closeList()
+    }[e.key];
+    if (!handled || e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+    handled();
+  }
+
+  // Replace the '@name' being typed with a mention of the user
+  insertMention(index) {
+    const user = this.matches[index];
+    if (!user) return;
+    const { selectionStart, value } = this.textarea;
+    const start = selectionStart - this.query.length - 1;
+    const markup = `${Mentions.mentionMarkup(user)} `;
+    this.textarea.value = value.slice(0, start) + markup + value.slice(selectionStart);
+    this.textarea.selectionStart = start + markup.length;
+    this.textarea.selectionEnd = start + markup.length;
+    this.closeList();
+    this.updatePreview();
+    this.textarea.focus();
+  }
+
+  teardown() {
+    if (this.textarea) eventManager.off(this.textarea, '.vac-comment-editor');
+    if (this.listEl) {
+      eventManager.off(this.listEl, '.vac-comment-editor');
+      this.listEl.remove();
+    }
+    this.listEl = null;
+  }
+}
+
+module.exports = CommentEditor;
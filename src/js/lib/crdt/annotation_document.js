@@ -0,0 +1,198 @@
+/*
+    AnnotationDocument: a conflict-free replicated copy of the annotations, for editing offline and merging the
+    changes of several users without a server deciding the order.
+
+    Each annotation and comment is a set of last-writer-wins fields (range, shape, keyframes, etc. for
+    annotations; meta, body, parentId and status for comments), with deletes kept as a `deleted` field (a tombstone). Every local
+    change is an operation stamped with a Lamport clock and the id of the site (document copy) that made it, and a
+    field takes the value of the operation with the highest (clock, site). Documents that have applied the same
+    operations - in any order, any number of times - therefore have the same data.
+
+    Operations: { clock, site, kind: 'annotation' | 'comment', id, parent (a comment's annotation id), fields }
+
+    Example usage:
+        const doc = new AnnotationDocument();
+        doc.commit(annotationState._internalData); // record local changes
+        const update = doc.encodeUpdate(otherDoc.stateVector()); // operations the other copy is missing
+        otherDoc.applyUpdate(update);
+        otherDoc.toData(); // internal annotation data, as for AnnotationState
+*/
+
+const Utils = require('../utils');
+const { encodeOps, decodeOps } = require('./encoding');
+
+const ANNOTATION_FIELDS = ['range', 'shape', 'keyframes', 'markerClass', 'annotationType', 'status'];
+const COMMENT_FIELDS = ['meta', 'body', 'parentId', 'status'];
+
+// Order operations (and field values) by clock, then site id to break ties
+const compareStamps = (a, b) => {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  if (a.site === b.site) return 0;
+  return a.site < b.site ? -1 : 1;
+};
+
+// Current value of an entry's field
+const fieldValue = (entry, name) => {
+  const register = entry.fields[name];
+  return register ? register.value : null;
+};
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+class AnnotationDocument {
+  // options: { site (defaults to a random id), update (operations to start with, e.g. saved while offline) }
+  constructor(options = {}) {
+    this.site = options.site || Utils.guid();
+    this.clock = 0;
+    this.ops = [];
+    this.seen = new Set(); // 'site@clock' of applied operations
+    this.entries = { annotation: new Map(), comment: new Map() }; // id -> { id, parent, created, fields }
+    if (options.update) this.applyUpdate(options.update);
+  }
+
+  // Whether the document has any operations
+  get isEmpty() {
+    return !this.ops.length;
+  }
+
+  // Record the changes between the document and the given internal annotation data as operations of this site
+  // Returns the new operations
+  commit(annotationsData) {
+    const ops = [];
+    const change = (kind, id, parent, fields) => {
+      this.clock += 1;
+      const op = { clock: this.clock, site: this.site, kind, id, parent, fields };
+      this.apply(op);
+      ops.push(op);
+    };
+    const changedFields = (entry, names, data) => {
+      const fields = {};
+      names.forEach(name => {
+        const value = data[name] === undefined ? null : data[name];
+        if (!entry || !sameValue(fieldValue(entry, name), value)) fields[name] = Utils.cloneDeep(value);
+      });
+      if (!entry || fieldValue(entry, 'deleted')) fields.deleted = false;
+      return fields;
+    };
+
+    const ids = new Set();
+    annotationsData.forEach(data => {
+      ids.add(data.id);
+      const fields = changedFields(this.entries.annotation.get(data.id), ANNOTATION_FIELDS, data);
+      if (Object.keys(fields).length) change('annotation', data.id, null, fields);
+
+      const commentIds = new Set();
+      (data.comments || []).forEach(comment => {
+        commentIds.add(comment.id);
+        const commentFields = changedFields(this.entries.comment.get(comment.id), COMMENT_FIELDS, comment);
+        if (Object.keys(commentFields).length) change('comment', comment.id, data.id, commentFields);
+      });
+      this.commentsOf(data.id).forEach(entry => {
+        if (!commentIds.has(entry.id)) change('comment', entry.id, data.id, { deleted: true });
+      });
+    });
+    this.visibleAnnotations().forEach(entry => {
+      if (!ids.has(entry.id)) change('annotation', entry.id, null, { deleted: true });
+    });
+    return ops;
+  }
+
+  // Merge operations from another copy of the document: an update from encodeUpdate, or an array of operations
+  // Returns the operations that were new to this document
+  applyUpdate(update) {
+    const ops = Array.isArray(update) ? update : decodeOps(update);
+    return ops.filter(op => this.apply(op));
+  }
+
+  // Apply one operation, if it hasn't been already. Returns whether it was applied
+  apply(op) {
+    const key = `${op.site}@${op.clock}`;
+    if (this.seen.has(key)) return false;
+    this.seen.add(key);
+    this.ops.push(op);
+    this.clock = Math.max(this.clock, op.clock);
+
+    const entries = this.entries[op.kind];
+    if (!entries) return true;
+    const entry = entries.get(op.id) || { id: op.id, parent: op.parent || null, created: op, fields: {} };
+    entries.set(op.id, entry);
+    if (compareStamps(op, entry.created) < 0) entry.created = op;
+    Object.keys(op.fields).forEach(name => {
+      const current = entry.fields[name];
+      if (!current || compareStamps(op, current) > 0) {
+        entry.fields[name] = { value: op.fields[name], clock: op.clock, site: op.site };
+      }
+    });
+    return true;
+  }
+
+  visibleAnnotations() {
+    return Array.from(this.entries.annotation.values())
+      .filter(entry => !fieldValue(entry, 'deleted'))
+      .sort((a, b) => compareStamps(a.created, b.created));
+  }
+
+  // Comments (not deleted) of an annotation, oldest first
+  commentsOf(annotationId) {
+    const datetime = entry => (fieldValue(entry, 'meta') || {}).datetime || '';
+    return Array.from(this.entries.comment.values())
+      .filter(entry => entry.parent === annotationId && !fieldValue(entry, 'deleted'))
+      .sort((a, b) => {
+        if (datetime(a) !== datetime(b)) return datetime(a) < datetime(b) ? -1 : 1;
+        return compareStamps(a.created, b.created);
+      });
+  }
+
+  // Internal annotation data (as for AnnotationState) for the annotations that aren't deleted
+  // Annotations whose comments were all deleted are left out, as an annotation needs its first comment
+  toData() {
+    return this.visibleAnnotations()
+      .map(entry => {
+        const data = { id: entry.id };
+        ANNOTATION_FIELDS.forEach(name => {
+          const value = Utils.cloneDeep(fieldValue(entry, name));
+          if ((name !== 'keyframes' && name !== 'status') || value) data[name] = value;
+        });
+        data.comments = this.commentsOf(entry.id).map(comment => {
+          const parentId = fieldValue(comment, 'parentId');
+          const status = fieldValue(comment, 'status');
+          return {
+            id: comment.id,
+            meta: Utils.cloneDeep(fieldValue(comment, 'meta')),
+            body: fieldValue(comment, 'body'),
+            ...(parentId != null ? { parentId } : {}),
+            ...(status ? { status } : {})
+          };
+        });
+        return data;
+      })
+      .filter(data => data.comments.length);
+  }
+
+  // The highest clock seen from each site: { site: clock }
+  stateVector() {
+    const vector = {};
+    this.ops.forEach(op => {
+      vector[op.site] = Math.max(vector[op.site] || 0, op.clock);
+    });
+    return vector;
+  }
+
+  // Binary update (Uint8Array) with the operations a copy with the given state vector hasn't seen
+  // (all operations if no state vector is given)
+  encodeUpdate(stateVector = {}) {
+    return encodeOps(this.history().filter(op => op.clock > (stateVector[op.site] || 0)));
+  }
+
+  // All operations, in the order they are applied in (by clock, then site)
+  history() {
+    return this.ops.slice().sort(compareStamps);
+  }
+
+  // A new document with only the first `count` operations of the history, to see the annotations as they were
+  replay(count = this.ops.length) {
+    return new AnnotationDocument({ update: this.history().slice(0, count) });
+  }
+}
+
+module.exports = AnnotationDocument;
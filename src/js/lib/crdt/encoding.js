@@ -0,0 +1,117 @@
+/*
+    Binary encoding for AnnotationDocument operations, used to send updates between peers or store them offline.
+
+    Layout (numbers are unsigned LEB128 varints, strings are a varint byte length followed by UTF-8):
+      'VAC' magic bytes, format version byte, op count, then per op:
+        clock, site, kind (0 = annotation, 1 = comment), id as JSON, parent (annotation id of a comment, or null)
+        as JSON, field count, then per field: name, value as JSON
+      Ids are JSON so that numeric ids decode as numbers, and match the ids of the local annotations
+*/
+
+const MAGIC = [0x56, 0x41, 0x43]; // 'VAC'
+const VERSION = 1;
+const KINDS = ['annotation', 'comment'];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const writeUint = (bytes, value) => {
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) + 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+};
+
+const writeString = (bytes, str) => {
+  const encoded = textEncoder.encode(str);
+  writeUint(bytes, encoded.length);
+  encoded.forEach(byte => bytes.push(byte));
+};
+
+// Reads the values encodeOps writes, throwing if the update ends early
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  byte() {
+    if (this.pos >= this.bytes.length) throw new Error('Unexpected end of update');
+    const byte = this.bytes[this.pos];
+    this.pos += 1;
+    return byte;
+  }
+
+  uint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = this.byte();
+      value += (byte % 0x80) * scale;
+      scale *= 0x80;
+    } while (byte >= 0x80);
+    return value;
+  }
+
+  string() {
+    const length = this.uint();
+    if (this.pos + length > this.bytes.length) throw new Error('Unexpected end of update');
+    const str = textDecoder.decode(this.bytes.subarray(this.pos, this.pos + length));
+    this.pos += length;
+    return str;
+  }
+}
+
+// Encode operations to a Uint8Array
+function encodeOps(ops) {
+  const bytes = MAGIC.concat([VERSION]);
+  writeUint(bytes, ops.length);
+  ops.forEach(op => {
+    writeUint(bytes, op.clock);
+    writeString(bytes, op.site);
+    writeUint(bytes, KINDS.indexOf(op.kind));
+    writeString(bytes, JSON.stringify(op.id));
+    writeString(bytes, JSON.stringify(op.parent == null ? null : op.parent));
+    const names = Object.keys(op.fields);
+    writeUint(bytes, names.length);
+    names.forEach(name => {
+      writeString(bytes, name);
+      writeString(bytes, JSON.stringify(op.fields[name] === undefined ? null : op.fields[name]));
+    });
+  });
+  return Uint8Array.from(bytes);
+}
+
+// Decode operations from a Uint8Array (or array of bytes), throwing if it isn't a valid update
+function decodeOps(bytes) {
+  const reader = new Reader(bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes));
+  MAGIC.forEach(expected => {
+    if (reader.byte() !== expected) throw new Error('Not an annotation document update');
+  });
+  const version = reader.byte();
+  if (version !== VERSION) throw new Error(`Unsupported update format version ${version}`);
+
+  const ops = [];
+  const count = reader.uint();
+  for (let i = 0; i < count; i += 1) {
+    const clock = reader.uint();
+    const site = reader.string();
+    const kind = KINDS[reader.uint()];
+    if (!kind) throw new Error('Unknown operation kind in update');
+    const id = JSON.parse(reader.string());
+    const parent = JSON.parse(reader.string());
+    const fields = {};
+    const fieldCount = reader.uint();
+    for (let j = 0; j < fieldCount; j += 1) {
+      const name = reader.string();
+      fields[name] = JSON.parse(reader.string());
+    }
+    ops.push({ clock, site, kind, id, parent, fields });
+  }
+  return ops;
+}
+
+module.exports = { encodeOps, decodeOps };
@@ -270,6 +270,31 @@ export function empty(el) {
   }
 }
 
+/**
+ * Capture a pointer on an element, so its move/up events keep arriving while a drag leaves the element.
+ * Capture can fail (e.g. for a pointer that is no longer active), in which case events simply aren't captured.
+ * @param {Element} el
+ * @param {PointerEvent} e - the pointerdown event
+ */
+export function capturePointer(el, e) {
+  if (!el || !el.setPointerCapture || e.pointerId == null) return;
+  try {
+    el.setPointerCapture(e.pointerId);
+  } catch (err) {
+    // pointer already released
+  }
+}
+
+/**
+ * Release a pointer captured with capturePointer.
+ * @param {Element} el
+ * @param {PointerEvent} e
+ */
+export function releasePointer(el, e) {
+  if (!el || !el.hasPointerCapture || e.pointerId == null) return;
+  if (el.hasPointerCapture(e.pointerId)) el.releasePointerCapture(e.pointerId);
+}
+
 export default {
   htmlToEl,
   createElement,
@@ -302,5 +327,7 @@ export default {
   getStyle,
   isVisible,
   insertAfter,
-  empty
+  empty,
+  capturePointer,
+  releasePointer
 };
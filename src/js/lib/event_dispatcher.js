@@ -31,17 +31,31 @@ const EventRegistry = {
     },
     newComment: (event, _this) => {
       const annotation = _this.findAnnotation(event.detail.annotationId);
-      if (annotation) annotation.commentList.createComment(event.detail.body);
+      if (annotation) annotation.commentList.createComment(event.detail.body, event.detail.parentId);
     },
     destroyComment: (event, _this) => {
       const comment = _this.findComment(event.detail.id);
       if (comment) comment.commentList.destroyComment(event);
     },
+    setAnnotationStatus: (event, _this) => {
+      _this.setAnnotationStatusById(event.detail.id, event.detail.status);
+    },
+    nextAnnotation: (event, _this) => {
+      _this.nextAnnotation(event.detail.skipResolved);
+    },
+    prevAnnotation: (event, _this) => {
+      _this.prevAnnotation(event.detail.skipResolved);
+    },
     setAnnotations: (event, _this) => {
       _this.setAnnotationsFromData(event.detail.annotations);
     },
     editAnnotation: (event, _this) => {
-      _this.editAnnotationById(event.detail.id, event.detail.range, event.detail.shape);
+      _this.editAnnotationById(
+        event.detail.id,
+        event.detail.range,
+        event.detail.shape,
+        event.detail.keyframes
+      );
     }
   },
   Controls: {
@@ -50,6 +64,32 @@ const EventRegistry = {
     },
     cancelAddingAnnotation: (event, _this) => {
       _this.cancelAddNew();
+    },
+    setShapeType: (event, _this) => {
+      _this.setShapeType(event.detail.type);
+    },
+    setKeyframe: (event, _this) => {
+      _this.setKeyframe();
+    },
+    deleteKeyframe: (event, _this) => {
+      _this.deleteKeyframe();
+    },
+    toggleKeyboardHelp: (event, _this) => {
+      _this.toggleKeyboardHelp();
+    },
+    setKeyBindings: (event, _this) => {
+      if (_this.keymap) _this.keymap.setBindings(event.detail.bindings);
+    },
+    undo: (event, _this) => {
+      _this.undo();
+    },
+    redo: (event, _this) => {
+      _this.redo();
+    }
+  },
+  DocumentBinding: {
+    applyDocumentUpdate: (event, _this) => {
+      _this.applyUpdate(event.detail.update);
     }
   },
   PlayerButton: {
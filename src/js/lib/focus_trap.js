@@ -0,0 +1,83 @@
+/*
+    FocusTrap: keeps keyboard focus cycling (Tab / Shift+Tab) within an element drawn over the video, such as the
+    comment panel, and puts focus back where it was when released.
+
+    Example usage:
+        const trap = new FocusTrap(panelEl, player.el());
+        trap.activate(textareaEl); // focus starts on the textarea (default: the first focusable element)
+        trap.release(); // focus returns to what was focused before (or the fallback element)
+*/
+
+const { sharedManager: eventManager } = require('./events');
+
+const FOCUSABLE_SELECTOR = [
+  'button:not([disabled])',
+  'a[href]',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+class FocusTrap {
+  // fallbackEl: where focus goes on release if the previously focused element is gone
+  constructor(el, fallbackEl = null) {
+    this.el = el;
+    this.fallbackEl = fallbackEl;
+    this.returnFocusEl = null;
+    this.active = false;
+  }
+
+  // Visible elements within the trap that take keyboard focus, in tab order
+  get focusableEls() {
+    return Array.from(this.el.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => el.getClientRects().length);
+  }
+
+  // Start trapping focus and move it into the element
+  activate(initialFocusEl = null) {
+    if (this.active) return;
+    this.active = true;
+    this.returnFocusEl = document.activeElement;
+    eventManager.on(this.el, 'keydown.vac-focus-trap', this.onKeydown.bind(this));
+    const target = initialFocusEl || this.focusableEls[0] || this.el;
+    if (target.focus) target.focus();
+  }
+
+  // Wrap Tab from the last focusable element to the first (and Shift+Tab from the first to the last)
+  onKeydown(e) {
+    if (e.key !== 'Tab') return;
+    const els = this.focusableEls;
+    if (!els.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = els[0];
+    const last = els[els.length - 1];
+    const current = document.activeElement;
+    const outside = !this.el.contains(current);
+    if (e.shiftKey && (current === first || current === this.el || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (current === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Stop trapping focus. If focus is still inside (or was lost with the element), restore it
+  release(restoreFocus = true) {
+    if (!this.active) return;
+    this.active = false;
+    eventManager.off(this.el, '.vac-focus-trap');
+
+    const current = document.activeElement;
+    const focusLost = !current || current === document.body || this.el.contains(current);
+    if (restoreFocus && focusLost) {
+      const target = this.returnFocusEl && document.contains(this.returnFocusEl) ? this.returnFocusEl : this.fallbackEl;
+      if (target && target.focus) target.focus();
+    }
+    this.returnFocusEl = null;
+  }
+}
+
+module.exports = FocusTrap;
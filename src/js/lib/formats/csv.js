@@ -0,0 +1,140 @@
+/*
+    CSV conversion utilities: annotations in the plugin's internal format to and from a spreadsheet of comments.
+
+    There is a row per comment, with the columns time, end, author, comment and type (the annotationType). Times
+    are timecode (HH:MM:SS:FF, see lib/timecode) when a frameRate is given, else HH:MM:SS; the end is empty for
+    annotations at a single point in time. Replies follow the first comment of their annotation with the same time, end and type:
+
+        time,end,author,comment,type
+        00:00:10:00,00:00:15:00,Alex Ackerman,"Flicker, top left",issue
+        00:00:10:00,00:00:15:00,Sam,Fixed in v2,issue
+
+    On import, consecutive rows with the same time, end and type are one annotation. Columns are found by their
+    header (in any order, case-insensitive), and times can also be plain seconds.
+*/
+
+const Timecode = require('../timecode');
+const Utils = require('../utils');
+
+const COLUMNS = ['time', 'end', 'author', 'comment', 'type'];
+
+// Quote a field if needed. Fields starting with a formula character get a leading ' so spreadsheets show them as text
+function formatField(value, delimiter) {
+  let str = String(value == null ? '' : value).replace(/\r\n?/g, '\n');
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  const needsQuotes = str.indexOf(delimiter) !== -1 || /["\n]/.test(str);
+  return needsQuotes ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Format rows (arrays of values) as delimited text
+function formatRows(rows, delimiter = ',') {
+  return `${rows.map(row => row.map(value => formatField(value, delimiter)).join(delimiter)).join('\r\n')}\r\n`;
+}
+
+// Parse delimited text (RFC 4180 quoting) to rows of strings, skipping blank lines
+function parseRows(text, delimiter = ',') {
+  const str = String(text).replace(/^\ufeff/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endField = () => {
+    // Undo the formula guard added on export
+    row.push(/^'[=+\-@]/.test(field) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < str.length; i += 1) {
+    const char = str[i];
+    if (quoted) {
+      if (char === '"' && str[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && str[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+  return rows.map(cells => cells.map(cell => cell.replace(/\r\n?/g, '\n')));
+}
+
+// Map column names to their index in a header row (-1 for missing ones)
+function headerIndexes(row, names) {
+  const header = row.map(cell => cell.trim().toLowerCase());
+  return names.reduce((indexes, name) => ({ ...indexes, [name]: header.indexOf(name.toLowerCase()) }), {});
+}
+
+// Convert internal annotations to CSV. options: timecode options ({ frameRate, dropFrame, startTimecode })
+function toCSV(annotations, options = {}) {
+  const rows = [COLUMNS];
+  annotations.forEach(annotation => {
+    const { range } = annotation;
+    const time = Timecode.formatTime(range.start, options);
+    const end = range.end != null ? Timecode.formatTime(range.end, options) : '';
+    (annotation.comments || []).forEach(comment => {
+      const author = (comment.meta && comment.meta.user_name) || '';
+      rows.push([time, end, author, comment.body, annotation.annotationType || '']);
+    });
+  });
+  return formatRows(rows);
+}
+
+// Parse CSV to internal annotations. options: timecode options. Throws if it has no time and comment columns
+function fromCSV(text, options = {}) {
+  const rows = parseRows(text);
+  const columns = headerIndexes(rows[0] || [], COLUMNS);
+  if (columns.time === -1 || columns.comment === -1) {
+    throw new Error('Not an annotations CSV file: it needs time and comment columns');
+  }
+  const cell = (row, name) => (columns[name] !== -1 && row[columns[name]] != null ? row[columns[name]].trim() : '');
+
+  const annotations = [];
+  const now = Date.now();
+  let last = null;
+  rows.slice(1).forEach((row, i) => {
+    const start = Timecode.parseTime(cell(row, 'time'), options);
+    if (start === null) return;
+    const end = Timecode.parseTime(cell(row, 'end'), options);
+    const type = cell(row, 'type') || null;
+    const comment = {
+      id: Utils.guid(),
+      // Comments are ordered by datetime, so they keep the order of the rows
+      meta: { datetime: new Date(now + i).toISOString(), user_id: null, user_name: cell(row, 'author') || null },
+      body: row[columns.comment] || ''
+    };
+
+    if (last && last.range.start === start && (last.range.end || null) === end && last.annotationType === type) {
+      last.comments.push(comment);
+      return;
+    }
+    last = {
+      id: Utils.guid(),
+      range: end !== null && end > start ? { start, end } : { start },
+      shape: null,
+      markerClass: null,
+      annotationType: type,
+      comments: [comment]
+    };
+    annotations.push(last);
+  });
+  return annotations;
+}
+
+module.exports = { toCSV, fromCSV, formatRows, parseRows, headerIndexes };
@@ -0,0 +1,27 @@
+/*
+    The file formats annotations can be exported to and imported from, by name. Each has an export function
+    (annotations, options) => text and, if it can be imported, an import function (text, options) => annotations.
+    options include the frameRate, and whatever else the format takes (see the format modules).
+*/
+
+const WebVTT = require('./webvtt');
+const CSV = require('./csv');
+const SRT = require('./srt');
+const Markers = require('./markers');
+
+const FORMATS = Object.freeze({
+  webvtt: { export: WebVTT.toWebVTT, import: WebVTT.fromWebVTT },
+  csv: { export: CSV.toCSV, import: CSV.fromCSV },
+  srt: { export: SRT.toSRT },
+  edl: { export: Markers.toEDL, import: Markers.fromEDL },
+  markers: { export: Markers.toMarkerList, import: Markers.fromMarkerList }
+});
+
+// The format with the name, throwing if there isn't one that can do the action ('export' or 'import')
+function getFormat(name, action) {
+  const format = FORMATS[String(name).toLowerCase()];
+  if (!format || !format[action]) throw new Error(`Can't ${action} annotations as '${name}'`);
+  return format;
+}
+
+module.exports = { FORMATS, getFormat, WebVTT, CSV, SRT, Markers };
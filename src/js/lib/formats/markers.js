@@ -0,0 +1,192 @@
+/*
+    Timeline marker export and import for editing suites: annotations in the plugin's internal format to and from
+    a CMX3600 EDL with DaVinci Resolve marker notes, and a Premiere Pro style tab-separated marker list.
+
+    Each annotation is a marker at its start, lasting its range (or a frame). Times are timecode (see lib/timecode
+    for the frameRate, dropFrame and startTimecode options), counted at 30fps without a frameRate. The marker text is the comment thread on one line ('Alex: Flicker / Sam:
+    Fixed in v2'); on import, each marker becomes an annotation with a single comment.
+
+    EDL (the marker color is set by the annotationType, see the colors option):
+        TITLE: Annotations
+        FCM: NON-DROP FRAME
+
+        001  001      V     C        00:00:10:00 00:00:10:01 00:00:10:00 00:00:10:01
+         |C:ResolveColorRed |M:Alex: Flicker |D:120
+
+    Marker list (Marker Name is the first comment's author):
+        Marker Name	Description	In	Out	Duration	Marker Type
+        Alex	Flicker / Sam: Fixed in v2	00:00:10:00	00:00:15:00	00:00:05:00	Comment
+
+    EDLs with Avid locators ('* LOC: 00:00:10:00 RED Flicker') import too.
+*/
+
+const Timecode = require('../timecode');
+const Utils = require('../utils');
+const { formatRows, parseRows, headerIndexes } = require('./csv');
+
+const DEFAULT_COLOR = 'Blue';
+const EVENT = /^\d{3,}\s+\S+\s+\S+\s+\S+\s+(?:\d+\s+)?(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s*$/;
+const LOCATOR = /^\*\s*LOC:\s*(\S+)\s+(\S+)\s*(.*)$/;
+const MARKER_NOTE = /\|(C|M|D):([^|]*)/g;
+const MARKER_COLUMNS = ['Marker Name', 'Description', 'In', 'Out', 'Duration', 'Marker Type'];
+
+const pad = (n, size) => String(n).padStart(size, '0');
+
+// The comment thread on one line, starting with the first comment's author unless withAuthor is false
+function markerText(comments, withAuthor = true) {
+  return (comments || [])
+    .map((comment, i) => {
+      const name = (comment.meta && comment.meta.user_name) || 'Anonymous';
+      const body = String(comment.body == null ? '' : comment.body).replace(/\s+/g, ' ').trim();
+      return i === 0 && !withAuthor ? body : `${name}: ${body}`;
+    })
+    .join(' / ');
+}
+
+// Start frame and duration (in frames, at least 1) of an annotation
+function markerFrames(range, options) {
+  const start = Timecode.toFrames(range.start, options);
+  const end = range.end != null ? Timecode.toFrames(range.end, options) : start;
+  return { start, duration: Math.max(1, end - start) };
+}
+
+// Build an internal annotation for an imported marker
+function markerAnnotation(start, end, author, body, annotationType, i, now) {
+  return {
+    id: Utils.guid(),
+    range: end !== null && end > start ? { start, end } : { start },
+    shape: null,
+    markerClass: null,
+    annotationType: annotationType || null,
+    comments: [
+      {
+        id: Utils.guid(),
+        // Comments are ordered by datetime, so imported markers keep their order
+        meta: { datetime: new Date(now + i).toISOString(), user_id: null, user_name: author || null },
+        body
+      }
+    ]
+  };
+}
+
+/*
+    Convert internal annotations to a CMX3600 EDL with a marker per annotation
+    options: { title, colors (Resolve marker color per annotationType, e.g. { issue: 'Red' }), timecode options }
+*/
+function toEDL(annotations, options = {}) {
+  const { title = 'Annotations', colors = {} } = options;
+  const fcm = Timecode.isDropFrame(options) ? 'DROP FRAME' : 'NON-DROP FRAME';
+  const lines = [`TITLE: ${String(title).replace(/\s+/g, ' ')}`, `FCM: ${fcm}`, ''];
+  const offset = Timecode.startFrames(options);
+  annotations.forEach((annotation, i) => {
+    const { start, duration } = markerFrames(annotation.range, options);
+    const inTc = Timecode.framesToTimecode(offset + start, options);
+    const outTc = Timecode.framesToTimecode(offset + start + 1, options);
+    const color = colors[annotation.annotationType] || DEFAULT_COLOR;
+    const text = markerText(annotation.comments).replace(/\|/g, '/');
+    lines.push(`${pad(i + 1, 3)}  001      V     C        ${inTc} ${outTc} ${inTc} ${outTc}  `);
+    lines.push(` |C:ResolveColor${color} |M:${text} |D:${duration}`);
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+/*
+    Parse an EDL's markers (Resolve marker notes or Avid locators) to internal annotations
+    options: { colors (the annotationType for each marker color, as for toEDL), timecode options }
+    Throws if it isn't an EDL
+*/
+function fromEDL(text, options = {}) {
+  const { colors = {} } = options;
+  const lines = String(text).replace(/^\ufeff/, '').replace(/\r\n?/g, '\n').split('\n');
+  if (!lines.some(line => /^(TITLE|FCM):/.test(line) || EVENT.test(line))) throw new Error('Not an EDL file');
+  const typeOf = color =>
+    Object.keys(colors).find(type => String(colors[type]).toLowerCase() === String(color).toLowerCase()) || null;
+
+  const annotations = [];
+  const now = Date.now();
+  let recordIn = null;
+  lines.forEach(line => {
+    const event = line.match(EVENT);
+    if (event) {
+      recordIn = Timecode.timecodeToFrames(event[3], options);
+      if (recordIn !== null) recordIn -= Timecode.startFrames(options);
+      return;
+    }
+    const locator = line.match(LOCATOR);
+    const note = {};
+    let match = MARKER_NOTE.exec(line);
+    while (match) {
+      note[match[1]] = match[2].trim();
+      match = MARKER_NOTE.exec(line);
+    }
+
+    let start = null;
+    let end = null;
+    if (locator) {
+      const [, timecode, color, locatorText] = locator;
+      start = Timecode.fromTimecode(timecode, options);
+      note.M = locatorText.trim();
+      note.C = color;
+    } else if (note.M != null && recordIn !== null && recordIn >= 0) {
+      const duration = parseInt(note.D, 10) || 1;
+      start = Timecode.fromFrames(recordIn, options);
+      if (duration > 1) end = Timecode.fromFrames(recordIn + duration, options);
+      recordIn = null;
+    }
+    if (start === null) return;
+    const color = (note.C || '').replace(/^ResolveColor/, '');
+    annotations.push(markerAnnotation(start, end, null, note.M, typeOf(color), annotations.length, now));
+  });
+  return annotations;
+}
+
+// Convert internal annotations to a tab-separated marker list. options: timecode options
+function toMarkerList(annotations, options = {}) {
+  const offset = Timecode.startFrames(options);
+  const rows = annotations.map(annotation => {
+    const { start, duration } = markerFrames(annotation.range, options);
+    const first = (annotation.comments || [])[0];
+    return [
+      (first && first.meta && first.meta.user_name) || '',
+      markerText(annotation.comments, false),
+      Timecode.framesToTimecode(offset + start, options),
+      Timecode.framesToTimecode(offset + start + duration, options),
+      Timecode.framesToTimecode(duration, options),
+      'Comment'
+    ];
+  });
+  return formatRows([MARKER_COLUMNS, ...rows], '\t');
+}
+
+// Parse a marker list (tab or comma separated) to internal annotations. options: timecode options
+// Throws if it has no In column, or no Marker Name or Description column
+function fromMarkerList(text, options = {}) {
+  const str = String(text);
+  const firstLine = str.split(/\r?\n/)[0];
+  const rows = parseRows(str, firstLine.indexOf('\t') !== -1 ? '\t' : ',');
+  const columns = headerIndexes(rows[0] || [], MARKER_COLUMNS);
+  if (columns.In === -1 || (columns['Marker Name'] === -1 && columns.Description === -1)) {
+    throw new Error('Not a marker list: it needs In and Marker Name or Description columns');
+  }
+  const cell = (row, name) => (columns[name] !== -1 && row[columns[name]] != null ? row[columns[name]].trim() : '');
+
+  const annotations = [];
+  const now = Date.now();
+  rows.slice(1).forEach(row => {
+    const start = Timecode.parseTime(cell(row, 'In'), options);
+    if (start === null) return;
+    let end = Timecode.parseTime(cell(row, 'Out'), options);
+    const duration = Timecode.timecodeToFrames(cell(row, 'Duration'), options);
+    if (end === null && duration) end = Timecode.fromFrames(Timecode.toFrames(start, options) + duration, options);
+    // A marker lasting a frame is at a single point in time
+    if (end !== null && Timecode.toFrames(end, options) - Timecode.toFrames(start, options) <= 1) end = null;
+    const name = cell(row, 'Marker Name');
+    const description = cell(row, 'Description');
+    const author = description ? name : null;
+    annotations.push(markerAnnotation(start, end, author, description || name, null, annotations.length, now));
+  });
+  return annotations;
+}
+
+module.exports = { toEDL, fromEDL, toMarkerList, fromMarkerList };
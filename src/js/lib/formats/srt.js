@@ -0,0 +1,36 @@
+/*
+    SRT (SubRip) export: annotations in the plugin's internal format as numbered subtitles, for tools that show
+    review notes over the video. Each annotation is a subtitle with a line per comment ('Alex Ackerman: Looks good').
+    Annotations at a single point in time last a second.
+
+        1
+        00:00:10,000 --> 00:00:15,000
+        Alex Ackerman: Looks good
+        Sam: Agreed
+*/
+
+const { formatTimestamp } = require('./webvtt');
+
+// Subtitle text for a comment thread: a line per comment. Subtitles end at a blank line, so there can't be any
+function subtitleText(comments) {
+  return (comments || [])
+    .map(comment => {
+      const name = (comment.meta && comment.meta.user_name) || 'Anonymous';
+      const body = String(comment.body == null ? '' : comment.body).replace(/\r\n?/g, '\n').replace(/\n{2,}/g, '\n');
+      return `${name}: ${body}`.replace(/-->/g, '->');
+    })
+    .join('\n');
+}
+
+// Convert internal annotations to an SRT file
+function toSRT(annotations) {
+  const subtitles = annotations.map((annotation, i) => {
+    const { range } = annotation;
+    const end = range.end != null && range.end > range.start ? range.end : range.start + 1;
+    const timing = `${formatTimestamp(range.start)} --> ${formatTimestamp(end)}`.replace(/\./g, ',');
+    return `${i + 1}\n${timing}\n${subtitleText(annotation.comments)}`;
+  });
+  return subtitles.length ? `${subtitles.join('\n\n')}\n` : '';
+}
+
+module.exports = { toSRT };
@@ -0,0 +1,246 @@
+/*
+    WebVTT conversion utilities: annotations in the plugin's internal format to and from WebVTT cues, and filling a
+    native TextTrack with them.
+
+    Each annotation is a cue with the annotation id as its identifier and timings from its range. The cue text is
+    the comment thread, one voice span per comment (`<v Alex Ackerman>Looks good</v>`). A shape places the cue over
+    its bounding box with the position/line/size cue settings, for players that show the cues.
+
+    Everything else (the exact range and shape, keyframes, annotationType, markerClass and comment ids/metadata) is
+    kept as JSON in a NOTE block just before the cue, so files exported here import without loss. Files from other
+    tools import too: each voice span (or the whole cue text) becomes a comment.
+
+        NOTE vac-annotation {"annotationType":"issue","shape":{"x1":10,"y1":10,"x2":50,"y2":40},...}
+
+        a1b2
+        00:00:10.000 --> 00:00:15.000 position:10% line:10% size:40% align:start
+        <v Alex Ackerman>Looks good</v>
+        <v Sam>Agreed</v>
+*/
+
+const Shapes = require('../shapes');
+const Utils = require('../utils');
+
+const PAYLOAD_NOTE = 'NOTE vac-annotation ';
+const TIMING = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})[ \t]+-->[ \t]+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': '\u00a0', '&lrm;': '\u200e', '&rlm;': '\u200f' };
+
+// Format seconds as a WebVTT timestamp, e.g. 75.5 -> '00:01:15.500'
+function formatTimestamp(seconds) {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  const hours = Math.floor(ms / 3600000);
+  const mins = Math.floor((ms % 3600000) / 60000);
+  const secs = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(mins)}:${pad(secs)}.${pad(ms % 1000, 3)}`;
+}
+
+// Parse a WebVTT timestamp ('01:15.500' or '00:01:15.500') to seconds
+function parseTimestamp(str) {
+  const parts = str.split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Escape text for cue text (or a voice annotation), which can't contain blank lines or '-->'
+function escapeText(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n{2,}/g, '\n');
+}
+
+function unescapeText(text) {
+  return text.replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity]);
+}
+
+// JSON that is safe inside a NOTE block (no line breaks, no '-->')
+function notePayload(data) {
+  return JSON.stringify(data).replace(/-->/g, '--\\u003e');
+}
+
+// Bounding box of an annotation's shape(s), or null
+function shapeBox(shape) {
+  const shapes = Shapes.toList(shape);
+  if (!shapes.length) return null;
+  return shapes.map(Shapes.boundingBox).reduce((box, b) => ({
+    x1: Math.min(box.x1, b.x1),
+    y1: Math.min(box.y1, b.y1),
+    x2: Math.max(box.x2, b.x2),
+    y2: Math.max(box.y2, b.y2)
+  }));
+}
+
+// Cue settings placing the cue over the shape
+function cueSettings(shape) {
+  const box = shapeBox(shape);
+  if (!box) return '';
+  const percent = n => `${Math.round(Math.max(0, Math.min(100, n)) * 100) / 100}%`;
+  return ` position:${percent(box.x1)} line:${percent(box.y1)} size:${percent(box.x2 - box.x1)} align:start`;
+}
+
+// Cue end time: the range end, or a second after the start for annotations at a single point in time
+function cueEnd(range) {
+  return range.end != null && range.end > range.start ? range.end : range.start + 1;
+}
+
+// Cue text for a comment thread: a voice span per comment
+function cueText(comments) {
+  return (comments || [])
+    .map(comment => {
+      const name = (comment.meta && comment.meta.user_name) || 'Anonymous';
+      return `<v ${escapeText(name).replace(/\n/g, ' ')}>${escapeText(comment.body)}</v>`;
+    })
+    .join('\n');
+}
+
+// Convert internal annotations to a WebVTT file
+function toWebVTT(annotations) {
+  const blocks = ['WEBVTT'];
+  annotations.forEach(annotation => {
+    const { range } = annotation;
+    blocks.push(
+      PAYLOAD_NOTE +
+        notePayload({
+          range,
+          shape: annotation.shape || null,
+          ...(annotation.keyframes ? { keyframes: annotation.keyframes } : {}),
+          markerClass: annotation.markerClass || null,
+          annotationType: annotation.annotationType || null,
+          comments: (annotation.comments || []).map(({ id, meta }) => ({ id, meta }))
+        })
+    );
+    const timing = `${formatTimestamp(range.start)} --> ${formatTimestamp(cueEnd(range))}`;
+    const id = annotation.id != null ? `${String(annotation.id).replace(/-->|\n/g, '')}\n` : '';
+    blocks.push(`${id}${timing}${cueSettings(annotation.shape)}\n${cueText(annotation.comments)}`);
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// Split cue text into comments: { name, body } per voice span, or the whole text if there are none
+function parseCueText(text) {
+  const voices = [];
+  const voicePattern = /<v(?:\.[^\s>]*)?(?:[ \t]+([^>]*))?>([\s\S]*?)(?:<\/v>|(?=<v[\s.>])|$)/g;
+  let match = voicePattern.exec(text);
+  while (match) {
+    voices.push({ name: match[1] ? match[1].trim() : null, body: match[2] });
+    match = voicePattern.exec(text);
+  }
+  const comments = voices.length ? voices : [{ name: null, body: text }];
+  // Drop any other markup (<c>, <b>, timestamps, ...)
+  return comments
+    .map(({ name, body }) => ({
+      name: name && unescapeText(name),
+      body: unescapeText(body.replace(/<[^>]*>/g, '')).trim()
+    }))
+    .filter(comment => comment.body || comment.name);
+}
+
+// Build an internal annotation from a parsed cue and the JSON payload before it (if any)
+function cueToAnnotation(cue, payload) {
+  const data = payload || {};
+  const range = { start: cue.start, end: cue.end };
+  // Keep the exact range from the payload unless the cue timings were changed since
+  if (data.range && formatTimestamp(data.range.start) === formatTimestamp(cue.start)) {
+    range.start = data.range.start;
+    if (formatTimestamp(cueEnd(data.range)) === formatTimestamp(cue.end)) {
+      range.end = data.range.end;
+      if (range.end == null) delete range.end;
+    }
+  }
+
+  const metas = data.comments || [];
+  const now = Date.now();
+  const comments = parseCueText(cue.text).map((comment, i) => {
+    const saved = metas[i] || {};
+    return {
+      id: saved.id || Utils.guid(),
+      // Comments are ordered by datetime, so ones without any keep the order they have in the cue
+      meta: saved.meta || { datetime: new Date(now + i).toISOString(), user_id: null, user_name: comment.name },
+      body: comment.body
+    };
+  });
+
+  const annotation = {
+    id: cue.id || Utils.guid(),
+    range,
+    shape: data.shape || null,
+    markerClass: data.markerClass || null,
+    annotationType: data.annotationType || null,
+    comments
+  };
+  if (data.keyframes) annotation.keyframes = data.keyframes;
+  return annotation;
+}
+
+// Parse a WebVTT file to internal annotations. Throws if the file doesn't start with 'WEBVTT'
+function fromWebVTT(text) {
+  const lines = String(text).replace(/^\ufeff/, '').replace(/\r\n?/g, '\n').split('\n');
+  if (!/^WEBVTT([ \t].*)?$/.test(lines[0])) throw new Error('Not a WebVTT file');
+
+  const blocks = lines
+    .slice(1)
+    .join('\n')
+    .split(/\n{2,}/)
+    .map(block => block.split('\n').filter((line, i) => i > 0 || line !== ''))
+    .filter(block => block.length);
+
+  const annotations = [];
+  let payload = null;
+  blocks.forEach(block => {
+    if (block[0].indexOf(PAYLOAD_NOTE) === 0) {
+      try {
+        payload = JSON.parse(block[0].slice(PAYLOAD_NOTE.length));
+      } catch (e) {
+        payload = null;
+      }
+      return;
+    }
+    const timingIndex = block.findIndex(line => TIMING.test(line));
+    // NOTE, STYLE and REGION blocks (and anything else that isn't a cue) are skipped
+    if (timingIndex === -1 || timingIndex > 1) return;
+
+    const [, start, end] = block[timingIndex].match(TIMING);
+    annotations.push(
+      cueToAnnotation(
+        {
+          id: timingIndex === 1 ? block[0] : null,
+          start: parseTimestamp(start),
+          end: parseTimestamp(end),
+          text: block.slice(timingIndex + 1).join('\n')
+        },
+        payload
+      )
+    );
+    payload = null;
+  });
+  return annotations;
+}
+
+/*
+    Add annotations to a native TextTrack as cues, returning the track
+    target: a TextTrack, or a player/video element to add one to with addTextTrack()
+    options: { kind ('metadata', 'captions', ...), label, language } for a new track
+    VTTCueClass: the VTTCue constructor (defaults to window.VTTCue)
+*/
+function fillTextTrack(target, annotations, options = {}, VTTCueClass = window.VTTCue) {
+  const { kind = 'metadata', label = 'Annotations', language = '' } = options;
+  const track = typeof target.addCue === 'function' ? target : target.addTextTrack(kind, label, language);
+  annotations.forEach(annotation => {
+    const cue = new VTTCueClass(annotation.range.start, cueEnd(annotation.range), cueText(annotation.comments));
+    if (annotation.id != null) cue.id = String(annotation.id);
+    const box = shapeBox(annotation.shape);
+    if (box) {
+      cue.snapToLines = false;
+      cue.line = box.y1;
+      cue.position = box.x1;
+      cue.size = box.x2 - box.x1;
+      cue.align = 'start';
+    }
+    track.addCue(cue);
+  });
+  return track;
+}
+
+module.exports = { toWebVTT, fromWebVTT, fillTextTrack, formatTimestamp, parseTimestamp };
@@ -0,0 +1,175 @@
+/*
+    Keymap: a registry of named keyboard actions, each bound to one or more configurable key combinations.
+
+    Combinations are KeyboardEvent.key values (case-insensitive) with optional modifier prefixes, e.g. 'n',
+    'shift+arrowleft' or 'mod+enter'. 'mod' is Cmd on Mac and Ctrl elsewhere. A few short aliases are accepted
+    ('esc', 'left', 'space', ...). Shift is ignored for symbol keys like '?', which need shift to be typed at all.
+
+    Example usage:
+        const keymap = new Keymap({ save: 'ctrl+s', cancel: null }); // user overrides, null unbinds
+        keymap.register('save', { keys: 'mod+enter', description: 'Save', handler: () => save() });
+        el.addEventListener('keydown', e => keymap.handleKeydown(e));
+        keymap.list(); // [{ action: 'save', keys: ['ctrl+s'], labels: ['Ctrl + S'], description: 'Save' }]
+*/
+
+const MODIFIERS = ['shift', 'alt', 'ctrl', 'meta'];
+const KEY_ALIASES = {
+  esc: 'escape',
+  left: 'arrowleft',
+  right: 'arrowright',
+  up: 'arrowup',
+  down: 'arrowdown',
+  space: ' ',
+  del: 'delete',
+  return: 'enter',
+  plus: '+'
+};
+const KEY_LABELS = {
+  arrowleft: '←',
+  arrowright: '→',
+  arrowup: '↑',
+  arrowdown: '↓',
+  escape: 'Esc',
+  ' ': 'Space'
+};
+const MODIFIER_LABELS = { shift: 'Shift', alt: 'Alt', ctrl: 'Ctrl', meta: 'Meta' };
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+// Parse a combination like 'shift+arrowleft' to { key, shift, alt, ctrl, meta }, or null if it isn't valid
+function parseKeys(str, mac = IS_MAC) {
+  if (typeof str !== 'string' || !str) return null;
+  // A trailing '+' is the plus key itself ('+', 'shift++')
+  const parts = str.toLowerCase().replace(/(^|\+)\+$/, '$1plus').split('+');
+  const rawKey = parts.pop();
+  const key = KEY_ALIASES[rawKey] || rawKey;
+  if (!key) return null;
+
+  const modKey = mac ? 'meta' : 'ctrl';
+  const mods = parts.map(mod => (mod === 'mod' ? modKey : mod));
+  if (mods.some(mod => MODIFIERS.indexOf(mod) === -1)) return null;
+
+  const combo = { key };
+  MODIFIERS.forEach(mod => {
+    combo[mod] = mods.indexOf(mod) !== -1;
+  });
+  return combo;
+}
+
+// Does a keydown event match a parsed combination?
+function matchesKeys(e, combo) {
+  if (!combo || (e.key || '').toLowerCase() !== combo.key) return false;
+  const isSymbol = combo.key.length === 1 && !/[a-z0-9 ]/.test(combo.key);
+  return (
+    (isSymbol || !!e.shiftKey === combo.shift) &&
+    !!e.altKey === combo.alt &&
+    !!e.ctrlKey === combo.ctrl &&
+    !!e.metaKey === combo.meta
+  );
+}
+
+// Human readable label for a combination, e.g. 'Shift + ←'
+function formatKeys(str, mac = IS_MAC) {
+  const combo = parseKeys(str, mac);
+  if (!combo) return '';
+  const labels = MODIFIERS.filter(mod => combo[mod]).map(mod => (mac && mod === 'meta' ? '⌘' : MODIFIER_LABELS[mod]));
+  labels.push(KEY_LABELS[combo.key] || combo.key.charAt(0).toUpperCase() + combo.key.slice(1));
+  return labels.join(' + ');
+}
+
+// Is the element somewhere the user types text (where plain keys must not trigger actions)?
+function isTextInput(el) {
+  if (!el) return false;
+  return /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) || !!el.isContentEditable;
+}
+
+// Normalize a binding (string, array of strings, or null/false for none) to an array of strings
+function toKeyList(keys) {
+  if (!keys) return [];
+  return (Array.isArray(keys) ? keys : [keys]).filter(k => typeof k === 'string' && k);
+}
+
+class Keymap {
+  // bindings: user overrides by action name ({ action: keys }), applied over the keys actions register with
+  constructor(bindings = {}, mac = IS_MAC) {
+    this.overrides = { ...bindings };
+    this.mac = mac;
+    this.actions = []; // [{ name, keys, combos, description, handler, allowInText }] in registration order
+  }
+
+  // Register a named action
+  // options: { keys, description, handler, allowInText }
+  //   handler(e) returns whether it applied; when it didn't the key is left to the page
+  //   allowInText: keep the action while typing in a textarea/input (e.g. save/cancel)
+  register(name, options) {
+    this.unregister(name);
+    const { keys, description = '', handler, allowInText = false } = options;
+    const action = { name, defaultKeys: toKeyList(keys), description, handler, allowInText };
+    this.actions.push(action);
+    this.applyKeys(action);
+    return this;
+  }
+
+  // Remove a named action
+  unregister(name) {
+    this.actions = this.actions.filter(action => action.name !== name);
+    return this;
+  }
+
+  // Change the keys for some actions ({ action: keys }), keeping other bindings as they are
+  setBindings(bindings) {
+    Object.assign(this.overrides, bindings);
+    this.actions.forEach(action => this.applyKeys(action));
+    return this;
+  }
+
+  // Work out the keys an action is bound to: its user override if there is one, else its defaults
+  // Invalid combinations are dropped
+  applyKeys(action) {
+    const keys = (Object.prototype.hasOwnProperty.call(this.overrides, action.name)
+      ? toKeyList(this.overrides[action.name])
+      : action.defaultKeys
+    ).filter(k => parseKeys(k, this.mac));
+    Object.assign(action, { keys, combos: keys.map(k => parseKeys(k, this.mac)) });
+  }
+
+  // Find the action bound to a keydown event, or null
+  actionFor(e) {
+    const inText = isTextInput(e.target);
+    return (
+      this.actions.find(
+        action => (!inText || action.allowInText) && action.combos.some(combo => matchesKeys(e, combo))
+      ) || null
+    );
+  }
+
+  // Run the action bound to a keydown event, if any. Returns whether an action handled it, in which case the
+  // event's default and propagation are stopped
+  handleKeydown(e) {
+    const action = this.actionFor(e);
+    if (!action || !action.handler(e)) return false;
+    e.preventDefault();
+    e.stopPropagation();
+    return true;
+  }
+
+  // The actions that have keys bound, with display labels, e.g. to build a help overlay
+  list() {
+    return this.actions
+      .filter(action => action.keys.length)
+      .map(action => ({
+        action: action.name,
+        keys: action.keys.slice(),
+        labels: action.keys.map(k => formatKeys(k, this.mac)),
+        description: action.description
+      }));
+  }
+}
+
+module.exports = {
+  Keymap,
+  parseKeys,
+  matchesKeys,
+  formatKeys,
+  isTextInput
+};
@@ -0,0 +1,89 @@
+/*
+    Comment bodies as HTML. With the markdown option, a safe subset of Markdown is rendered:
+        **bold** or __bold__, *italic* or _italic_, `inline code`, [links](https://example.com),
+        and lists of lines starting with '- ', '* ' or '1. '
+    Everything else is escaped, links only go to http(s) and mailto URLs, and there are no images or raw HTML.
+    Without it, bodies are plain text. Either way line breaks are kept and @mentions (see lib/mentions) are shown
+    as '@Name'.
+
+    The HTML still goes through Utils.sanitizeCommentHTML before it is put in the page.
+*/
+
+const Mentions = require('./mentions');
+
+const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const LINK = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+// Whether a link URL is safe to follow from a comment
+function isSafeUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(String(url).trim());
+}
+
+// Inline formatting of a line. Code, mentions and link tags are set aside while the rest is escaped and
+// formatted, so nothing inside them is formatted
+function renderInline(text, markdown) {
+  const kept = [];
+  const keep = html => {
+    kept.push(html);
+    return `\ue000${kept.length - 1}\ue001`;
+  };
+  let str = String(text).replace(/[\ue000\ue001]/g, '');
+  if (markdown) str = str.replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`));
+  str = Mentions.replaceMentions(str, (name, id) =>
+    keep(`<span class="vac-mention" data-user-id="${escapeHtml(id)}">@${escapeHtml(name)}</span>`)
+  );
+  if (markdown) {
+    str = str.replace(LINK, (match, label, url) => {
+      if (!isSafeUrl(url)) return match;
+      const open = `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">`;
+      return `${keep(open)}${label}${keep('</a>')}`;
+    });
+  }
+  str = escapeHtml(str);
+  if (markdown) {
+    str = str
+      .replace(/\*\*(?=\S)(.*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)(.*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+  }
+  return str.replace(/\ue000(\d+)\ue001/g, (match, i) => kept[i]);
+}
+
+// Render a comment body as HTML. options: { markdown }
+function toHTML(text, options = {}) {
+  const { markdown = false } = options;
+  const lines = String(text == null ? '' : text).replace(/\r\n?/g, '\n').split('\n');
+  if (!markdown) return lines.map(line => renderInline(line, false)).join('<br>');
+
+  // Consecutive list items of the same kind make a list; other lines are joined with line breaks
+  const blocks = [];
+  lines.forEach(line => {
+    const item = LIST_ITEM.exec(line);
+    const last = blocks[blocks.length - 1];
+    if (!item) {
+      blocks.push({ html: renderInline(line, true) });
+      return;
+    }
+    const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+    if (last && last.tag === tag) {
+      last.items.push(renderInline(item[2], true));
+    } else {
+      blocks.push({ tag, items: [renderInline(item[2], true)] });
+    }
+  });
+  return blocks
+    .map((block, i) => {
+      if (block.tag) return `<${block.tag}>${block.items.map(item => `<li>${item}</li>`).join('')}</${block.tag}>`;
+      const previous = blocks[i - 1];
+      return previous && !previous.tag ? `<br>${block.html}` : block.html;
+    })
+    .join('');
+}
+
+module.exports = { toHTML, isSafeUrl, escapeHtml };
@@ -0,0 +1,64 @@
+/*
+    @mentions of users in comment bodies. A mention is kept in the body as '@[Name](id)', so it survives anything
+    that stores the text, and is shown as '@Name'. In W3C output each user mentioned is also a tagging body
+    (see lib/w3c), so a backend can notify them.
+
+    Users come from the userDirectory option: an array of { id, name }, or a function (query) => users (or a
+    Promise of them) for looking users up elsewhere.
+*/
+
+const MENTION = /@\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+const MAX_MATCHES = 8;
+
+// The users mentioned in a text, once each: [{ id, name }]
+function mentionsIn(text) {
+  const users = [];
+  String(text == null ? '' : text).replace(MENTION, (match, name, id) => {
+    if (!users.some(user => user.id === id)) users.push({ id, name });
+    return match;
+  });
+  return users;
+}
+
+// The text that mentions a user
+function mentionMarkup(user) {
+  const name = String(user.name || user.id).replace(/[[\]\n]/g, ' ').trim();
+  return `@[${name}](${String(user.id).replace(/[\s()]/g, '')})`;
+}
+
+// Replace the mentions in a text using fn(name, id), e.g. to show them as '@Name'
+function replaceMentions(text, fn) {
+  return String(text == null ? '' : text).replace(MENTION, (match, name, id) => fn(name, id));
+}
+
+// The text with mentions shown as '@Name', for places that can only show plain text (tooltips, labels)
+function toPlainText(text) {
+  return replaceMentions(text, name => `@${name}`);
+}
+
+// The name being typed after an '@' that ends at the end of the text (before the caret), or null if there isn't one
+function mentionQuery(textBeforeCaret) {
+  const match = /(?:^|\s)@([^\s@[\]()]{0,30})$/.exec(textBeforeCaret);
+  return match ? match[1] : null;
+}
+
+// Look up the users matching a query in a user directory, returning a Promise of up to 8 of them.
+// Array directories match names with a word starting with the query
+function findUsers(directory, query) {
+  if (typeof directory === 'function') {
+    // A directory that throws rejects, like one whose Promise rejects
+    return Promise.resolve(query)
+      .then(directory)
+      .then(users => (users || []).slice(0, MAX_MATCHES));
+  }
+  const lowerQuery = query.toLowerCase();
+  const matches = (directory || []).filter(user =>
+    String(user.name || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .some(word => word.indexOf(lowerQuery) === 0)
+  );
+  return Promise.resolve(matches.slice(0, MAX_MATCHES));
+}
+
+module.exports = { mentionsIn, mentionMarkup, replaceMentions, toPlainText, mentionQuery, findUsers };
@@ -0,0 +1,63 @@
+/*
+    Who can do what. An action is allowed if the permission flags allow it (allowAdd, allowEdit, allowDelete,
+    restrictEditToOwner, restrictDeleteToOwner) and the permissionPolicy option, if there is one, allows it too.
+
+    A policy is a function (action, user, annotation, comment) => boolean, where user is the meta option, annotation
+    the Annotation acted on (null when adding one) and comment the Comment acted on (null for the whole annotation).
+    Actions:
+      add               - add an annotation
+      reply             - reply to an annotation (comment: the comment replied to, if any)
+      edit              - edit the text of a comment
+      delete-comment    - delete a comment and the replies to it
+      delete-annotation - delete an annotation
+      resolve           - change the status of an annotation (see lib/statuses)
+      shape-edit        - edit the range, shape and keyframes of an annotation
+*/
+
+const Logger = require('./logger');
+
+const ACTIONS = ['add', 'reply', 'edit', 'delete-comment', 'delete-annotation', 'resolve', 'shape-edit'];
+
+// Did the user write the comment?
+function isAuthor(user, comment) {
+  const userId = user && user.user_id;
+  return !!(userId && comment && comment.meta.user_id && userId === comment.meta.user_id);
+}
+
+// The first comment of an annotation, whose author owns the annotation
+function firstComment(annotation) {
+  return annotation && annotation.commentList ? annotation.commentList.comments[0] : null;
+}
+
+// Do the permission flags allow the action?
+function flagsAllow(options, action, user, annotation, comment) {
+  switch (action) {
+    case 'add':
+      return !!options.allowAdd;
+    case 'edit':
+      return !!options.allowEdit && (!options.restrictEditToOwner || isAuthor(user, comment));
+    case 'shape-edit':
+      return !!options.allowEdit && (!options.restrictEditToOwner || isAuthor(user, firstComment(annotation)));
+    case 'delete-comment':
+      return !!options.allowDelete && (!options.restrictDeleteToOwner || isAuthor(user, comment));
+    case 'delete-annotation':
+      return !!options.allowDelete && (!options.restrictDeleteToOwner || isAuthor(user, firstComment(annotation)));
+    default:
+      return true;
+  }
+}
+
+// Is the user allowed to do the action? A policy that throws refuses it
+function allowed(options, user, action, annotation = null, comment = null) {
+  if (ACTIONS.indexOf(action) === -1 || !flagsAllow(options, action, user, annotation, comment)) return false;
+  const policy = options.permissionPolicy;
+  if (typeof policy !== 'function') return true;
+  try {
+    return !!policy(action, user, annotation, comment);
+  } catch (error) {
+    Logger.error(`permissionPolicy failed for '${action}'`, error);
+    return false;
+  }
+}
+
+module.exports = { ACTIONS, allowed };
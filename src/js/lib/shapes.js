@@ -0,0 +1,391 @@
+/*
+    Shape geometry helpers shared by rendering, drawing and W3C serialization.
+    All coordinates are percentages (0-100) of the video frame. `type` defaults to 'rect'.
+
+      rect:     { x1, y1, x2, y2 }                      (type optional, legacy format)
+      ellipse:  { type: 'ellipse', x1, y1, x2, y2 }     (bounding box of the ellipse)
+      arrow:    { type: 'arrow', x1, y1, x2, y2 }       (x1/y1 is the tail, x2/y2 the head)
+      point:    { type: 'point', x, y }
+      polygon:  { type: 'polygon', points: [{ x, y }, ...] }
+      freehand: { type: 'freehand', points: [{ x, y }, ...] }
+
+    An annotation can refer to several regions at once, in which case its shape is an array of the shapes above.
+
+    Keyframes ([{ time, shape }, ...] sorted by time) describe a shape that moves over time. The shape between
+    two keyframes is linearly interpolated when both are the same type (and have the same number of points).
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SHAPE_TYPES = Object.freeze(['rect', 'ellipse', 'arrow', 'point', 'polygon', 'freehand']);
+const POINT_SHAPE_TYPES = ['polygon', 'freehand'];
+const MIN_POINTS = { polygon: 3, freehand: 3 };
+
+// Clamp a value to a valid percent coordinate
+function clampPercent(val) {
+  return Math.max(0, Math.min(100, parseFloat(val) || 0));
+}
+
+// Round a percent value to the precision used when drawing (2 decimal places)
+function roundPercent(val) {
+  return Number(clampPercent(val).toFixed(2));
+}
+
+// Get the type of a shape, defaulting to 'rect' for the legacy {x1, y1, x2, y2} format
+function shapeType(shape) {
+  const type = shape && shape.type;
+  return SHAPE_TYPES.indexOf(type) === -1 ? 'rect' : type;
+}
+
+// Get the shapes of a single shape or array of shapes as an array
+function toList(shape) {
+  if (Array.isArray(shape)) return shape.filter(Boolean);
+  return shape ? [shape] : [];
+}
+
+// Inverse of toList: null when empty, a single shape, or an array of several
+function fromList(shapes) {
+  if (!shapes.length) return null;
+  return shapes.length === 1 ? shapes[0] : shapes;
+}
+
+// Do two (lists of) shapes consist of the same shape types, so one can be redrawn in place of the other?
+function sameLayout(a, b) {
+  const typesA = toList(a).map(shapeType);
+  const typesB = toList(b).map(shapeType);
+  return typesA.length === typesB.length && typesA.every((type, i) => type === typesB[i]);
+}
+
+function isRect(shape) {
+  return shapeType(shape) === 'rect';
+}
+
+// Does this shape store its geometry as a list of points?
+function hasPoints(shape) {
+  return POINT_SHAPE_TYPES.indexOf(shapeType(shape)) !== -1;
+}
+
+// Copy of a shape with all coordinates clamped to [0, 100] and rounded to the drawing precision. Returns null for
+// point shapes without enough points to draw
+// Arrays are validated shape by shape, dropping invalid shapes
+function validate(shape) {
+  if (!shape || typeof shape !== 'object') return shape;
+  if (Array.isArray(shape)) return fromList(shape.map(validate).filter(Boolean));
+  if (shapeType(shape) === 'point') {
+    return { ...shape, x: roundPercent(shape.x), y: roundPercent(shape.y) };
+  }
+  if (!hasPoints(shape)) {
+    return {
+      ...shape,
+      x1: roundPercent(shape.x1),
+      y1: roundPercent(shape.y1),
+      x2: roundPercent(shape.x2),
+      y2: roundPercent(shape.y2)
+    };
+  }
+  const points = (Array.isArray(shape.points) ? shape.points : [])
+    .filter(p => p && typeof p === 'object')
+    .map(p => ({ x: roundPercent(p.x), y: roundPercent(p.y) }));
+  if (points.length < MIN_POINTS[shapeType(shape)]) return null;
+  return { ...shape, points };
+}
+
+// Bounding box of any shape, in the rect {x1, y1, x2, y2} format
+function boundingBox(shape) {
+  if (shapeType(shape) === 'point') {
+    return { x1: shape.x, y1: shape.y, x2: shape.x, y2: shape.y };
+  }
+  if (!hasPoints(shape)) {
+    return {
+      x1: Math.min(shape.x1, shape.x2),
+      y1: Math.min(shape.y1, shape.y2),
+      x2: Math.max(shape.x1, shape.x2),
+      y2: Math.max(shape.y1, shape.y2)
+    };
+  }
+  const xs = shape.points.map(p => p.x);
+  const ys = shape.points.map(p => p.y);
+  return {
+    x1: Math.min(...xs),
+    y1: Math.min(...ys),
+    x2: Math.max(...xs),
+    y2: Math.max(...ys)
+  };
+}
+
+// Distance between two points, in percent units
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+// Drop points closer than `tolerance` to the previously kept point (used to thin freehand strokes)
+function simplifyPoints(points, tolerance = 0.5) {
+  return points.reduce((kept, p) => {
+    if (!kept.length || distance(kept[kept.length - 1], p) >= tolerance) kept.push(p);
+    return kept;
+  }, []);
+}
+
+// Apply fn({ x, y }) => { x, y } to every coordinate of a shape, returning a new shape
+function mapCoords(shape, fn) {
+  const type = shapeType(shape);
+  if (type === 'point') return { ...shape, ...fn({ x: shape.x, y: shape.y }) };
+  if (hasPoints(shape)) return { ...shape, points: shape.points.map(p => fn(p)) };
+  const p1 = fn({ x: shape.x1, y: shape.y1 });
+  const p2 = fn({ x: shape.x2, y: shape.y2 });
+  return { ...shape, x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+}
+
+// Move a shape by dx/dy percent, stopping at the edges of the frame
+function translate(shape, dx, dy) {
+  const box = boundingBox(shape);
+  const x = Math.max(-box.x1, Math.min(100 - box.x2, dx));
+  const y = Math.max(-box.y1, Math.min(100 - box.y2, dy));
+  return mapCoords(shape, p => ({ x: roundPercent(p.x + x), y: roundPercent(p.y + y) }));
+}
+
+// Stretch a shape from its bounding box `from` to the box `to`. A box with x1 > x2 (or y1 > y2) mirrors the shape
+function fitToBox(shape, from, to) {
+  const scaleX = from.x2 === from.x1 ? 0 : (to.x2 - to.x1) / (from.x2 - from.x1);
+  const scaleY = from.y2 === from.y1 ? 0 : (to.y2 - to.y1) / (from.y2 - from.y1);
+  const fitted = mapCoords(shape, p => ({
+    x: roundPercent(to.x1 + (p.x - from.x1) * scaleX),
+    y: roundPercent(to.y1 + (p.y - from.y1) * scaleY)
+  }));
+  // Boxes keep x1/y1 as their top left corner, arrows keep their direction
+  const type = shapeType(fitted);
+  if (type === 'rect' || type === 'ellipse') return { ...fitted, ...boundingBox(fitted) };
+  return fitted;
+}
+
+function pointsAttr(points) {
+  return points.map(p => `${p.x},${p.y}`).join(' ');
+}
+
+function pathData(points, closed = true) {
+  const cmds = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x} ${p.y}`);
+  if (closed) cmds.push('Z');
+  return cmds.join(' ');
+}
+
+function lerp(from, to, ratio) {
+  return Number((from + (to - from) * ratio).toFixed(2));
+}
+
+// Blend two shapes, ratio 0 being `from` and 1 being `to`. Shapes that can't be blended step at the end
+function interpolate(from, to, ratio) {
+  const step = ratio < 1 ? from : to;
+  if (Array.isArray(from) || Array.isArray(to)) {
+    if (!Array.isArray(from) || !Array.isArray(to) || from.length !== to.length) return step;
+    return from.map((shape, i) => interpolate(shape, to[i], ratio));
+  }
+  const type = shapeType(from);
+  if (type !== shapeType(to)) return step;
+  if (type === 'point') {
+    return { ...from, x: lerp(from.x, to.x, ratio), y: lerp(from.y, to.y, ratio) };
+  }
+  if (hasPoints(from)) {
+    if (from.points.length !== to.points.length) return step;
+    return {
+      ...from,
+      points: from.points.map((p, i) => ({
+        x: lerp(p.x, to.points[i].x, ratio),
+        y: lerp(p.y, to.points[i].y, ratio)
+      }))
+    };
+  }
+  return {
+    ...from,
+    x1: lerp(from.x1, to.x1, ratio),
+    y1: lerp(from.y1, to.y1, ratio),
+    x2: lerp(from.x2, to.x2, ratio),
+    y2: lerp(from.y2, to.y2, ratio)
+  };
+}
+
+// Validate and sort a list of keyframes, dropping invalid entries. Returns null if none are left
+function validateKeyframes(keyframes) {
+  if (!Array.isArray(keyframes)) return null;
+  const valid = keyframes
+    .filter(kf => kf && typeof kf === 'object')
+    .map(kf => ({ time: parseFloat(kf.time), shape: validate(kf.shape) }))
+    .filter(kf => Number.isFinite(kf.time) && kf.time >= 0 && kf.shape);
+  valid.sort((a, b) => a.time - b.time);
+  return valid.length ? valid : null;
+}
+
+// Get the (interpolated) shape for a time (in seconds) from a sorted list of keyframes
+function shapeAtTime(keyframes, time) {
+  if (!keyframes || !keyframes.length) return null;
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (time <= first.time) return first.shape;
+  if (time >= last.time) return last.shape;
+  const i = keyframes.findIndex(kf => kf.time > time);
+  const from = keyframes[i - 1];
+  const to = keyframes[i];
+  return interpolate(from.shape, to.shape, (time - from.time) / (to.time - from.time));
+}
+
+// Inner SVG markup for a shape, in a 0-100 viewBox
+// draft: the shape is still being drawn, so render it open and mark its vertices
+function toSvgMarkup(shape, draft = false) {
+  const type = shapeType(shape);
+  if (type === 'point') {
+    return `<circle class="vac-shape-path" cx="${shape.x}" cy="${shape.y}" r="0"></circle>`;
+  }
+  if (type === 'rect' || type === 'ellipse' || type === 'arrow') {
+    const box = boundingBox(shape);
+    if (type === 'arrow') {
+      return `<line class="vac-shape-path" x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}"></line>`;
+    }
+    if (type === 'ellipse') {
+      const rx = (box.x2 - box.x1) / 2;
+      const ry = (box.y2 - box.y1) / 2;
+      return `<ellipse class="vac-shape-path" cx="${box.x1 + rx}" cy="${box.y1 + ry}" rx="${rx}" ry="${ry}"></ellipse>`;
+    }
+    return `<rect class="vac-shape-path" x="${box.x1}" y="${box.y1}" width="${box.x2 - box.x1}" height="${box.y2 - box.y1}"></rect>`;
+  }
+  if (draft) {
+    const vertices = shape.points
+      .map(p => `<circle class="vac-shape-vertex" cx="${p.x}" cy="${p.y}" r="0.6"></circle>`)
+      .join('');
+    return `<polyline class="vac-shape-path vac-shape-draft" points="${pointsAttr(shape.points)}"></polyline>${vertices}`;
+  }
+  if (type === 'freehand') return `<path class="vac-shape-path" d="${pathData(shape.points)}"></path>`;
+  return `<polygon class="vac-shape-path" points="${pointsAttr(shape.points)}"></polygon>`;
+}
+
+// SVG markup for rendering an arrow on the player. Unlike toSvgMarkup this uses percent units
+// without a viewBox, so the arrowhead isn't stretched with the aspect ratio of the player
+function arrowSvgMarkup(shape, markerId) {
+  return `<defs>
+  <marker id="${markerId}" class="vac-shape-arrowhead" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+    <path d="M0 0 L10 5 L0 10 Z"></path>
+  </marker>
+</defs>
+<line class="vac-shape-path" x1="${shape.x1}%" y1="${shape.y1}%" x2="${shape.x2}%" y2="${shape.y2}%" marker-end="url(#${markerId})"></line>`;
+}
+
+// Build the value of a W3C SvgSelector for a shape (or an array of shapes)
+function toSvgSelectorValue(shape) {
+  const body = toList(shape)
+    .map(s => toSvgMarkup(s))
+    .join('')
+    .replace(/ class="[^"]*"/g, '');
+  return `<svg xmlns="${SVG_NS}" viewBox="0 0 100 100" preserveAspectRatio="none">${body}</svg>`;
+}
+
+// Read pairs of numbers out of a points list or an M/L-only path
+function parseNumberPairs(str) {
+  const nums = (str.match(/-?\d*\.?\d+(?:e-?\d+)?/gi) || []).map(parseFloat);
+  const points = [];
+  for (let i = 0; i + 1 < nums.length; i += 2) points.push({ x: nums[i], y: nums[i + 1] });
+  return points;
+}
+
+function readAttr(el, name) {
+  const match = el.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  if (!match) return null;
+  return match[2] != null ? match[2] : match[3];
+}
+
+function readNumberAttr(el, name) {
+  return parseFloat(readAttr(el, name)) || 0;
+}
+
+// Read the geometry of a single SVG element (opening tag) as a shape, in the SVG's coordinates
+function svgElementGeometry(el) {
+  const name = el.match(/^<(\w+)/)[1].toLowerCase();
+  switch (name) {
+    case 'rect': {
+      const x = readNumberAttr(el, 'x');
+      const y = readNumberAttr(el, 'y');
+      return { x1: x, y1: y, x2: x + readNumberAttr(el, 'width'), y2: y + readNumberAttr(el, 'height') };
+    }
+    case 'ellipse':
+    case 'circle': {
+      const cx = readNumberAttr(el, 'cx');
+      const cy = readNumberAttr(el, 'cy');
+      const r = readNumberAttr(el, 'r');
+      const rx = readAttr(el, 'rx') != null ? readNumberAttr(el, 'rx') : r;
+      const ry = readAttr(el, 'ry') != null ? readNumberAttr(el, 'ry') : r;
+      // A circle without a radius marks a single point
+      if (!rx && !ry) return { type: 'point', x: cx, y: cy };
+      return { type: 'ellipse', x1: cx - rx, y1: cy - ry, x2: cx + rx, y2: cy + ry };
+    }
+    case 'line':
+      return {
+        type: 'arrow',
+        x1: readNumberAttr(el, 'x1'),
+        y1: readNumberAttr(el, 'y1'),
+        x2: readNumberAttr(el, 'x2'),
+        y2: readNumberAttr(el, 'y2')
+      };
+    case 'polygon':
+    case 'polyline': {
+      const points = readAttr(el, 'points');
+      const type = name === 'polygon' ? 'polygon' : 'freehand';
+      return points ? { type, points: parseNumberPairs(points) } : null;
+    }
+    default: {
+      const d = readAttr(el, 'd');
+      // Only straight-line paths can be represented as a freehand shape
+      if (!d || /[^MLZ\d\s,.eE-]/.test(d)) return null;
+      return { type: 'freehand', points: parseNumberPairs(d) };
+    }
+  }
+}
+
+// The area of an SVG's coordinates that covers the frame: its viewBox, else its width and height, else 0-100
+function svgViewBox(svg) {
+  const tag = (svg.match(/<svg\b[^>]*>/i) || [''])[0];
+  const viewBox = (readAttr(tag, 'viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  }
+  const width = parseFloat(readAttr(tag, 'width'));
+  const height = parseFloat(readAttr(tag, 'height'));
+  if (width > 0 && height > 0 && !/%/.test(`${readAttr(tag, 'width')}${readAttr(tag, 'height')}`)) {
+    return { x: 0, y: 0, width, height };
+  }
+  return { x: 0, y: 0, width: 100, height: 100 };
+}
+
+// Parse the value of a W3C SvgSelector into a shape, or an array of shapes if it has several elements.
+// Coordinates are scaled from the SVG's viewBox (see svgViewBox) to percentages of the frame.
+// Returns null if no supported element is found
+function fromSvgSelectorValue(svg) {
+  if (!svg || typeof svg !== 'string') return null;
+  const matches = svg.match(/<(rect|ellipse|circle|line|polygon|polyline|path)\b[^>]*>/gi) || [];
+  const shapes = matches.map(svgElementGeometry).filter(Boolean);
+  const box = svgViewBox(svg);
+  if (box.x === 0 && box.y === 0 && box.width === 100 && box.height === 100) return validate(shapes);
+  const toPercent = p => ({ x: ((p.x - box.x) / box.width) * 100, y: ((p.y - box.y) / box.height) * 100 });
+  return validate(shapes.map(shape => mapCoords(shape, toPercent)));
+}
+
+module.exports = {
+  SVG_NS,
+  SHAPE_TYPES,
+  clampPercent,
+  roundPercent,
+  shapeType,
+  toList,
+  fromList,
+  sameLayout,
+  isRect,
+  hasPoints,
+  validate,
+  boundingBox,
+  distance,
+  simplifyPoints,
+  translate,
+  fitToBox,
+  interpolate,
+  validateKeyframes,
+  shapeAtTime,
+  toSvgMarkup,
+  arrowSvgMarkup,
+  toSvgSelectorValue,
+  fromSvgSelectorValue
+};
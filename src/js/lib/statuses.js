@@ -0,0 +1,36 @@
+/*
+    Review status of an annotation: whether the note it makes has been addressed. An annotation is 'open' until
+    someone changes its status, which adds a status entry to its thread (a comment with a `status`). The latest
+    status entry sets the status, so changes are saved, synced and undone like replies.
+
+    Resolved and won't-fix annotations are closed: they can be left out of nextAnnotation/prevAnnotation (see the
+    skipResolved option).
+*/
+
+const STATUSES = ['open', 'in-progress', 'resolved', 'wontfix'];
+const LABELS = { open: 'Open', 'in-progress': 'In progress', resolved: 'Resolved', wontfix: "Won't fix" };
+const CLOSED = ['resolved', 'wontfix'];
+
+function isStatus(status) {
+  return STATUSES.indexOf(status) !== -1;
+}
+
+function isClosed(status) {
+  return CLOSED.indexOf(status) !== -1;
+}
+
+function label(status) {
+  return LABELS[status] || LABELS.open;
+}
+
+// The text of a status entry, as kept in its body (e.g. for exports that only show comment text)
+function entryText(status) {
+  return `Changed the status to ${label(status)}`;
+}
+
+// The statuses with their labels, e.g. for a select: [{ value, label }]
+function options() {
+  return STATUSES.map(status => ({ value: status, label: label(status) }));
+}
+
+module.exports = { STATUSES, isStatus, isClosed, label, entryText, options };
@@ -0,0 +1,74 @@
+/*
+    LocalStorageAdapter: keeps annotations in the browser's localStorage, for demos and offline use.
+    Annotations and replies are stored together as one W3C collection under a single key (per video, typically).
+
+    Example usage:
+        player.annotationComments({ storage: new LocalStorageAdapter({ key: 'vac-annotations-intro-video' }) });
+*/
+
+const StorageAdapter = require('./storage_adapter');
+
+class LocalStorageAdapter extends StorageAdapter {
+  // options: { key, storage } - storage defaults to window.localStorage (anything with getItem/setItem works)
+  constructor(options = {}) {
+    super();
+    this.key = options.key || 'vac-annotations';
+    this.storage = options.storage || window.localStorage;
+  }
+
+  load() {
+    return Promise.resolve().then(() => this.read());
+  }
+
+  create(annotation) {
+    return this.change(list => list.concat([annotation])).then(() => annotation);
+  }
+
+  update(annotation) {
+    return this.change(list => {
+      const index = list.findIndex(item => item.id === annotation.id);
+      if (index === -1) return list.concat([annotation]);
+      return list.map((item, i) => (i === index ? annotation : item));
+    }).then(() => annotation);
+  }
+
+  // Deleting a root annotation also deletes its replies, and deleting a reply the replies to it
+  delete(id) {
+    return this.change(list => {
+      const deleted = new Set([id]);
+      let count = 0;
+      while (count !== deleted.size) {
+        count = deleted.size;
+        list.forEach(item => {
+          if (deleted.has(item.target)) deleted.add(item.id);
+        });
+      }
+      return list.filter(item => !deleted.has(item.id));
+    });
+  }
+
+  // A reply to a reply keeps its target, the reply it replies to
+  reply(annotationId, reply) {
+    const stored = { target: annotationId, ...reply };
+    return this.change(list => list.concat([stored])).then(() => stored);
+  }
+
+  // Read the stored collection (empty if nothing or something unreadable is stored)
+  read() {
+    try {
+      const list = JSON.parse(this.storage.getItem(this.key));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Apply a change to the stored collection
+  change(fn) {
+    return Promise.resolve().then(() => {
+      this.storage.setItem(this.key, JSON.stringify(fn(this.read())));
+    });
+  }
+}
+
+module.exports = LocalStorageAdapter;
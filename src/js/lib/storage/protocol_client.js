@@ -0,0 +1,230 @@
+/*
+    ProtocolClient: a client for the W3C Web Annotation Protocol (https://www.w3.org/TR/annotation-protocol/).
+
+    Reads an annotation container (following its `first`/`next` pages), creates annotations by POSTing to the
+    container, and updates/deletes them at the IRI the server assigned, with the ETag last seen for it in `If-Match`.
+
+    The plugin's ids (with any idPrefix, e.g. 'urn:uuid:1234') stay the ids the client is called with and returns:
+    server IRIs are mapped back to them, including reply targets. Ids that are IRIs themselves are sent as the
+    annotation's `canonical` IRI, so the mapping survives reloading the container.
+
+    Example usage:
+        const client = new ProtocolClient({ container: 'https://example.com/annotations/video-1/' });
+        client.list().then(annotations => ...);
+        client.create(annotation).then(() => client.update(changedAnnotation));
+*/
+
+const ANNO_MEDIA_TYPE = 'application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"';
+const PREFER_CONTAINED = 'return=representation;include="http://www.w3.org/ns/oa#PreferContainedDescriptions"';
+
+// Is an id an absolute IRI (has a scheme, e.g. 'https:' or 'urn:')?
+const isIRI = id => /^[a-z][a-z0-9+.-]*:/i.test(String(id));
+
+// A response body as JSON, or null if it is empty or isn't JSON (some servers answer a write with text or HTML)
+const parseBody = (text, contentType) => {
+  if (!text || (contentType && !/json/i.test(contentType))) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+class ProtocolClient {
+  // options: { container (IRI), headers (added to every request), fetch (defaults to window.fetch) }
+  constructor(options = {}) {
+    if (!options.container) throw new Error('ProtocolClient requires a container IRI');
+    this.container = options.container;
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || window.fetch.bind(window);
+    this.iris = new Map(); // local id -> server IRI
+    this.localIds = new Map(); // server IRI -> local id
+    this.etags = new Map(); // server IRI -> last seen ETag
+  }
+
+  // Read every annotation in the container, across all of its pages
+  list() {
+    return this.request('GET', this.container, { headers: { Prefer: PREFER_CONTAINED } })
+      .then(({ body }) => {
+        if (Array.isArray(body)) return body;
+        if (!body) return [];
+        // Some servers list items on the container itself rather than on pages
+        return this.readPages(body.first || { items: body.items }, [], []);
+      })
+      .then(items => {
+        // Learn every mapping before converting, as replies may come before the annotations they target
+        items.forEach(item => this.learn(item));
+        return items.map(item => this.toLocal(item));
+      });
+  }
+
+  // Collect the items of a page (embedded, or an IRI to fetch) and of the pages that follow it
+  readPages(page, items, seen) {
+    if (!page) return Promise.resolve(items);
+    const pageIRI = typeof page === 'string' ? this.resolve(page) : null;
+    if (pageIRI && seen.indexOf(pageIRI) !== -1) return Promise.resolve(items);
+
+    const pageBody = pageIRI ? this.request('GET', pageIRI).then(({ body }) => body) : Promise.resolve(page);
+    return pageBody
+      .then(body => this.readItems((body && body.items) || []).then(pageItems => ({ body, pageItems })))
+      .then(({ body, pageItems }) =>
+        this.readPages(body && body.next, items.concat(pageItems), pageIRI ? seen.concat([pageIRI]) : seen)
+      );
+  }
+
+  // Page items are usually full annotations, but may be just their IRIs
+  readItems(items) {
+    return Promise.all(items.map(item => (typeof item === 'string' ? this.getRemote(this.resolve(item)) : item)));
+  }
+
+  // Read a single annotation
+  get(id) {
+    return this.getRemote(this.iriFor(id)).then(item => {
+      this.learn(item);
+      return this.toLocal(item);
+    });
+  }
+
+  // Create an annotation (or a reply, whose target is the local id of the annotation it replies to)
+  create(annotation) {
+    const localId = annotation.id;
+    const body = this.toRemote(annotation);
+    delete body.id;
+    const headers = localId != null ? { Slug: String(localId).split(/[:/]/).pop() } : {};
+
+    return this.request('POST', this.container, { body, headers }).then(({ body: saved, etag, location }) => {
+      const iri = (saved && saved.id) || location;
+      if (iri) {
+        const resolved = this.resolve(iri);
+        if (localId != null) this.remember(localId, resolved);
+        if (etag) this.etags.set(resolved, etag);
+      }
+      return annotation;
+    });
+  }
+
+  // Replace an annotation, failing with error.conflict if it changed on the server since it was last seen
+  update(annotation) {
+    const iri = this.iriFor(annotation.id);
+    const body = { ...this.toRemote(annotation), id: iri };
+    return this.etagFor(iri)
+      .then(etag => this.request('PUT', iri, { body, headers: etag ? { 'If-Match': etag } : {} }))
+      .then(({ etag }) => {
+        if (etag) this.etags.set(iri, etag);
+        return annotation;
+      });
+  }
+
+  // Delete an annotation, failing with error.conflict if it changed on the server since it was last seen
+  delete(id) {
+    const iri = this.iriFor(id);
+    return this.etagFor(iri)
+      .then(etag => this.request('DELETE', iri, { headers: etag ? { 'If-Match': etag } : {} }))
+      .then(() => {
+        this.etags.delete(iri);
+        this.forget(iri);
+        return null;
+      });
+  }
+
+  // GET an annotation by IRI, recording its ETag
+  getRemote(iri) {
+    return this.request('GET', iri).then(({ body, etag }) => {
+      if (etag) this.etags.set(iri, etag);
+      return body;
+    });
+  }
+
+  // The ETag for an IRI, fetching the annotation if none has been seen
+  etagFor(iri) {
+    if (this.etags.has(iri)) return Promise.resolve(this.etags.get(iri));
+    return this.getRemote(iri).then(() => this.etags.get(iri) || null);
+  }
+
+  // Server IRI for a local id: the IRI it was created/loaded as, else the id resolved against the container
+  iriFor(id) {
+    if (this.iris.has(id)) return this.iris.get(id);
+    if (/^https?:/i.test(String(id))) return id;
+    return this.resolve(encodeURIComponent(id));
+  }
+
+  // Local id for a server IRI (the IRI itself if it isn't mapped)
+  localIdFor(iri) {
+    return this.localIds.has(iri) ? this.localIds.get(iri) : iri;
+  }
+
+  remember(localId, iri) {
+    this.forget(this.iris.get(localId));
+    this.iris.set(localId, iri);
+    this.localIds.set(iri, localId);
+  }
+
+  forget(iri) {
+    if (!this.localIds.has(iri)) return;
+    this.iris.delete(this.localIds.get(iri));
+    this.localIds.delete(iri);
+  }
+
+  // Map a loaded annotation to the local id it was created with (its canonical IRI), if it isn't mapped already
+  learn(item) {
+    if (!item || !item.id) return;
+    const iri = this.resolve(item.id);
+    if (!this.localIds.has(iri) && item.canonical) this.remember(item.canonical, iri);
+  }
+
+  // Annotation as sent to the server: reply targets are server IRIs and IRI ids are kept as `canonical`
+  toRemote(annotation) {
+    const remote = { ...annotation };
+    if (typeof remote.target === 'string') remote.target = this.iriFor(remote.target);
+    if (remote.id != null && isIRI(remote.id) && !remote.canonical && this.iriFor(remote.id) !== remote.id) {
+      remote.canonical = remote.id;
+    }
+    return remote;
+  }
+
+  // Annotation as returned to the plugin: server IRIs are mapped back to local ids
+  toLocal(item) {
+    const local = { ...item };
+    if (item.id) local.id = this.localIdFor(this.resolve(item.id));
+    if (typeof item.target === 'string') local.target = this.localIdFor(this.resolve(item.target));
+    return local;
+  }
+
+  // Resolve a (possibly relative) IRI against the container
+  resolve(iri) {
+    return new URL(iri, this.container).href;
+  }
+
+  // Make a request, resolving with { status, body, etag, location } and rejecting on HTTP errors.
+  // A body that isn't JSON resolves as null, as the request still succeeded
+  // A 412 (Precondition Failed) rejects with error.conflict, and the stale ETag is dropped
+  request(method, url, options = {}) {
+    const { body = null, headers = {} } = options;
+    const init = {
+      method,
+      headers: {
+        Accept: ANNO_MEDIA_TYPE,
+        ...(body ? { 'Content-Type': ANNO_MEDIA_TYPE } : {}),
+        ...this.headers,
+        ...headers
+      }
+    };
+    if (body) init.body = JSON.stringify(body);
+
+    return this.fetch(url, init).then(response => {
+      if (!response.ok) {
+        const error = new Error(`${method} ${url} failed with status ${response.status}`);
+        error.status = response.status;
+        error.conflict = response.status === 412;
+        if (error.conflict) this.etags.delete(url);
+        throw error;
+      }
+      const header = name => (response.headers && response.headers.get(name)) || null;
+      const result = { status: response.status, etag: header('ETag'), location: header('Location'), body: null };
+      if (response.status === 204) return result;
+      return response.text().then(text => ({ ...result, body: parseBody(text, header('Content-Type')) }));
+    });
+  }
+}
+
+module.exports = ProtocolClient;
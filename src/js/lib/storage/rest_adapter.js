@@ -0,0 +1,47 @@
+/*
+    RestAdapter: stores annotations on a server implementing the W3C Web Annotation Protocol
+    (https://www.w3.org/TR/annotation-protocol/), using ProtocolClient. Annotations are created by POSTing to an
+    annotation container, and updated/deleted at the IRI the server assigned them. Replies are annotations too,
+    targeting their parent. The plugin keeps its own ids; the client maps them to and from the server's IRIs.
+
+    Example usage:
+        player.annotationComments({
+          idPrefix: 'urn:uuid:',
+          storage: new RestAdapter({ endpoint: 'https://example.com/annotations/video-1/', headers: { Authorization } })
+        });
+*/
+
+const StorageAdapter = require('./storage_adapter');
+const ProtocolClient = require('./protocol_client');
+
+class RestAdapter extends StorageAdapter {
+  // options: { endpoint (container IRI), headers (added to every request), fetch (defaults to window.fetch) }
+  constructor(options = {}) {
+    super();
+    if (!options.endpoint) throw new Error('RestAdapter requires an endpoint');
+    this.endpoint = options.endpoint;
+    this.client = new ProtocolClient({ container: options.endpoint, headers: options.headers, fetch: options.fetch });
+  }
+
+  load() {
+    return this.client.list();
+  }
+
+  create(annotation) {
+    return this.client.create(annotation);
+  }
+
+  update(annotation) {
+    return this.client.update(annotation);
+  }
+
+  delete(id) {
+    return this.client.delete(id);
+  }
+
+  reply(annotationId, reply) {
+    return this.client.create({ target: annotationId, ...reply });
+  }
+}
+
+module.exports = RestAdapter;
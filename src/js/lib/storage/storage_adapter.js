@@ -0,0 +1,54 @@
+/*
+    StorageAdapter: the interface AnnotationState uses to persist annotations. Configure one with the `storage` plugin
+    option and annotations are loaded from it on init, and every add/edit/delete/reply is sent to it.
+
+    All data is in W3C Web Annotation format (see lib/w3c). Every method returns a Promise:
+
+      load()                     resolves with an array of annotations (roots and their replies, as in the
+                                 `onStateChanged` collection)
+      create(annotation)         stores a new root annotation; may resolve with the stored annotation, whose `id`
+                                 replaces the local one (e.g. when the server assigns IRIs)
+      update(annotation)         stores changes to an existing root annotation, or to a reply (an edited comment)
+      delete(id)                 removes a root annotation (with its replies) or a reply (with the replies to it)
+      reply(annotationId, reply) stores a new reply in a root annotation's thread, whose `target` is the annotation
+                                 or the reply it replies to; may resolve with the stored reply
+
+    Any object with these methods can be used as an adapter. Extending this class is optional.
+*/
+
+class StorageAdapter {
+  // Nothing is stored until an adapter overrides this
+  // eslint-disable-next-line class-methods-use-this
+  load() {
+    return Promise.resolve([]);
+  }
+
+  create() {
+    return this.notImplemented('create');
+  }
+
+  update() {
+    return this.notImplemented('update');
+  }
+
+  delete() {
+    return this.notImplemented('delete');
+  }
+
+  reply() {
+    return this.notImplemented('reply');
+  }
+
+  notImplemented(method) {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement ${method}()`));
+  }
+}
+
+// The methods an adapter must have
+StorageAdapter.METHODS = Object.freeze(['load', 'create', 'update', 'delete', 'reply']);
+
+// Does an object implement the adapter interface?
+StorageAdapter.isAdapter = obj =>
+  !!obj && StorageAdapter.METHODS.every(method => typeof obj[method] === 'function');
+
+module.exports = StorageAdapter;
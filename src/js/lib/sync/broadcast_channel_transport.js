@@ -0,0 +1,29 @@
+/*
+    BroadcastChannelTransport: connects players in other tabs/windows of the same origin, using BroadcastChannel.
+
+    Example usage:
+        player.annotationComments({ collaboration: { transport: new BroadcastChannelTransport('review-1') } });
+*/
+
+const Transport = require('./transport');
+
+class BroadcastChannelTransport extends Transport {
+  // BroadcastChannelClass defaults to window.BroadcastChannel
+  constructor(name = 'vac-collaboration', BroadcastChannelClass = window.BroadcastChannel) {
+    super();
+    this.channel = new BroadcastChannelClass(name);
+    this.channel.onmessage = event => this.receive(event.data);
+  }
+
+  send(message) {
+    if (this.channel) this.channel.postMessage(message);
+  }
+
+  close() {
+    if (this.channel) this.channel.close();
+    this.channel = null;
+    super.close();
+  }
+}
+
+module.exports = BroadcastChannelTransport;
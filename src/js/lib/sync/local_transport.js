@@ -0,0 +1,45 @@
+/*
+    LocalTransport: connects players on the same page through an in-memory channel, e.g. for demos and tests.
+    Transports created with the same channel name receive each other's messages (asynchronously, like a network).
+
+    Example usage:
+        const a = new LocalTransport('review-1');
+        const b = new LocalTransport('review-1');
+        playerA.annotationComments({ collaboration: { transport: a } });
+        playerB.annotationComments({ collaboration: { transport: b } });
+*/
+
+const Transport = require('./transport');
+
+// Channel name -> connected transports
+const channels = new Map();
+
+class LocalTransport extends Transport {
+  constructor(name = 'vac-collaboration') {
+    super();
+    this.name = name;
+    if (!channels.has(name)) channels.set(name, new Set());
+    channels.get(name).add(this);
+  }
+
+  send(message) {
+    const channel = channels.get(this.name);
+    if (!channel) return;
+    // Copy, so receivers can't share objects with the sender
+    const data = JSON.stringify(message);
+    channel.forEach(transport => {
+      if (transport !== this) Promise.resolve().then(() => transport.receive(JSON.parse(data)));
+    });
+  }
+
+  close() {
+    const channel = channels.get(this.name);
+    if (channel) {
+      channel.delete(this);
+      if (!channel.size) channels.delete(this.name);
+    }
+    super.close();
+  }
+}
+
+module.exports = LocalTransport;
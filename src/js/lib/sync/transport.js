@@ -0,0 +1,45 @@
+/*
+    Transport: the interface the Collaboration component uses to exchange messages with other users' players.
+    Configure one with the `collaboration` plugin option ({ transport }).
+
+    Messages are plain JSON-serializable objects. A transport must:
+
+      send(message)        deliver a message to every other connected player (delivering it back to the sender
+                           is allowed, the sender ignores its own messages)
+      onMessage(callback)  call callback(message) for each message received
+      close()              disconnect
+
+    Any object with these methods can be used as a transport. Extending this class is optional; it keeps the
+    message listeners, so subclasses only need to call this.receive(message) for incoming messages.
+*/
+
+class Transport {
+  constructor() {
+    this.listeners = [];
+  }
+
+  send() {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  onMessage(callback) {
+    this.listeners.push(callback);
+  }
+
+  // Hand an incoming message to the listeners
+  receive(message) {
+    this.listeners.forEach(callback => callback(message));
+  }
+
+  close() {
+    this.listeners = [];
+  }
+}
+
+// The methods a transport must have
+Transport.METHODS = Object.freeze(['send', 'onMessage', 'close']);
+
+// Does an object implement the transport interface?
+Transport.isTransport = obj => !!obj && Transport.METHODS.every(method => typeof obj[method] === 'function');
+
+module.exports = Transport;
@@ -0,0 +1,66 @@
+/*
+    WebSocketTransport: connects players through a WebSocket server that relays each message to the other clients
+    in the same session (e.g. one socket URL per video). Messages are sent as JSON text frames. Messages sent
+    before the socket opens are queued.
+
+    Example usage:
+        player.annotationComments({
+          collaboration: { transport: new WebSocketTransport({ url: 'wss://example.com/review/video-1' }) }
+        });
+*/
+
+const Transport = require('./transport');
+
+class WebSocketTransport extends Transport {
+  // options: { url, or socket (an existing WebSocket), WebSocket (class, defaults to window.WebSocket) }
+  constructor(options = {}) {
+    super();
+    if (!options.url && !options.socket) throw new Error('WebSocketTransport requires a url or socket');
+    const WebSocketClass = options.WebSocket || window.WebSocket;
+    this.socket = options.socket || new WebSocketClass(options.url);
+    this.queue = [];
+    this.socket.addEventListener('open', () => this.flush());
+    this.socket.addEventListener('message', event => this.onSocketMessage(event));
+  }
+
+  get isOpen() {
+    return !!this.socket && this.socket.readyState === 1;
+  }
+
+  send(message) {
+    if (!this.socket) return;
+    const data = JSON.stringify(message);
+    if (this.isOpen) {
+      this.socket.send(data);
+    } else {
+      this.queue.push(data);
+    }
+  }
+
+  // Send the messages queued while connecting
+  flush() {
+    const queued = this.queue;
+    this.queue = [];
+    queued.forEach(data => this.socket.send(data));
+  }
+
+  // Ignore anything that isn't a JSON message (e.g. server pings)
+  onSocketMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    if (message && typeof message === 'object') this.receive(message);
+  }
+
+  close() {
+    if (this.socket) this.socket.close();
+    this.socket = null;
+    this.queue = [];
+    super.close();
+  }
+}
+
+module.exports = WebSocketTransport;
@@ -14,6 +14,16 @@ export function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * Escape a string for use inside a double-quoted HTML attribute (e.g. aria-label).
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeAttr(str) {
+  if (typeof str !== 'string') return str;
+  return escapeHtml(str).replace(/"/g, '&quot;');
+}
+
 /**
  * Convert newlines to <br> tags after escaping HTML.
  * This is the equivalent of the Handlebars `breaklines` helper.
@@ -37,4 +47,4 @@ export function html(strings, ...values) {
   }, '');
 }
 
-export default { escapeHtml, breaklines, html };
+export default { escapeHtml, escapeAttr, breaklines, html };
@@ -0,0 +1,140 @@
+/*
+    SMPTE timecode (HH:MM:SS:FF) conversion, for display and for exporting to and importing from editing suites.
+
+    Functions take the timecode settings as options, named like the plugin options so those can be passed as they
+    are: { frameRate, dropFrame, startTimecode }
+      frameRate: frames per second. Frames are labelled at the nearest whole rate, so at 29.97fps there are 30
+        frame labels a second. Without a frame rate, times are whole seconds labelled at 30fps
+      dropFrame: whether to use drop-frame timecode, which skips frame labels (not frames) so that 29.97/59.94fps
+        timecode keeps up with the clock. It is written with ';' before the frames (00:01:00;02). By default
+        (null), 29.97 and 59.94fps are drop-frame; other rates can't be
+      startTimecode: the timecode of the start of the video, e.g. '01:00:00:00'
+
+    Frame counts are from the start of the video; timecode strings include the start timecode.
+*/
+
+const DEFAULT_RATE = 30;
+
+const pad = (n, size = 2) => String(n).padStart(size, '0');
+
+// Whole frames per second used for the frames field, e.g. 30 for 29.97
+function nominalRate(options = {}) {
+  return Math.round(options.frameRate || DEFAULT_RATE);
+}
+
+// Whether timecode is drop-frame, which is only possible at 29.97 and 59.94fps
+function isDropFrame(options = {}) {
+  const { frameRate, dropFrame } = options;
+  const rate = nominalRate(options);
+  const dropRate = !!frameRate && rate % 30 === 0 && Math.abs(frameRate - (rate * 1000) / 1001) < 0.01;
+  return dropRate && dropFrame !== false;
+}
+
+// Frame labels skipped at the start of each minute (except every tenth) in drop-frame timecode
+function droppedPerMinute(options) {
+  return isDropFrame(options) ? nominalRate(options) / 15 : 0;
+}
+
+// Frame number of a time (in seconds)
+function toFrames(seconds, options = {}) {
+  const { frameRate } = options;
+  return Math.round(Math.max(0, seconds) * (frameRate || 1)) * (frameRate ? 1 : DEFAULT_RATE);
+}
+
+// Time (in seconds) of a frame number
+function fromFrames(frames, options = {}) {
+  return frames / (options.frameRate || DEFAULT_RATE);
+}
+
+// Format a number of frames as timecode (without the start timecode, e.g. for a duration)
+function framesToTimecode(frames, options = {}) {
+  const rate = nominalRate(options);
+  const drop = droppedPerMinute(options);
+  let label = Math.max(0, Math.round(frames));
+  if (drop) {
+    // Skip the labels dropped in each full ten minutes, then in each minute after the first of the last ten
+    const perTenMinutes = rate * 600 - drop * 9;
+    const perMinute = rate * 60 - drop;
+    const remainder = label % perTenMinutes;
+    label += drop * 9 * Math.floor(label / perTenMinutes);
+    if (remainder >= drop) label += drop * Math.floor((remainder - drop) / perMinute);
+  }
+  const hours = Math.floor(label / (rate * 3600));
+  const mins = Math.floor((label % (rate * 3600)) / (rate * 60));
+  const secs = Math.floor((label % (rate * 60)) / rate);
+  return `${pad(hours)}:${pad(mins)}:${pad(secs)}${drop ? ';' : ':'}${pad(label % rate)}`;
+}
+
+// Parse timecode ('HH:MM:SS:FF', also with ';' or '.' before the frames) to a number of frames (without the start
+// timecode), or null if it isn't valid. Labels skipped in drop-frame timecode count as the next frame
+function timecodeToFrames(str, options = {}) {
+  const match = /^(\d{1,2}):(\d{2}):(\d{2})[:;.](\d{2,3})$/.exec(String(str == null ? '' : str).trim());
+  if (!match) return null;
+  const [hours, mins, secs, frames] = match.slice(1).map(Number);
+  const rate = nominalRate(options);
+  if (mins > 59 || secs > 59 || frames >= rate) return null;
+  const drop = droppedPerMinute(options);
+  const totalMinutes = hours * 60 + mins;
+  const label = (totalMinutes * 60 + secs) * rate + Math.max(frames, secs === 0 && mins % 10 ? drop : 0);
+  return label - drop * (totalMinutes - Math.floor(totalMinutes / 10));
+}
+
+// Frame count of the start timecode
+function startFrames(options = {}) {
+  return (options.startTimecode && timecodeToFrames(options.startTimecode, options)) || 0;
+}
+
+// Format a time (in seconds) as timecode, e.g. toTimecode(10.5, { frameRate: 24 }) -> '00:00:10:12'
+function toTimecode(seconds, options = {}) {
+  return framesToTimecode(toFrames(seconds, options) + startFrames(options), options);
+}
+
+// Parse timecode to a time (in seconds), or null if it isn't valid or is before the start timecode
+function fromTimecode(str, options = {}) {
+  const frames = timecodeToFrames(str, options);
+  const start = startFrames(options);
+  return frames === null || frames < start ? null : fromFrames(frames - start, options);
+}
+
+// Format a range as timecode, e.g. '00:00:10:00 - 00:00:15:00'
+function formatRange(range, options = {}) {
+  const str = [toTimecode(range.start, options)];
+  if (range.end) str.push(toTimecode(range.end, options));
+  return str.join(' - ');
+}
+
+// Format a time (in seconds) for a file: timecode with a frame rate, else 'HH:MM:SS' (with '.mmm' if fractional)
+function formatTime(seconds, options = {}) {
+  if (options.frameRate) return toTimecode(seconds, options);
+  const ms = Math.round((Math.max(0, seconds) + fromFrames(startFrames(options))) * 1000);
+  const str = framesToTimecode(Math.floor(ms / 1000) * DEFAULT_RATE).slice(0, 8);
+  return ms % 1000 ? `${str}.${pad(ms % 1000, 3)}` : str;
+}
+
+// Parse a time written as timecode, 'HH:MM:SS(.mmm)', 'MM:SS(.mmm)' or seconds, or null if it isn't one. Times
+// with colons include the start timecode, plain seconds are from the start of the video
+function parseTime(str, options = {}) {
+  const value = String(str == null ? '' : str).trim();
+  if (!value) return null;
+  if (/^\d+:\d{2}:\d{2}[:;]\d{2,3}$/.test(value)) return fromTimecode(value, options);
+  if (/^(\d+:)?\d{1,2}:\d{2}(\.\d+)?$/.test(value)) {
+    const seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    const time = seconds - fromFrames(startFrames(options), options);
+    return time < 0 ? null : time;
+  }
+  return /^\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+}
+
+module.exports = {
+  toTimecode,
+  fromTimecode,
+  formatRange,
+  formatTime,
+  parseTime,
+  toFrames,
+  fromFrames,
+  framesToTimecode,
+  timecodeToFrames,
+  startFrames,
+  isDropFrame
+};
@@ -0,0 +1,96 @@
+/*
+    UndoHistory: undo/redo stacks of steps, each a pair of functions that reverse and repeat a change.
+
+    Steps recorded with the same mergeKey shortly after one another are merged into one, so a change made in many
+    small increments (e.g. dragging a marker) is undone in one go. Steps recorded while undoing or redoing (e.g. by
+    the functions the step calls) are ignored, and recording a new step clears the redo stack.
+
+    Example usage:
+        const history = new UndoHistory({ onChange: () => render() });
+        history.record({ label: 'Move range', undo: () => setRange(old), redo: () => setRange(moved), mergeKey: 'range' });
+        history.undo(); // returns the step that was undone, or null
+*/
+
+const DEFAULT_LIMIT = 100;
+const DEFAULT_MERGE_WINDOW = 1000; // ms
+
+class UndoHistory {
+  // options: { limit (steps kept), mergeWindow (ms between steps that merge), onChange (called when stacks change) }
+  constructor(options = {}) {
+    this.limit = options.limit || DEFAULT_LIMIT;
+    this.mergeWindow = options.mergeWindow != null ? options.mergeWindow : DEFAULT_MERGE_WINDOW;
+    this.onChange = options.onChange || (() => {});
+    this.undoStack = [];
+    this.redoStack = [];
+    this.applying = false;
+  }
+
+  get canUndo() {
+    return !!this.undoStack.length;
+  }
+
+  get canRedo() {
+    return !!this.redoStack.length;
+  }
+
+  // Label of the step that would be undone/redone next, or null
+  get undoLabel() {
+    return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  get redoLabel() {
+    return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  // Record a step: { label, undo, redo, mergeKey (optional) }
+  record(step, now = Date.now()) {
+    if (this.applying) return;
+    const last = this.undoStack[this.undoStack.length - 1];
+    const merge =
+      last && step.mergeKey != null && last.mergeKey === step.mergeKey && now - last.time <= this.mergeWindow;
+    if (merge) {
+      // Undoing the merged step goes back to before the first one, redoing it repeats up to the latest
+      this.undoStack[this.undoStack.length - 1] = { ...step, undo: last.undo, time: now };
+    } else {
+      this.undoStack.push({ ...step, time: now });
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.onChange();
+  }
+
+  // Undo the latest step, returning it (or null if there's nothing to undo)
+  undo() {
+    return this.move(this.undoStack, this.redoStack, 'undo');
+  }
+
+  // Redo the latest undone step, returning it (or null if there's nothing to redo)
+  redo() {
+    return this.move(this.redoStack, this.undoStack, 'redo');
+  }
+
+  move(from, to, action) {
+    const step = from.pop();
+    if (!step) return null;
+    this.applying = true;
+    try {
+      step[action]();
+    } finally {
+      this.applying = false;
+    }
+    // A step can't merge with one recorded after it was undone or redone
+    to.push({ ...step, time: -Infinity });
+    this.onChange();
+    return step;
+  }
+
+  // Forget all steps
+  clear() {
+    if (!this.canUndo && !this.canRedo) return;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange();
+  }
+}
+
+module.exports = UndoHistory;
@@ -2,10 +2,17 @@
     Geneal utility functions, sourced from underscore & scratch built as needed
 */
 
+const Shapes = require('./shapes');
+const Timecode = require('./timecode');
+const { isSafeUrl } = require('./markdown');
+
 module.exports = {
   // Clone an object
   cloneObject: obj => ({ ...obj }),
 
+  // Deep clone plain JSON data (shapes, keyframes, annotation data)
+  cloneDeep: obj => (obj == null ? obj : JSON.parse(JSON.stringify(obj))),
+
   // Like Object.assign but skips prototype-polluting keys
   safeAssign: (target, source) => {
     if (!source || typeof source !== 'object') return target;
@@ -42,22 +49,22 @@ module.exports = {
     return range;
   },
 
-  // Validate a shape object: clamp x1/y1/x2/y2 to [0, 100], ensure all are numbers
-  validateShape: shape => {
-    if (!shape || typeof shape !== 'object') return shape;
-    const clamp = (val, min, max) => Math.max(min, Math.min(max, parseFloat(val) || 0));
-    shape.x1 = clamp(shape.x1, 0, 100);
-    shape.y1 = clamp(shape.y1, 0, 100);
-    shape.x2 = clamp(shape.x2, 0, 100);
-    shape.y2 = clamp(shape.y2, 0, 100);
-    return shape;
-  },
+  // Validate a shape object: clamp all coordinates to [0, 100], ensure all are numbers
+  // Returns null for polygon/freehand shapes with too few points to draw
+  validateShape: shape => Shapes.validate(shape),
 
-  // Sanitize HTML string to only allow safe elements and attributes
+  // Sanitize HTML string to only allow safe elements and attributes (including the Markdown subset of lib/markdown)
+  // Links keep only http(s) and mailto URLs
   sanitizeCommentHTML: html => {
     if (!html) return '';
-    const allowedTags = { DIV: true, SPAN: true, BR: true, B: true };
-    const allowedAttrs = { 'class': true, 'data-id': true };
+    const allowedTags = {
+      DIV: true, SPAN: true, BR: true, B: true, BUTTON: true,
+      STRONG: true, EM: true, CODE: true, UL: true, OL: true, LI: true, A: true
+    };
+    const allowedAttrs = {
+      'class': true, 'data-id': true, type: true, role: true, 'aria-label': true,
+      'data-user-id': true, href: true, target: true, rel: true
+    };
 
     const temp = document.createElement('div');
     temp.innerHTML = html;
@@ -75,7 +82,8 @@ module.exports = {
           }
           // Remove disallowed attributes
           Array.from(child.attributes).forEach(attr => {
-            if (!allowedAttrs[attr.name]) child.removeAttribute(attr.name);
+            const unsafeUrl = attr.name === 'href' && !isSafeUrl(attr.value);
+            if (!allowedAttrs[attr.name] || unsafeUrl) child.removeAttribute(attr.name);
           });
           walkAndClean(child);
         } else {
@@ -169,6 +177,16 @@ module.exports = {
     return time.join('-');
   },
 
+  // Up to two initials for a name, e.g. 'Alex Ackerman' -> 'AA'
+  initials: name =>
+    String(name || '?')
+      .trim()
+      .split(/\s+/)
+      .map(word => word.charAt(0))
+      .join('')
+      .slice(0, 2)
+      .toUpperCase(),
+
   // Pseduo-random guid generator
   guid: () => {
     function s4() {
@@ -204,6 +222,16 @@ module.exports = {
     return str.join(' - ');
   },
 
+  // Convert a range to human readable time as set by the plugin options: SMPTE timecode with the timecode option
+  // (see lib/timecode), frame numbers with a frameRate, else m:ss
+  humanRange: (range, options = {}) => {
+    if (options.timecode) return Timecode.formatRange(range, options);
+    if (options.frameRate) return module.exports.humanTimeFrames(range, options.frameRate);
+    const rounded = { start: Math.round(range.start) };
+    if (range.end) rounded.end = Math.round(range.end);
+    return module.exports.humanTime(rounded);
+  },
+
   // Determine if a value (n) is within a range (start <= n <= end)
   isWithinRange: (start, end, n) => {
     end = end || start + 1; // for ranges with NO end defined, assume a 1s range
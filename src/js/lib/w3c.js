@@ -4,7 +4,12 @@
     at input/output boundaries.
 */
 
+const Shapes = require('./shapes');
+const Timecode = require('./timecode');
+const Mentions = require('./mentions');
+
 const W3C_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+const MEDIA_FRAGS_SPEC = 'http://www.w3.org/TR/media-frags/';
 
 // Detect whether an object is in W3C Web Annotation format
 function isW3CFormat(obj) {
@@ -12,32 +17,95 @@ function isW3CFormat(obj) {
   return obj.type === 'Annotation' || obj['@context'] === W3C_CONTEXT || (obj.target != null && obj.body != null);
 }
 
+// Time schemes of the media fragment time dimension (t=) that can be read, with their frame rates (SMPTE) or
+// null (normal play time). Wall-clock time (clock:) can't be placed on the video
+const TIME_SCHEMES = {
+  npt: null,
+  smpte: { frameRate: 30 },
+  'smpte-25': { frameRate: 25 },
+  'smpte-30': { frameRate: 30 },
+  'smpte-30-drop': { frameRate: 30000 / 1001, dropFrame: true }
+};
+
+// Parse a time of the media fragment time dimension to seconds, or null if it isn't valid
+// npt: seconds ('10.5'), 'mm:ss' or 'hh:mm:ss' (with fractions); smpte: 'hh:mm:ss' or 'hh:mm:ss:ff' (.subframes)
+function parseFragmentTime(str, scheme) {
+  if (scheme) {
+    const match = /^(\d+):(\d{2}):(\d{2})(?::(\d{1,3}))?(?:\.\d+)?$/.exec(str);
+    if (!match) return null;
+    return Timecode.fromTimecode(`${match[1]}:${match[2]}:${match[3]}:${(match[4] || '0').padStart(2, '0')}`, scheme);
+  }
+  if (!/^(\d+:)?(\d+:)?\d+(\.\d*)?$/.test(str)) return null;
+  return str.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Parse the time dimension of a media fragment ('10,15', 'npt:00:01:10.5', 'smpte-25:00:00:10:05,', ',20')
+// Returns { start, end }, or { issue } if it can't be read
+function parseFragmentTimeRange(value) {
+  const match = /^(?:([a-z0-9-]+):)?([^,]*)(?:,(.*))?$/.exec(value);
+  const schemeName = match && match[1] ? match[1] : 'npt';
+  if (!match || !(schemeName in TIME_SCHEMES)) {
+    const reason = schemeName === 'clock' ? 'wall-clock time is not supported' : 'unsupported time format';
+    return { issue: `Time fragment 't=${value}': ${reason}` };
+  }
+  const scheme = TIME_SCHEMES[schemeName];
+  const start = match[2] === '' ? 0 : parseFragmentTime(match[2], scheme);
+  const end = match[3] == null || match[3] === '' ? null : parseFragmentTime(match[3], scheme);
+  if (start === null || (match[3] && end === null) || (end !== null && end < start)) {
+    return { issue: `Time fragment 't=${value}' is not a valid time range` };
+  }
+  return { start, end };
+}
+
+// Parse the spatial dimension of a media fragment ('percent:10,10,20,20', 'pixel:160,120,320,240' or
+// '160,120,320,240'). Pixels are converted using options.videoWidth/videoHeight
+// Returns { x, y, w, h } in percent, or { issue } if it can't be read
+function parseFragmentRegion(value, options) {
+  const match = /^(?:(pixel|percent):)?(\d*\.?\d+),(\d*\.?\d+),(\d*\.?\d+),(\d*\.?\d+)$/.exec(value);
+  if (!match) return { issue: `Spatial fragment 'xywh=${value}' is not a valid region` };
+  const [x, y, w, h] = match.slice(2).map(parseFloat);
+  if (match[1] === 'percent') return { x, y, w, h };
+  const { videoWidth, videoHeight } = options;
+  if (!videoWidth || !videoHeight) {
+    return { issue: `Spatial fragment 'xywh=${value}' is in pixels, and the video size is not known` };
+  }
+  const sx = 100 / videoWidth;
+  const sy = 100 / videoHeight;
+  return { x: x * sx, y: y * sy, w: w * sx, h: h * sy };
+}
+
 // Parse a Media Fragments URI value like "t=10,15&xywh=percent:23.47,9.88,37.36,34.32"
-function parseMediaFragment(fragmentStr) {
-  const result = { start: null, end: null, x: null, y: null, w: null, h: null };
+// options: { videoWidth, videoHeight } for pixel regions
+// Parts that can't be read are left null and described in result.issues
+function parseMediaFragment(fragmentStr, options = {}) {
+  const result = { start: null, end: null, x: null, y: null, w: null, h: null, issues: [] };
   if (!fragmentStr || typeof fragmentStr !== 'string') return result;
 
-  const parts = fragmentStr.split('&');
+  const parts = fragmentStr.replace(/^#/, '').split('&');
   for (const part of parts) {
-    if (part.startsWith('t=')) {
-      const vals = part.slice(2).split(',');
-      result.start = parseFloat(vals[0]);
-      if (vals.length > 1 && vals[1] !== '') result.end = parseFloat(vals[1]);
-    } else if (part.startsWith('xywh=percent:')) {
-      const vals = part.slice('xywh=percent:'.length).split(',');
-      if (vals.length === 4) {
-        result.x = parseFloat(vals[0]);
-        result.y = parseFloat(vals[1]);
-        result.w = parseFloat(vals[2]);
-        result.h = parseFloat(vals[3]);
-      }
+    let decoded = part;
+    try {
+      decoded = decodeURIComponent(part);
+    } catch (e) {
+      // Keep malformed escapes as they are
+    }
+    let parsed = null;
+    if (decoded.startsWith('t=')) {
+      parsed = parseFragmentTimeRange(decoded.slice(2));
+    } else if (decoded.startsWith('xywh=')) {
+      parsed = parseFragmentRegion(decoded.slice(5), options);
+    }
+    if (parsed && parsed.issue) {
+      result.issues.push(parsed.issue);
+    } else if (parsed) {
+      Object.assign(result, parsed);
     }
   }
   return result;
 }
 
 // Build a Media Fragments URI from internal range + shape
-// shape uses internal {x1, y1, x2, y2} corner format
+// shape uses internal {x1, y1, x2, y2} corner format (other shape types are serialized as an SvgSelector)
 function buildMediaFragment(range, shape) {
   const parts = [];
   if (range) {
@@ -45,7 +113,7 @@ function buildMediaFragment(range, shape) {
     if (range.end != null) t += ',' + range.end;
     parts.push(t);
   }
-  if (shape && shape.x1 != null) {
+  if (shape && Shapes.isRect(shape) && shape.x1 != null) {
     const x = Math.min(shape.x1, shape.x2);
     const y = Math.min(shape.y1, shape.y2);
     const w = Math.abs(shape.x2 - shape.x1);
@@ -60,35 +128,198 @@ function w3cShapeToInternal(x, y, w, h) {
   return { x1: x, y1: y, x2: x + w, y2: y + h };
 }
 
-// Convert a single W3C annotation (with optional pre-grouped _replies) to internal format
-function fromW3C(w3c) {
-  const internal = {};
+// Build the target selector for an internal range + shape
+// Rectangles fit in the media fragment; other shapes (and arrays of shapes) refine the time fragment with an SvgSelector
+function buildSelector(range, shape) {
+  const selector = {
+    type: 'FragmentSelector',
+    conformsTo: MEDIA_FRAGS_SPEC,
+    value: buildMediaFragment(range, Array.isArray(shape) ? null : shape)
+  };
+  if (shape && (Array.isArray(shape) || !Shapes.isRect(shape))) {
+    selector.refinedBy = { type: 'SvgSelector', value: Shapes.toSvgSelectorValue(shape) };
+  }
+  return selector;
+}
 
-  // ID
-  internal.id = w3c.id || null;
-
-  // Parse target selector for range + shape
-  let selectorValue = null;
-  if (w3c.target) {
-    const target = typeof w3c.target === 'string' ? null : w3c.target;
-    if (target && target.selector) {
-      selectorValue = target.selector.value || null;
+// A part of the video described by a target or selector: a time range (null start if there's none) and shapes
+function emptySelection() {
+  return { start: null, end: null, shapes: [], issues: [] };
+}
+
+// Read a selector (or a list of alternative selectors), following refinedBy chains.
+// options: { videoWidth, videoHeight } for pixel regions
+// Selectors and parts of them that can't be read are described in the selection's issues
+function readSelector(selector, options = {}) {
+  if (Array.isArray(selector)) {
+    // Alternatives describe the same part of the video, so the first with a time (and with shapes) is used
+    const alternatives = selector.map(alternative => readSelector(alternative, options));
+    const timed = alternatives.find(alternative => alternative.start != null);
+    const shaped = alternatives.find(alternative => alternative.shapes.length);
+    const selection = emptySelection();
+    if (timed) Object.assign(selection, { start: timed.start, end: timed.end });
+    if (shaped) selection.shapes = shaped.shapes;
+    if (!timed && !shaped) alternatives.forEach(alternative => selection.issues.push(...alternative.issues));
+    return selection;
+  }
+
+  const selection = emptySelection();
+  const type = selector && selector.type;
+  if (type === 'FragmentSelector' && (!selector.conformsTo || selector.conformsTo.indexOf('media-frags') !== -1)) {
+    const frag = parseMediaFragment(selector.value, options);
+    Object.assign(selection, { start: frag.start, end: frag.end, issues: frag.issues });
+    if (frag.x != null) selection.shapes.push(w3cShapeToInternal(frag.x, frag.y, frag.w, frag.h));
+  } else if (type === 'SvgSelector' && typeof selector.value === 'string') {
+    selection.shapes = Shapes.toList(Shapes.fromSvgSelectorValue(selector.value));
+    if (!selection.shapes.length) selection.issues.push('SvgSelector has no supported shapes (curved paths are not)');
+  } else if (type === 'SvgSelector') {
+    selection.issues.push('SvgSelector without an inline value (an external SVG) is not supported');
+  } else if (type === 'FragmentSelector') {
+    selection.issues.push(`FragmentSelector conforming to ${selector.conformsTo} is not supported`);
+  } else {
+    selection.issues.push(`${type || 'Untyped'} selector is not supported`);
+  }
+
+  if (selector && selector.refinedBy) {
+    // A refinement selects part of this selection: its times are from this start, its shapes within this region
+    const refined = readSelector(selector.refinedBy, options);
+    selection.issues.push(...refined.issues);
+    if (refined.start != null) {
+      const offset = selection.start || 0;
+      selection.end = refined.end != null ? offset + refined.end : selection.end;
+      selection.start = offset + refined.start;
+    }
+    if (refined.shapes.length) {
+      const region = selection.shapes.length === 1 ? selection.shapes[0] : null;
+      selection.shapes = region
+        ? refined.shapes.map(shape => Shapes.fitToBox(shape, { x1: 0, y1: 0, x2: 100, y2: 100 }, region))
+        : refined.shapes;
     }
   }
+  return selection;
+}
 
-  const frag = parseMediaFragment(selectorValue);
-  internal.range = { start: frag.start != null ? frag.start : 0 };
-  if (frag.end != null) internal.range.end = frag.end;
+// Read a target: a SpecificResource with selectors, or a resource/IRI with a media fragment ('video.mp4#t=10,15')
+function readTarget(target, options = {}) {
+  if (target && typeof target === 'object' && target.selector) return readSelector(target.selector, options);
+  let iri = target;
+  if (target && typeof target === 'object') {
+    iri = typeof target.source === 'string' ? target.source : target.id || (target.source && target.source.id);
+  }
+  if (typeof iri !== 'string') return { ...emptySelection(), issues: ['Target is not a resource or SpecificResource'] };
+  const hash = iri.indexOf('#');
+  const selection = emptySelection();
+  if (hash === -1) return selection;
+  return readSelector({ type: 'FragmentSelector', value: iri.slice(hash + 1) }, options);
+}
 
-  if (frag.x != null) {
-    internal.shape = w3cShapeToInternal(frag.x, frag.y, frag.w, frag.h);
-  } else {
-    internal.shape = null;
+// Build the target of an annotation. With several shapes there's one SpecificResource target per shape
+function buildTarget(range, shape, videoSrc) {
+  const targets = (Array.isArray(shape) ? shape : [shape]).map(s => ({
+    type: 'SpecificResource',
+    source: videoSrc || '',
+    selector: buildSelector(range, s)
+  }));
+  return targets.length === 1 ? targets[0] : targets;
+}
+
+// Keyframes are serialized as an extension property holding one selector per keyframe,
+// each with the keyframe time as its (start-only) time fragment
+function buildKeyframeSelectors(keyframes) {
+  return keyframes.map(kf => buildSelector({ start: kf.time }, kf.shape));
+}
+
+function parseKeyframeSelectors(selectors, options, issues) {
+  if (!Array.isArray(selectors)) return null;
+  const keyframes = [];
+  selectors.forEach(selector => {
+    const selection = readSelector(selector, options);
+    issues.push(...selection.issues.map(issue => `Keyframe: ${issue}`));
+    if (selection.start != null && selection.shapes.length) {
+      keyframes.push({ time: selection.start, shape: Shapes.fromList(selection.shapes) });
+    }
+  });
+  return keyframes.length ? keyframes : null;
+}
+
+// Build the body of an annotation for a comment: a TextualBody (Markdown with the markdown option), plus a
+// tagging body for each user mentioned: { type: 'SpecificResource', purpose: 'tagging', source: Person }
+// options: { markdown }
+function buildBody(text, options = {}) {
+  const body = { type: 'TextualBody', value: text || '', format: options.markdown ? 'text/markdown' : 'text/plain' };
+  const mentions = Mentions.mentionsIn(text).map(user => ({
+    type: 'SpecificResource',
+    purpose: 'tagging',
+    source: { type: 'Person', id: user.id, name: user.name }
+  }));
+  return mentions.length ? [body, ...mentions] : body;
+}
+
+// The comment text of an annotation body: a string, a TextualBody, or a list of bodies (with a textual one)
+function readBody(body) {
+  if (!body) return '';
+  if (typeof body === 'string') return body;
+  if (Array.isArray(body)) {
+    const textual = body.find(
+      item => typeof item === 'string' || (item && item.type === 'TextualBody' && item.purpose !== 'tagging')
+    );
+    return readBody(textual);
+  }
+  return body.value || '';
+}
+
+// Remove the idPrefix from a W3C id, giving the internal id (ids without the prefix are kept as they are)
+function stripIdPrefix(id, idPrefix) {
+  if (id == null) return null;
+  const str = String(id);
+  return idPrefix && str.indexOf(idPrefix) === 0 ? str.slice(idPrefix.length) : id;
+}
+
+/*
+    Convert a single W3C annotation (with optional pre-grouped _replies) to internal format
+    The time range and shapes come from all targets: each can be an IRI with a media fragment, or a SpecificResource
+    with a selector, a list of alternative selectors, or refinedBy chains of FragmentSelectors (t= in seconds,
+    npt or smpte, xywh= in percent or pixels) and SvgSelectors. With several targets the range covers all of them.
+    options: {
+      videoWidth, videoHeight: the video size, for pixel regions
+      onIssue: called with { id, message, skipped } for each part that can't be imported. Annotations without
+        a time that can be read are skipped (returning null) rather than being put at the start of the video
+    }
+*/
+function fromW3C(w3c, idPrefix, options = {}) {
+  const internal = {};
+  const issues = [];
+
+  // ID
+  internal.id = stripIdPrefix(w3c.id || null, idPrefix);
+
+  const targets = (Array.isArray(w3c.target) ? w3c.target : [w3c.target]).filter(target => target != null);
+  if (!targets.length) issues.push('Annotation has no target');
+  const selections = targets.map(target => readTarget(target, options));
+  selections.forEach(selection => issues.push(...selection.issues));
+  const timed = selections.filter(selection => selection.start != null);
+
+  const keyframes = parseKeyframeSelectors(w3c.keyframes, options, issues);
+  const report = skipped => {
+    if (options.onIssue) issues.forEach(message => options.onIssue({ id: w3c.id || null, message, skipped }));
+  };
+  if (!timed.length) {
+    issues.push('Annotation has no time fragment that can be read');
+    report(true);
+    return null;
   }
+  report(false);
+
+  internal.range = { start: Math.min(...timed.map(selection => selection.start)) };
+  const ends = timed.map(selection => (selection.end != null ? selection.end : selection.start));
+  if (timed.some(selection => selection.end != null)) internal.range.end = Math.max(...ends);
+  internal.shape = Shapes.fromList(selections.reduce((shapes, selection) => shapes.concat(selection.shapes), []));
+  if (keyframes) internal.keyframes = keyframes;
 
   // Extension properties
   internal.markerClass = w3c.markerClass || null;
   internal.annotationType = w3c.annotationType || null;
+  if (w3c.status) internal.status = w3c.status;
 
   // Build first comment from body + creator
   const comments = [];
@@ -101,8 +332,9 @@ function fromW3C(w3c) {
         user_id: (w3c.creator && w3c.creator.id != null) ? w3c.creator.id : null,
         user_name: (w3c.creator && w3c.creator.name) || null
       },
-      body: typeof body === 'string' ? body : (body.value || '')
+      body: readBody(body)
     };
+    if (w3c.modified) comment.meta.modified = w3c.modified;
     comments.push(comment);
   }
 
@@ -110,14 +342,17 @@ function fromW3C(w3c) {
   if (w3c._replies && Array.isArray(w3c._replies)) {
     for (const reply of w3c._replies) {
       const comment = {
-        id: reply._commentId || reply.id || null,
+        id: reply._commentId || stripIdPrefix(reply.id || null, idPrefix),
         meta: {
           datetime: reply.created || new Date().toISOString(),
           user_id: (reply.creator && reply.creator.id != null) ? reply.creator.id : null,
           user_name: (reply.creator && reply.creator.name) || null
         },
-        body: reply.body ? (typeof reply.body === 'string' ? reply.body : (reply.body.value || '')) : ''
+        body: readBody(reply.body)
       };
+      if (reply.modified) comment.meta.modified = reply.modified;
+      if (reply._parentId != null) comment.parentId = reply._parentId;
+      if (reply.status) comment.status = reply.status;
       comments.push(comment);
     }
   }
@@ -126,14 +361,39 @@ function fromW3C(w3c) {
   return internal;
 }
 
+// Convert an internal comment (other than the first) to a W3C reply annotation targeting its parent's W3C id:
+// the comment it replies to (its parentId), or else the annotation (parentId)
+function toW3CReply(comment, parentId, idPrefix, options = {}) {
+  const prefix = idPrefix || '';
+  const target = comment.parentId != null ? prefix + comment.parentId : parentId;
+  const replyCreator = comment.meta ? {
+    type: 'Person',
+    name: comment.meta.user_name || null,
+    ...(comment.meta.user_id != null ? { id: String(comment.meta.user_id) } : {})
+  } : null;
+
+  return {
+    '@context': W3C_CONTEXT,
+    type: 'Annotation',
+    id: comment.id != null ? (prefix + comment.id) : null,
+    motivation: 'replying',
+    body: buildBody(comment.body, options),
+    target,
+    creator: replyCreator,
+    created: comment.meta ? comment.meta.datetime : null,
+    ...(comment.meta && comment.meta.modified ? { modified: comment.meta.modified } : {}),
+    // Status entries (see lib/statuses) are replies saying what the status changed to
+    ...(comment.status ? { status: comment.status } : {})
+  };
+}
+
 // Convert internal annotation to W3C format
 // Returns the main annotation object with _replies array for additional comments
-function toW3C(internal, videoSrc, idPrefix) {
+// options: as for buildBody
+function toW3C(internal, videoSrc, idPrefix, options = {}) {
   idPrefix = idPrefix || '';
   const id = internal.id != null ? (idPrefix + internal.id) : null;
 
-  const selectorValue = buildMediaFragment(internal.range, internal.shape);
-
   const firstComment = internal.comments && internal.comments[0];
   const creator = firstComment && firstComment.meta ? {
     type: 'Person',
@@ -146,53 +406,27 @@ function toW3C(internal, videoSrc, idPrefix) {
     type: 'Annotation',
     id: id,
     motivation: 'commenting',
-    body: {
-      type: 'TextualBody',
-      value: firstComment ? firstComment.body : '',
-      format: 'text/plain'
-    },
-    target: {
-      type: 'SpecificResource',
-      source: videoSrc || '',
-      selector: {
-        type: 'FragmentSelector',
-        conformsTo: 'http://www.w3.org/TR/media-frags/',
-        value: selectorValue
-      }
-    },
+    body: buildBody(firstComment ? firstComment.body : '', options),
+    target: buildTarget(internal.range, internal.shape, videoSrc),
     creator: creator,
     created: firstComment && firstComment.meta ? firstComment.meta.datetime : null
   };
+  // When the first comment's text was last edited
+  if (firstComment && firstComment.meta && firstComment.meta.modified) annotation.modified = firstComment.meta.modified;
 
   // Extension properties
+  if (internal.keyframes && internal.keyframes.length) {
+    annotation.keyframes = buildKeyframeSelectors(internal.keyframes);
+  }
   if (internal.markerClass) annotation.markerClass = internal.markerClass;
   if (internal.annotationType) annotation.annotationType = internal.annotationType;
+  if (internal.status && internal.status !== 'open') annotation.status = internal.status;
 
   // Additional comments become reply annotations
   const replies = [];
   if (internal.comments && internal.comments.length > 1) {
     for (let i = 1; i < internal.comments.length; i++) {
-      const c = internal.comments[i];
-      const replyCreator = c.meta ? {
-        type: 'Person',
-        name: c.meta.user_name || null,
-        ...(c.meta.user_id != null ? { id: String(c.meta.user_id) } : {})
-      } : null;
-
-      replies.push({
-        '@context': W3C_CONTEXT,
-        type: 'Annotation',
-        id: c.id != null ? (idPrefix + c.id) : null,
-        motivation: 'replying',
-        body: {
-          type: 'TextualBody',
-          value: c.body || '',
-          format: 'text/plain'
-        },
-        target: id,
-        creator: replyCreator,
-        created: c.meta ? c.meta.datetime : null
-      });
+      replies.push(toW3CReply(internal.comments[i], id, idPrefix, options));
     }
   }
 
@@ -200,35 +434,59 @@ function toW3C(internal, videoSrc, idPrefix) {
   return annotation;
 }
 
-// Process an array of W3C annotations: group replies under their parent, then convert
-function fromW3CCollection(w3cAnnotations) {
+// Process an array of W3C annotations: group replies under their root annotation, then convert
+// A reply targeting another reply is in the same thread, with that reply's id as its parentId
+// options: as for fromW3C. Annotations that can't be imported are left out
+function fromW3CCollection(w3cAnnotations, idPrefix, options = {}) {
   const roots = [];
-  const replyMap = {}; // parentId -> [reply, ...]
+  const replies = {}; // W3C id -> reply
+  const replyMap = {}; // root id -> [reply, ...]
+  const isReply = ann => ann.motivation === 'replying' && typeof ann.target === 'string';
 
   for (const ann of w3cAnnotations) {
-    if (ann.motivation === 'replying' && typeof ann.target === 'string') {
-      const parentId = ann.target;
-      if (!replyMap[parentId]) replyMap[parentId] = [];
-      replyMap[parentId].push(ann);
-    } else {
+    if (!isReply(ann)) {
       roots.push(ann);
+    } else if (ann.id) {
+      replies[ann.id] = ann;
     }
   }
 
-  return roots.map(root => {
-    const id = root.id;
-    if (id && replyMap[id]) {
-      root = { ...root, _replies: replyMap[id] };
+  // Follow the targets of replies to replies up to the annotation (a loop of replies has none)
+  const rootIdOf = reply => {
+    const seen = [];
+    let { target } = reply;
+    while (replies[target] && seen.indexOf(target) === -1) {
+      seen.push(target);
+      ({ target } = replies[target]);
     }
-    return fromW3C(root);
+    return target;
+  };
+
+  w3cAnnotations.filter(isReply).forEach(ann => {
+    const rootId = rootIdOf(ann);
+    const parent = replies[ann.target];
+    const reply = parent ? { ...ann, _parentId: parent._commentId || stripIdPrefix(parent.id, idPrefix) } : ann;
+    if (!replyMap[rootId]) replyMap[rootId] = [];
+    replyMap[rootId].push(reply);
   });
+
+  return roots
+    .map(root => {
+      const id = root.id;
+      if (id && replyMap[id]) {
+        root = { ...root, _replies: replyMap[id] };
+      }
+      return fromW3C(root, idPrefix, options);
+    })
+    .filter(Boolean);
 }
 
 // Flatten internal annotations to W3C collection (root annotations + replies interleaved)
-function toW3CCollection(internalAnnotations, videoSrc, idPrefix) {
+// options: as for buildBody
+function toW3CCollection(internalAnnotations, videoSrc, idPrefix, options = {}) {
   const result = [];
   for (const ann of internalAnnotations) {
-    const w3c = toW3C(ann, videoSrc, idPrefix);
+    const w3c = toW3C(ann, videoSrc, idPrefix, options);
     const replies = w3c._replies || [];
     delete w3c._replies;
     result.push(w3c);
@@ -239,4 +497,4 @@ function toW3CCollection(internalAnnotations, videoSrc, idPrefix) {
   return result;
 }
 
-module.exports = { isW3CFormat, parseMediaFragment, buildMediaFragment, fromW3C, toW3C, fromW3CCollection, toW3CCollection };
+module.exports = { isW3CFormat, parseMediaFragment, buildMediaFragment, buildBody, fromW3C, toW3C, toW3CReply, fromW3CCollection, toW3CCollection, stripIdPrefix };
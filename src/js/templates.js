@@ -4,15 +4,15 @@
     Uses template helpers for escaping and line breaks.
 */
 
-import { breaklines } from './lib/template_helpers.js';
+import { escapeHtml, escapeAttr } from './lib/template_helpers.js';
 
 // ----------------------------------------------------------------------
 // playerButton
 // No dynamic data.
 export function playerButton() {
-  return `<b></b>
-<i class="vac-player-icon">
-  <svg height="24" viewBox="0 0 24 24" width="24" xmlns="http://www.w3.org/2000/svg">
+  return `<b aria-hidden="true"></b>
+<i class="vac-player-icon" aria-hidden="true">
+  <svg height="24" viewBox="0 0 24 24" width="24" xmlns="http://www.w3.org/2000/svg" focusable="false">
     <path
       d="M21.99 4c0-1.1-.89-2-1.99-2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h14l4 4-.01-18zM18 14H6v-2h12v2zm0-3H6V9h12v2zm0-3H6V6h12v2z" />
     <path d="M0 0h24v24H0z" fill="none" />
@@ -31,16 +31,45 @@ export function markerWrap() {
 
 // ----------------------------------------------------------------------
 // draggableMarker
-// Data: { id, left, width }
+// Data: { id, left, width, tooltipTime, duration, handles: [{ edge, label, value, valueText }] }
 export function draggableMarker(data) {
-  const { id, left, width } = data;
-  return `<div data-marker-id="${id}" class="vac-marker-draggable vac-ranged-marker" style="left: ${left}; width:${width};">\n</div>`;
+  const { id, left, width, tooltipTime, duration, handles = [] } = data;
+  const handlesHtml = handles
+    .map(
+      handle =>
+        `<span class="vac-marker-handle vac-marker-handle-${handle.edge}" data-drag="${handle.edge}" role="slider" tabindex="0"
+    aria-label="${handle.label}" aria-valuemin="0" aria-valuemax="${duration}" aria-valuenow="${handle.value}"
+    aria-valuetext="${escapeAttr(handle.valueText)}"></span>`
+    )
+    .join('\n  ');
+  return `<div data-marker-id="${id}" class="vac-marker-draggable vac-ranged-marker" style="left: ${left}; width:${width};"
+  role="group" aria-label="Annotation range">
+  ${handlesHtml}
+  <span class="vac-marker-readout" aria-hidden="true">${tooltipTime}</span>
+</div>`;
+}
+
+// ----------------------------------------------------------------------
+// keyframeMarkers
+// Data: { keyframes: [{ index, left, selected, timeStr }] }
+export function keyframeMarkers(data) {
+  const { keyframes = [] } = data;
+  const ticks = keyframes
+    .map(
+      kf =>
+        `<div class="vac-keyframe${kf.selected ? ' vac-active' : ''}" data-keyframe-index="${kf.index}" style="left: ${kf.left};" title="${kf.timeStr}"
+    role="button" tabindex="0" aria-label="Keyframe at ${kf.timeStr}" aria-pressed="${kf.selected ? 'true' : 'false'}"></div>`
+    )
+    .join('\n  ');
+  return `<div class="vac-keyframe-track">
+  ${ticks}
+</div>`;
 }
 
 // ----------------------------------------------------------------------
 // marker
 // Data: { id, rangeShow, markerClass, annotationType, left, width, zIndex,
-//         showTooltip, tooltipBody, tooltipRight, tooltipTime }
+//         showTooltip, tooltipBody, tooltipRight, tooltipTime, ariaLabel }
 export function marker(data) {
   const {
     id,
@@ -53,7 +82,8 @@ export function marker(data) {
     showTooltip = false,
     tooltipBody = '',
     tooltipRight = false,
-    tooltipTime = ''
+    tooltipTime = '',
+    ariaLabel = ''
   } = data;
 
   const rangeClass = rangeShow ? 'vac-ranged-marker' : '';
@@ -63,7 +93,7 @@ export function marker(data) {
   let tooltipHtml = '';
   if (showTooltip && tooltipBody) {
     tooltipHtml = `
-        <div>
+        <div aria-hidden="true">
             <span class="vac-tooltip ${tooltipRightClass}">
                 <b>${tooltipTime}</b> - ${tooltipBody}
             </span>
@@ -72,76 +102,242 @@ export function marker(data) {
 
   const style = `left: ${left}; ${rangeShow ? `width:${width};` : ''} z-index: ${zIndex}`;
   return `<div data-marker-id="${id}" class="vac-marker ${rangeClass} ${markerClass} ${typeClass}"
-    style="${style}">
+    style="${style}" role="button" tabindex="0" aria-label="${escapeAttr(ariaLabel)}">
     ${tooltipHtml}
 </div>`;
 }
 
 // ----------------------------------------------------------------------
 // comment
-// Data: { id, meta: { user_name }, timeSince, body }
+// Data: { id, meta: { user_name }, timeSince, editedSince, allowEdit, allowDelete, allowReply, bodyHtml (the body rendered by
+//         lib/markdown), syncStatus, status and statusLabel (for status entries, see lib/statuses) }
+const SYNC_LABELS = { pending: 'Saving…', failed: 'Not saved' };
+
 export function comment(data) {
-  const { id, meta = {}, timeSince = '', body = '' } = data;
+  const {
+    id,
+    meta = {},
+    timeSince = '',
+    editedSince = '',
+    allowEdit = false,
+    allowDelete = false,
+    allowReply = false,
+    bodyHtml = '',
+    syncStatus = 'confirmed',
+    status = null,
+    statusLabel = ''
+  } = data;
   const userName = meta.user_name || '';
-  const bodyHtml = breaklines(body);
-  return `<div class="vac-comment" data-id="${id}">
+  const syncLabel = SYNC_LABELS[syncStatus]
+    ? `<span class="vac-sync-label" role="status">${SYNC_LABELS[syncStatus]}</span>`
+    : '';
+  // A status change is a system entry in the thread, without the comment actions
+  if (status) {
+    return `<div class="vac-comment vac-status-entry vac-sync-${syncStatus}" data-id="${id}">
+  <span class="vac-status-badge vac-status-${status}">${statusLabel}</span>
+  ${escapeHtml(userName || 'Someone')} changed the status to <b>${statusLabel}</b>
+  <span class="vac-timestamp">${timeSince}${syncLabel}</span>
+</div>`;
+  }
+  const editedLabel = editedSince ? `<span class="vac-edited">edited ${editedSince}</span>` : '';
+  const editButton = allowEdit
+    ? '<button type="button" class="vac-edit-comment" aria-label="Edit comment">EDIT</button>'
+    : '';
+  const deleteButton = allowDelete
+    ? '<button type="button" class="vac-delete-comment" aria-label="Delete comment">X</button>'
+    : '';
+  const replyButton = allowReply
+    ? `<button type="button" class="vac-link vac-reply-comment" aria-label="Reply to ${escapeAttr(userName || 'comment')}">REPLY</button>`
+    : '';
+  return `<div class="vac-comment vac-sync-${syncStatus}" data-id="${id}">
   <div class="vac-comment-header">
     <div class="vac-author-name">${userName}</div>
-    <div class="vac-timestamp">${timeSince}
-      <span class="vac-delete-comment">&nbsp;&nbsp;X</span>
+    <div class="vac-timestamp">${timeSince}${editedLabel}${syncLabel}
+      ${editButton}${deleteButton}
     </div>
   </div>
   <div class="vac-comment-body">
     ${bodyHtml}
   </div>
+  ${replyButton}
 </div>`;
 }
 
+// ----------------------------------------------------------------------
+// threadToggle (partial used by commentThread, and re-rendered when a thread is collapsed/expanded)
+// Data: { id, replyCount, collapsed }
+export function threadToggle(data) {
+  const { id, replyCount = 0, collapsed = false } = data;
+  const label = collapsed ? `Show ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}` : 'Hide replies';
+  return `<button type="button" class="vac-link vac-thread-toggle" aria-expanded="${!collapsed}" aria-controls="vac-replies-${escapeAttr(id)}">${label}</button>`;
+}
+
+// ----------------------------------------------------------------------
+// commentThread (a comment with the replies to it, each a commentThread too)
+// Data: { id, commentHTML (sanitized), repliesHTML (array of commentThread HTML strings), collapsed }
+export function commentThread(data) {
+  const { id, commentHTML = '', repliesHTML = [], collapsed = false } = data;
+  const toggle = repliesHTML.length ? threadToggle({ id, replyCount: repliesHTML.length, collapsed }) : '';
+  return `<div class="vac-thread${collapsed ? ' vac-collapsed' : ''}" data-thread-id="${escapeAttr(id)}">
+  ${commentHTML}
+  ${toggle}<div class="vac-replies" id="vac-replies-${escapeAttr(id)}" role="group" aria-label="Replies">${repliesHTML.join('\n')}</div>
+</div>`;
+}
+
+// ----------------------------------------------------------------------
+// statusBar (partial used by commentList, and re-rendered when the status changes)
+// Data: { status, statusOptions: [{ value, label }], closed (the status is resolved or won't fix), allowResolve (the
+//         status can be changed) }
+export function statusBar(data) {
+  const { status = 'open', statusOptions = [], closed = false, allowResolve = false } = data;
+  const options = statusOptions
+    .map(option => `<option value="${option.value}"${option.value === status ? ' selected' : ''}>${option.label}</option>`)
+    .join('');
+  const toggle = closed
+    ? '<button type="button" class="vac-link vac-reopen">REOPEN</button>'
+    : '<button type="button" class="vac-link vac-resolve">RESOLVE</button>';
+  const action = allowResolve ? toggle : '';
+  return `<div class="vac-status-bar vac-status-${status}">
+      <select class="vac-status-select" aria-label="Status"${allowResolve ? '' : ' disabled'}>${options}</select>
+      ${action}
+    </div>`;
+}
+
 // ----------------------------------------------------------------------
 // commentList
-// Data: { commentsHTML (array of sanitized HTML strings), rangeStr, allowEdit, allowDelete }
+// Data: { commentsHTML (array of commentThread HTML strings), rangeStr, allowEdit (the range/shape), allowDelete,
+//         allowReply, conflict, status (statusBar data) }
 export function commentList(data) {
-  const { commentsHTML = [], rangeStr = '', allowEdit = false, allowDelete = false } = data;
+  const {
+    commentsHTML = [],
+    rangeStr = '',
+    allowEdit = false,
+    allowDelete = false,
+    allowReply = false,
+    conflict = null,
+    status = null
+  } = data;
   const commentsHtml = commentsHTML.join('\n');
-  const editLink = allowEdit ? '<a class="vac-edit-annotation">EDIT</a> | ' : '';
-  const deleteLink = allowDelete ? '<a class="vac-delete-annotation">DELETE</a> | ' : '';
-  return `<div class="vac-comments-container">
+  const conflictHtml = conflict
+    ? `<div class="vac-conflict" role="alert">
+      <p>${escapeHtml(conflict)}</p>
+      <button type="button" class="vac-link vac-conflict-keep">KEEP MINE</button> |
+      <button type="button" class="vac-link vac-conflict-discard">DISCARD MINE</button>
+    </div>`
+    : '';
+  const editLink = allowEdit
+    ? '<button type="button" class="vac-link vac-edit-annotation" aria-label="Edit annotation">EDIT</button> | '
+    : '';
+  const deleteLink = allowDelete
+    ? '<button type="button" class="vac-link vac-delete-annotation" aria-label="Delete annotation">DELETE</button> | '
+    : '';
+  return `<div class="vac-comments-container" role="dialog" aria-label="Comments for annotation at ${rangeStr}" tabindex="-1">
   <div class="vac-comments-wrap">
+    <div class="vac-viewers" aria-live="polite"></div>
+    ${status ? statusBar(status) : ''}
+    ${conflictHtml}
     ${commentsHtml}
-    <div class="vac-reply-btn vac-button">ADD REPLY</div>
+    ${allowReply ? '<button type="button" class="vac-reply-btn vac-button">ADD REPLY</button>' : ''}
     <div class="vac-add-new-shapebox"></div>
   </div>
   <div class="vac-comments-control-bar">
     <div class="vac-range"><b>@</b> ${rangeStr}</div>
     <div class="vac-control-buttons">
-      ${editLink}${deleteLink}<a class="vac-close-comment-list">CLOSE</a>
+      ${editLink}${deleteLink}<button type="button" class="vac-link vac-close-comment-list" aria-label="Close comments">CLOSE</button>
     </div>
   </div>
 </div>`;
 }
 
+// ----------------------------------------------------------------------
+// commentInput (partial used by the new annotation and reply forms)
+// Data: label (of the textarea), markdown (formatting can be used), mentions (users can be mentioned), value
+// Either shows a live preview, as the text holds formatting and mentions as written
+function commentInput(label, markdown, mentions, value = '') {
+  const preview = markdown || mentions
+    ? `
+      <div class="vac-comment-preview vac-hidden" aria-live="polite" aria-label="Preview"></div>`
+    : '';
+  const hint = markdown
+    ? `
+      <small class="vac-markdown-hint" aria-hidden="true">**bold** *italic* \`code\` [link](https://…) - list</small>`
+    : '';
+  return `<textarea placeholder="Enter comment..." aria-label="${label}">${escapeHtml(value)}</textarea>${preview}${hint}`;
+}
+
+// ----------------------------------------------------------------------
+// commentEdit (form replacing the body of a comment being edited)
+// Data: { body, markdown, mentions }
+export function commentEdit(data) {
+  const { body = '', markdown = false, mentions = false } = data;
+  return `<div class="vac-comment-edit">
+  ${commentInput('Edit comment', markdown, mentions, body)}
+  <div>
+    <button type="button" class="vac-button vac-save-comment">SAVE</button>
+    <button type="button" class="vac-link vac-cancel-comment">Cancel</button>
+  </div>
+</div>`;
+}
+
 // ----------------------------------------------------------------------
 // newComment
-// Data: { width, top, right }
+// Data: { width, top, right, markdown, mentions, replyTo (name of the user whose comment is replied to, if any) }
 export function newComment(data) {
-  const { width, top, right } = data;
-  return `<div class="vac-video-write-new-wrap vac-new-comment">
+  const { width, top, right, markdown = false, mentions = false, replyTo = null } = data;
+  const label = replyTo != null ? `Reply to ${escapeHtml(replyTo || 'comment')}` : 'Reply';
+  const replyToHtml = replyTo != null ? `<div class="vac-replying-to">${label}</div>` : '';
+  return `<div class="vac-video-write-new-wrap vac-new-comment" role="dialog" aria-label="${escapeAttr(label)}">
   <div class="vac-video-write-new vac-is-comment">
     <div class="vac-comment-showbox" style="width:${width}px;top:${top}px;right:${right}px">
-      <textarea placeholder="Enter comment..."></textarea>
+      ${replyToHtml}${commentInput(label, markdown, mentions)}
       <div>
-        <button class="vac-button">SAVE</button>
-        <a>Cancel</a>
+        <button type="button" class="vac-button vac-save">SAVE</button>
+        <button type="button" class="vac-link vac-cancel">Cancel</button>
       </div>
     </div>
   </div>
 </div>`;
 }
 
+// ----------------------------------------------------------------------
+// shapeTools (partial used by controls)
+// Data: { shapeType }
+const SHAPE_TOOLS = [
+  { type: 'rect', label: 'Box' },
+  { type: 'ellipse', label: 'Ellipse' },
+  { type: 'arrow', label: 'Arrow' },
+  { type: 'point', label: 'Pin' },
+  { type: 'polygon', label: 'Polygon' },
+  { type: 'freehand', label: 'Free' }
+];
+function shapeTools(shapeType) {
+  const tools = SHAPE_TOOLS.map(
+    tool =>
+      `<button type="button" class="vac-shape-tool${tool.type === shapeType ? ' vac-active' : ''}" data-shape-type="${tool.type}"
+            aria-pressed="${tool.type === shapeType ? 'true' : 'false'}">${tool.label}</button>`
+  ).join('\n        ');
+  return `
+    <div class="vac-shape-tools" role="group" aria-label="Shape">
+        ${tools}
+    </div>
+    <i>Shift + draw to add a shape</i>`;
+}
+
+// ----------------------------------------------------------------------
+// rangeFields (partial used by controls): range start/end inputs for typing a timecode, filled in by Controls
+function rangeFields() {
+  return `
+    <div class="vac-range-fields" role="group" aria-label="Range timecode">
+        <input type="text" class="vac-range-field" data-edge="start" aria-label="Range start timecode" spellcheck="false" autocomplete="off">
+        <span aria-hidden="true">-</span>
+        <input type="text" class="vac-range-field" data-edge="end" aria-label="Range end timecode" spellcheck="false" autocomplete="off">
+    </div>`;
+}
+
 // ----------------------------------------------------------------------
 // controls
 // Data: { adding, editing, showControls, allowAdd, showNav, internalCommenting,
-//         writingComment, rangeStr, frameRate }
+//         writingComment, rangeStr, frameRate, shapeType, timecode, markdown, mentions }
 export function controls(data) {
   const {
     adding = false,
@@ -152,7 +348,11 @@ export function controls(data) {
     internalCommenting = false,
     writingComment = false,
     rangeStr = '',
-    frameRate = null
+    frameRate = null,
+    shapeType = 'rect',
+    timecode = false,
+    markdown = false,
+    mentions = false
   } = data;
 
   // Helper to conditionally render a block
@@ -161,11 +361,11 @@ export function controls(data) {
   // --- Normal controls (when neither adding nor editing) ---
   const normalControls = renderIf(!adding && !editing && showControls, () => `
 <div class="vac-controls vac-control">
-    ${allowAdd ? '<button class="vac-button">+ NEW</button>' : ''}
+    ${allowAdd ? '<button type="button" class="vac-button vac-add-new" aria-label="Add new annotation">+ NEW</button>' : ''}
     ${showNav ? `
-    <div class="vac-annotation-nav">
-        <div class="vac-a-prev">Prev</div>
-        <div class="vac-a-next">Next</div>
+    <div class="vac-annotation-nav" role="group" aria-label="Annotations">
+        <button type="button" class="vac-a-prev" aria-label="Previous annotation">Prev</button>
+        <button type="button" class="vac-a-next" aria-label="Next annotation">Next</button>
     </div>` : ''}
 </div>`);
 
@@ -173,35 +373,35 @@ export function controls(data) {
   const addingUI = renderIf(adding, () => `
 <div class="vac-video-cover vac-control">
     <div class="vac-video-cover-canvas">
-        <div class="vac-cursor-tool-tip vac-hidden">Click and drag to select</div>
+        <div class="vac-cursor-tool-tip vac-hidden" aria-hidden="true">Click and drag to select</div>
     </div>
 </div>
 ${renderIf(showControls, () => `
-<div class="vac-add-controls vac-control">
-    <i>Select shape + range</i>
+<div class="vac-add-controls vac-control" role="group" aria-label="New annotation">
+    <i>Select shape + range</i>${shapeTools(shapeType)}${timecode ? rangeFields() : ''}
     ${internalCommenting ? `
-    <button class="vac-button">CONTINUE</button>
-    <a>cancel</a>` : ''}
-    <div class="vac-video-move">
-        <div class="vac-a-prev">-1 sec</div>
-        <div class="vac-a-next">+1 sec</div>
+    <button type="button" class="vac-button vac-continue">CONTINUE</button>
+    <button type="button" class="vac-link vac-cancel">cancel</button>` : ''}
+    <div class="vac-video-move" role="group" aria-label="Move start">
+        <button type="button" class="vac-a-prev" aria-label="Move start back 1 second">-1 sec</button>
+        <button type="button" class="vac-a-next" aria-label="Move start forward 1 second">+1 sec</button>
     </div>
     ${frameRate ? `
-    <div class="vac-frame-move">
-        <div class="vac-f-prev">-1 frame</div>
-        <div class="vac-f-next">+1 frame</div>
+    <div class="vac-frame-move" role="group" aria-label="Move start by frame">
+        <button type="button" class="vac-f-prev" aria-label="Move start back 1 frame">-1 frame</button>
+        <button type="button" class="vac-f-next" aria-label="Move start forward 1 frame">+1 frame</button>
     </div>` : ''}
 </div>`)}
 ${renderIf(writingComment, () => `
-<div class="vac-video-write-new-wrap vac-control">
+<div class="vac-video-write-new-wrap vac-control" role="dialog" aria-label="New annotation at ${rangeStr}">
     <div class="vac-video-write-new vac-is-annotation">
         <div>
             <h5><b>New Annotation</b> @ ${rangeStr}</h5>
             <div class="vac-comment-showbox">
-                <textarea placeholder="Enter comment..."></textarea>
+                ${commentInput('Comment', markdown, mentions)}
                 <div>
-                    <button class="vac-button">SAVE</button>
-                    <a>Cancel</a>
+                    <button type="button" class="vac-button vac-save">SAVE</button>
+                    <button type="button" class="vac-link vac-cancel">Cancel</button>
                 </div>
             </div>
         </div>
@@ -212,39 +412,72 @@ ${renderIf(writingComment, () => `
   const editingUI = renderIf(editing, () => `
 <div class="vac-video-cover vac-control">
     <div class="vac-video-cover-canvas">
-        <div class="vac-cursor-tool-tip vac-hidden">Click and drag to adjust</div>
+        <div class="vac-cursor-tool-tip vac-hidden" aria-hidden="true">Click and drag to adjust</div>
     </div>
 </div>
 ${renderIf(showControls, () => `
-<div class="vac-edit-controls vac-add-controls vac-control">
-    <i>Edit range + shape</i>
-    <button class="vac-button vac-save-edit">SAVE</button>
-    <a class="vac-cancel-edit">cancel</a>
-    <div class="vac-video-move">
-        <div class="vac-a-prev">-1 sec</div>
-        <div class="vac-a-next">+1 sec</div>
+<div class="vac-edit-controls vac-add-controls vac-control" role="group" aria-label="Edit annotation">
+    <i>Edit range + shape</i>${shapeTools(shapeType)}${timecode ? rangeFields() : ''}
+    <div class="vac-keyframe-controls" role="group" aria-label="Keyframes">
+        <button type="button" class="vac-k-add" aria-label="Set keyframe">+ key</button>
+        <button type="button" class="vac-k-delete" aria-label="Delete keyframe">- key</button>
+    </div>
+    <button type="button" class="vac-button vac-save-edit">SAVE</button>
+    <button type="button" class="vac-link vac-cancel-edit">cancel</button>
+    <div class="vac-video-move" role="group" aria-label="Move start">
+        <button type="button" class="vac-a-prev" aria-label="Move start back 1 second">-1 sec</button>
+        <button type="button" class="vac-a-next" aria-label="Move start forward 1 second">+1 sec</button>
     </div>
     ${frameRate ? `
-    <div class="vac-frame-move">
-        <div class="vac-f-prev">-1 frame</div>
-        <div class="vac-f-next">+1 frame</div>
+    <div class="vac-frame-move" role="group" aria-label="Move start by frame">
+        <button type="button" class="vac-f-prev" aria-label="Move start back 1 frame">-1 frame</button>
+        <button type="button" class="vac-f-next" aria-label="Move start forward 1 frame">+1 frame</button>
     </div>` : ''}
 </div>`)}`);
 
   return normalControls + addingUI + editingUI;
 }
 
+// ----------------------------------------------------------------------
+// keyboardHelp
+// Data: { bindings: [{ action, labels, description }] }
+export function keyboardHelp(data) {
+  const { bindings = [] } = data;
+  const rows = bindings
+    .map(
+      binding => `<tr data-action="${binding.action}">
+        <td>${binding.labels.map(label => `<kbd>${escapeHtml(label)}</kbd>`).join(' ')}</td>
+        <td>${escapeHtml(binding.description)}</td>
+      </tr>`
+    )
+    .join('\n      ');
+  return `<div class="vac-keyboard-help" role="dialog" aria-label="Keyboard shortcuts" tabindex="-1">
+  <div class="vac-keyboard-help-list">
+    <h5>Keyboard shortcuts</h5>
+    <table>
+      ${rows}
+    </table>
+  </div>
+</div>`;
+}
+
 // ----------------------------------------------------------------------
 // Export as an object compatible with the existing `templates` module.
 export const templates = {
   player_button: playerButton,
   marker_wrap: markerWrap,
   draggable_marker: draggableMarker,
+  keyframe_markers: keyframeMarkers,
   marker,
   comment,
   comment_list: commentList,
   new_comment: newComment,
-  controls
+  comment_edit: commentEdit,
+  comment_thread: commentThread,
+  thread_toggle: threadToggle,
+  status_bar: statusBar,
+  controls,
+  keyboard_help: keyboardHelp
 };
 
 export default templates;
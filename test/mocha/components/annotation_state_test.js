@@ -148,4 +148,125 @@ describe('AnnotationState', () => {
       expect(state._annotationWasOpened).to.equal(true);
     });
   });
+
+  describe('this.persist()', () => {
+    // State whose plugin has a storage adapter, recording the events it fires
+    const persistingState = storage => {
+      const fired = [];
+      class PersistingState extends MockedAnnotationState {
+        get plugin() {
+          return { options: {}, storage, fire: (type, data) => fired.push({ type, data }) };
+        }
+      }
+      return { state: new PersistingState('playerId'), fired };
+    };
+    // Stand-in for an annotation, recording its sync statuses and conflicts
+    const fakeAnnotation = () => {
+      const annotation = {
+        id: 'a1',
+        statuses: [],
+        setSyncStatus: status => annotation.statuses.push(status),
+        commentList: { showConflict: conflict => (annotation.conflict = conflict) }
+      };
+      return annotation;
+    };
+
+    it('marks the change pending, then confirmed', () => {
+      const { state, fired } = persistingState({ update: () => Promise.resolve({ id: 'a1' }) });
+      const annotation = fakeAnnotation();
+
+      return state.persist(annotation, 'update', () => [{}], { items: [annotation] }).then(() => {
+        expect(annotation.statuses).to.deep.equal(['pending', 'confirmed']);
+        expect(fired.map(e => e.type)).to.deep.equal(['saveConfirmed']);
+      });
+    });
+
+    it('rolls back a failed change and reports conflicts', () => {
+      const conflict = Object.assign(new Error('412'), { conflict: true });
+      const { state, fired } = persistingState({ update: () => Promise.reject(conflict) });
+      const annotation = fakeAnnotation();
+      let rolledBack = false;
+      const reapply = () => {};
+
+      return state
+        .persist(annotation, 'update', () => [{}], { items: [annotation], rollback: () => (rolledBack = true), reapply })
+        .then(() => {
+          expect(rolledBack).to.equal(true);
+          expect(annotation.statuses).to.deep.equal(['pending', 'failed']);
+          expect(annotation.conflict.reapply).to.equal(reapply);
+          expect(fired[0].type).to.equal('saveConflict');
+          expect(fired[0].data).to.include({ operation: 'update', id: 'a1', rolledBack: true });
+        });
+    });
+
+    it('drops changes queued after a discarded annotation', () => {
+      let calls = 0;
+      const { state, fired } = persistingState({
+        create: () => Promise.reject(new Error('offline')),
+        reply: () => {
+          calls += 1;
+          return Promise.resolve(null);
+        }
+      });
+      const annotation = fakeAnnotation();
+
+      state.persist(annotation, 'create', () => [{}], { rollback: () => (annotation.discarded = true) });
+      return state.persist(annotation, 'reply', () => ['a1', {}]).then(() => {
+        expect(calls).to.equal(0);
+        expect(fired.map(e => e.type)).to.deep.equal(['saveFailed', 'storageError']);
+      });
+    });
+  });
+
+  describe('this.nextAnnotation() and this.prevAnnotation()', () => {
+    // State with annotations at 10, 20 and 30s (the one at 20s resolved), recording the annotations it opens
+    const navigatingState = (options = {}) => {
+      class NavigatingState extends MockedAnnotationState {
+        get plugin() {
+          return { options, fire() {} };
+        }
+        openAnnotation(annotation) {
+          this.opened = annotation;
+          this._activeAnnotation = annotation;
+        }
+      }
+      const state = new NavigatingState('playerId');
+      state._annotations = [10, 20, 30].map(start => ({ range: { start }, isResolved: start === 20 }));
+      state._currentTime = 0;
+      return state;
+    };
+    const starts = (state, steps) => steps.map(step => (state[step](), state.opened.range.start));
+
+    it('goes through every annotation by default', () => {
+      const state = navigatingState();
+      expect(starts(state, ['nextAnnotation', 'nextAnnotation', 'nextAnnotation', 'prevAnnotation'])).to.deep.equal([
+        10,
+        20,
+        30,
+        20
+      ]);
+    });
+
+    it('skips resolved annotations with the skipResolved option, or when asked', () => {
+      const state = navigatingState({ skipResolved: true });
+      expect(starts(state, ['nextAnnotation', 'nextAnnotation', 'nextAnnotation', 'prevAnnotation'])).to.deep.equal([
+        10,
+        30,
+        10,
+        30
+      ]);
+
+      const asked = navigatingState();
+      asked.nextAnnotation();
+      asked.nextAnnotation(true);
+      expect(asked.opened.range.start).to.equal(30);
+    });
+
+    it('goes on from an open annotation that is skipped', () => {
+      const state = navigatingState({ skipResolved: true });
+      state._activeAnnotation = state.annotations[1];
+      state.prevAnnotation();
+      expect(state.opened.range.start).to.equal(10);
+    });
+  });
 });
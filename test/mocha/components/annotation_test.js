@@ -10,7 +10,7 @@ class MockedAnnotation extends Annotation {
     return { options: {}, videoSrc: 'http://example.com/video.mp4' };
   }
   buildComments(data) {
-    this.commentList = { data: [], _internalData: data.comments || [] };
+    this.commentList = { data: [], comments: [], _internalData: data.comments || [] };
   }
   buildMarker() {}
   buildShape() {}
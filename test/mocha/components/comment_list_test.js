@@ -0,0 +1,86 @@
+'use strict';
+
+global.videojs = require('video.js');
+
+const CommentList = require('../../../src/js/components/comment_list'),
+  expect = require('chai').expect;
+
+// Allows every action except those in this.denied, recording what is saved and denied
+class MockedCommentList extends CommentList {
+  get plugin() {
+    const allowed = action => this.denied.indexOf(action) === -1;
+    return {
+      options: { idPrefix: '' },
+      can: allowed,
+      authorize: action => {
+        if (!allowed(action)) this.deniedActions.push(action);
+        return allowed(action);
+      },
+      fire() {},
+      annotationState: {
+        stateChanged() {},
+        recordStep() {},
+        persist: (target, operation, argsFn) => this.saved.push([operation, ...argsFn()])
+      }
+    };
+  }
+  commentsChanged() {}
+}
+
+const comment = (id, parentId = null) => ({ id, parentId, meta: {}, _internalData: { id } });
+
+describe('CommentList', () => {
+  let annotation, list;
+
+  // A first comment and replies, one with a reply of its own
+  beforeEach(() => {
+    annotation = {
+      id: 'a1',
+      tornDown: false,
+      teardown() {
+        this.tornDown = true;
+      }
+    };
+    list = new MockedCommentList({ annotation, comments: [] }, 'fakePlayerId');
+    list.denied = [];
+    list.deniedActions = [];
+    list.saved = [];
+    list.comments = [comment('root'), comment(2), comment(3, 2), comment(4, 'root')];
+  });
+
+  describe('threads', () => {
+    it('finds parents whether their ids are numbers or strings', () => {
+      list.comments.push(comment(5, '2'));
+      expect(list.findComment('2')).to.equal(list.comments[1]);
+      expect(list.parentOf(list.comments[2])).to.equal(list.comments[1]);
+      expect(list.repliesTo(list.comments[1]).map(c => c.id)).to.deep.equal([3, 5]);
+    });
+  });
+
+  describe('deleting comments', () => {
+    it('deletes a reply with the replies to it', () => {
+      list.destroyComment({ detail: { id: '2' } });
+      expect(list.comments.map(c => c.id)).to.deep.equal(['root', 4]);
+      expect(list.saved).to.deep.equal([['delete', '2']]);
+      expect(annotation.tornDown).to.equal(false);
+    });
+
+    it('deletes the annotation when the first comment of a thread with replies is deleted', () => {
+      list.destroyComment({ detail: { id: 'root' } });
+      expect(annotation.tornDown).to.equal(true);
+      expect(list.comments).to.have.lengthOf(4);
+      expect(list.saved).to.deep.equal([]); // Deleting the annotation saves it, not a delete of its body as a reply
+    });
+
+    it('needs delete-annotation to delete the first comment', () => {
+      list.denied = ['delete-annotation'];
+      expect(list.canDeleteComment(list.comments[0])).to.equal(false);
+      expect(list.canDeleteComment(list.comments[1])).to.equal(true);
+
+      list.destroyComment({ detail: { id: 'root' } });
+      expect(annotation.tornDown).to.equal(false);
+      expect(list.comments).to.have.lengthOf(4);
+      expect(list.deniedActions).to.deep.equal(['delete-annotation']);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const AnnotationDocument = require('../../../src/js/lib/crdt/annotation_document'),
+  { encodeOps, decodeOps } = require('../../../src/js/lib/crdt/encoding'),
+  expect = require('chai').expect;
+
+const comment = (id, body, datetime = '2024-01-01T00:00:00.000Z') => ({
+  id,
+  meta: { datetime, user_id: 1, user_name: 'Ann' },
+  body
+});
+const annotation = (id, start, comments = [comment(`${id}-c1`, id)]) => ({
+  id,
+  range: { start, end: start + 5 },
+  shape: null,
+  markerClass: null,
+  annotationType: 'default',
+  comments
+});
+
+// Documents for two sites that start from the same annotations
+const pair = data => {
+  const a = new AnnotationDocument({ site: 'a' });
+  a.commit(data);
+  const b = new AnnotationDocument({ site: 'b', update: a.encodeUpdate() });
+  return { a, b };
+};
+
+// Exchange updates both ways, as when two sites reconnect
+const sync = (a, b) => {
+  const toB = a.encodeUpdate(b.stateVector());
+  const toA = b.encodeUpdate(a.stateVector());
+  b.applyUpdate(toB);
+  a.applyUpdate(toA);
+};
+
+describe('AnnotationDocument', () => {
+  it('encodes and decodes operations as binary updates', () => {
+    const ops = [
+      { clock: 1, site: 'a', kind: 'annotation', id: 'x', parent: null, fields: { range: { start: 1 }, deleted: false } },
+      { clock: 300, site: 'b', kind: 'comment', id: 'ü', parent: 'x', fields: { body: 'Grüße ✓' } }
+    ];
+    const bytes = encodeOps(ops);
+    expect(bytes).to.be.instanceOf(Uint8Array);
+    expect(decodeOps(bytes)).to.deep.equal(ops);
+    expect(() => decodeOps(Uint8Array.from([1, 2, 3, 4]))).to.throw('Not an annotation document update');
+    expect(() => decodeOps(bytes.subarray(0, bytes.length - 2))).to.throw('Unexpected end of update');
+  });
+
+  it('keeps numeric ids as numbers when encoding and merging', () => {
+    const ops = [{ clock: 1, site: 'a', kind: 'comment', id: 2, parent: 1, fields: { body: 'x' } }];
+    expect(decodeOps(encodeOps(ops))).to.deep.equal(ops);
+
+    const { a, b } = pair([annotation(1, 1, [comment(2, 'first')])]);
+    const edit = b.toData();
+    edit[0].range = { start: 2, end: 4 };
+    b.commit(edit);
+    sync(a, b);
+    expect(a.toData()).to.deep.equal(edit);
+    expect(a.toData()[0].id).to.equal(1);
+    expect(a.toData()[0].comments[0].id).to.equal(2);
+  });
+
+  it('records only changed fields when committing', () => {
+    const doc = new AnnotationDocument({ site: 'a' });
+    const data = [annotation('x', 1)];
+    expect(doc.commit(data)).to.have.length(2);
+    expect(doc.commit(data)).to.deep.equal([]);
+
+    data[0].range = { start: 2, end: 4 };
+    const ops = doc.commit(data);
+    expect(ops).to.have.length(1);
+    expect(ops[0].fields).to.deep.equal({ range: { start: 2, end: 4 } });
+    expect(doc.toData()).to.deep.equal(data);
+  });
+
+  it('merges concurrent offline edits to the same result on every site', () => {
+    const { a, b } = pair([annotation('x', 1), annotation('y', 10)]);
+
+    const editA = a.toData();
+    editA[0].range = { start: 3, end: 6 };
+    editA[1].comments.push(comment('y-a', 'reply from a', '2024-01-02T00:00:00.000Z'));
+    a.commit(editA);
+
+    const editB = b.toData();
+    editB[0].range = { start: 4, end: 8 };
+    editB[0].shape = { x1: 1, y1: 1, x2: 50, y2: 50 };
+    editB[1].comments.push(comment('y-b', 'reply from b', '2024-01-03T00:00:00.000Z'));
+    b.commit(editB);
+
+    sync(a, b);
+    expect(a.toData()).to.deep.equal(b.toData());
+    const [x, y] = a.toData();
+    // Same clock for both range edits, so the higher site id wins; the shape was only changed by b
+    expect(x.range).to.deep.equal({ start: 4, end: 8 });
+    expect(x.shape).to.deep.equal({ x1: 1, y1: 1, x2: 50, y2: 50 });
+    expect(y.comments.map(c => c.id)).to.deep.equal(['y-c1', 'y-a', 'y-b']);
+  });
+
+  it('keeps deletes as tombstones, whatever order updates arrive in', () => {
+    const { a, b } = pair([annotation('x', 1)]);
+
+    a.commit([]);
+    const edit = b.toData();
+    edit[0].range = { start: 2, end: 3 };
+    b.commit(edit);
+
+    const c = new AnnotationDocument({ site: 'c' });
+    c.applyUpdate(b.encodeUpdate());
+    c.applyUpdate(a.encodeUpdate());
+    c.applyUpdate(a.encodeUpdate());
+    sync(a, b);
+    expect(a.toData()).to.deep.equal([]);
+    expect(b.toData()).to.deep.equal([]);
+    expect(c.toData()).to.deep.equal([]);
+    expect(c.history()).to.deep.equal(a.history());
+  });
+
+  it('sends only the operations a state vector is missing', () => {
+    const { a, b } = pair([annotation('x', 1)]);
+    const data = a.toData();
+    data.push(annotation('y', 5));
+    const ops = a.commit(data);
+
+    const update = decodeOps(a.encodeUpdate(b.stateVector()));
+    expect(update).to.deep.equal(ops);
+    expect(b.applyUpdate(update)).to.have.length(ops.length);
+    expect(b.applyUpdate(update)).to.deep.equal([]);
+    expect(b.stateVector()).to.deep.equal(a.stateVector());
+  });
+
+  it('replays history to show earlier versions', () => {
+    const doc = new AnnotationDocument({ site: 'a' });
+    const data = [annotation('x', 1)];
+    doc.commit(data);
+    data[0].range = { start: 7, end: 9 };
+    doc.commit(data);
+    doc.commit([]);
+
+    expect(doc.history().map(op => op.clock)).to.deep.equal([1, 2, 3, 4]);
+    expect(doc.replay(2).toData()[0].range).to.deep.equal({ start: 1, end: 6 });
+    expect(doc.replay(3).toData()[0].range).to.deep.equal({ start: 7, end: 9 });
+    expect(doc.replay().toData()).to.deep.equal([]);
+  });
+});
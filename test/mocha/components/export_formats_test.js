@@ -0,0 +1,151 @@
+'use strict';
+
+const Timecode = require('../../../src/js/lib/timecode'),
+  { toCSV, fromCSV, parseRows } = require('../../../src/js/lib/formats/csv'),
+  { toSRT } = require('../../../src/js/lib/formats/srt'),
+  { toEDL, fromEDL, toMarkerList, fromMarkerList } = require('../../../src/js/lib/formats/markers'),
+  { getFormat } = require('../../../src/js/lib/formats'),
+  expect = require('chai').expect;
+
+const comment = (id, name, body) => ({ id, meta: { datetime: '2024-01-01T00:00:00.000Z', user_id: 1, user_name: name }, body });
+
+const annotations = [
+  {
+    id: 'a1',
+    range: { start: 10.5, end: 15 },
+    shape: { x1: 10, y1: 20, x2: 50, y2: 60 },
+    markerClass: null,
+    annotationType: 'issue',
+    comments: [comment('c1', 'Alex', 'Flicker, "top" left'), comment('c2', 'Sam', '=fixed\nin v2')]
+  },
+  {
+    id: 'a2',
+    range: { start: 3725 },
+    shape: null,
+    markerClass: null,
+    annotationType: null,
+    comments: [comment('c3', null, 'Nice | cut')]
+  }
+];
+
+describe('Timecode', () => {
+  it('converts times to and from non-drop-frame timecode', () => {
+    expect(Timecode.toTimecode(10.5, { frameRate: 24 })).to.equal('00:00:10:12');
+    expect(Timecode.toTimecode(3725, { frameRate: 25 })).to.equal('01:02:05:00');
+    // At 29.97fps frames are labelled at 30fps
+    expect(Timecode.toTimecode(60, { frameRate: 29.97, dropFrame: false })).to.equal('00:00:59:28');
+    expect(Timecode.fromTimecode('00:00:10:12', { frameRate: 24 })).to.equal(10.5);
+    expect(Timecode.fromTimecode('00:00:10:30', { frameRate: 30 })).to.equal(null);
+    expect(Timecode.formatTime(75.25)).to.equal('00:01:15.250');
+    expect(Timecode.parseTime('00:01:15.250')).to.equal(75.25);
+    expect(Timecode.parseTime('00:00:01:12', { frameRate: 24 })).to.equal(1.5);
+    expect(Timecode.parseTime('12.5')).to.equal(12.5);
+    expect(Timecode.parseTime('soon')).to.equal(null);
+  });
+
+  it('skips frame labels in drop-frame timecode at 29.97 and 59.94fps', () => {
+    const ntsc = { frameRate: 30000 / 1001 };
+    expect(Timecode.isDropFrame(ntsc)).to.equal(true);
+    expect(Timecode.isDropFrame({ frameRate: 25, dropFrame: true })).to.equal(false);
+    expect(Timecode.framesToTimecode(1799, ntsc)).to.equal('00:00:59;29');
+    expect(Timecode.framesToTimecode(1800, ntsc)).to.equal('00:01:00;02');
+    expect(Timecode.framesToTimecode(17982, ntsc)).to.equal('00:10:00;00');
+    expect(Timecode.framesToTimecode(3600, { frameRate: 59.94 })).to.equal('00:01:00;04');
+    expect(Timecode.toTimecode(3600, ntsc)).to.equal('01:00:00;00');
+    expect(Timecode.timecodeToFrames('00:01:00;02', ntsc)).to.equal(1800);
+    // A skipped label is the next frame
+    expect(Timecode.timecodeToFrames('00:01:00;00', ntsc)).to.equal(1800);
+    [0, 1799, 1800, 17981, 17982, 107891, 123456].forEach(frames => {
+      expect(Timecode.timecodeToFrames(Timecode.framesToTimecode(frames, ntsc), ntsc)).to.equal(frames);
+    });
+  });
+
+  it('counts timecode from the start timecode', () => {
+    const options = { frameRate: 25, startTimecode: '01:00:00:00' };
+    expect(Timecode.toTimecode(10.2, options)).to.equal('01:00:10:05');
+    expect(Timecode.fromTimecode('01:00:10:05', options)).to.equal(10.2);
+    expect(Timecode.fromTimecode('00:59:59:24', options)).to.equal(null);
+    expect(Timecode.formatRange({ start: 1, end: 2 }, options)).to.equal('01:00:01:00 - 01:00:02:00');
+    expect(Timecode.parseTime('01:00:05', options)).to.equal(5);
+    expect(Timecode.parseTime('5', options)).to.equal(5);
+  });
+});
+
+describe('CSV', () => {
+  it('exports a row per comment, quoting fields and guarding formulas', () => {
+    const rows = toCSV(annotations, { frameRate: 24 }).split('\r\n');
+    expect(rows[0]).to.equal('time,end,author,comment,type');
+    expect(rows[1]).to.equal('00:00:10:12,00:00:15:00,Alex,"Flicker, ""top"" left",issue');
+    expect(rows[2]).to.equal(`00:00:10:12,00:00:15:00,Sam,"'=fixed\nin v2",issue`);
+    expect(rows[3]).to.equal('01:02:05:00,,,Nice | cut,');
+  });
+
+  it('round-trips annotations, grouping replies by time, end and type', () => {
+    const imported = fromCSV(toCSV(annotations, { frameRate: 24 }), { frameRate: 24 });
+    expect(imported).to.have.length(2);
+    expect(imported[0]).to.include({ annotationType: 'issue', shape: null });
+    expect(imported[0].range).to.deep.equal({ start: 10.5, end: 15 });
+    expect(imported[0].comments.map(c => [c.meta.user_name, c.body])).to.deep.equal([
+      ['Alex', 'Flicker, "top" left'],
+      ['Sam', '=fixed\nin v2']
+    ]);
+    expect(imported[1].range).to.deep.equal({ start: 3725 });
+    expect(imported[1].comments[0].meta.user_name).to.equal(null);
+  });
+
+  it('finds columns by header and rejects other files', () => {
+    const [annotation] = fromCSV('\ufeffNotes,Comment,Time\r\nx,"Audio\r\ndrops",90\r\n\r\n');
+    expect(annotation.range).to.deep.equal({ start: 90 });
+    expect(annotation.comments[0].body).to.equal('Audio\ndrops');
+    expect(parseRows('a,"b\nc"\n\nd')).to.deep.equal([['a', 'b\nc'], ['d']]);
+    expect(() => fromCSV('name,notes\nA,B')).to.throw('Not an annotations CSV file');
+  });
+});
+
+describe('SRT', () => {
+  it('exports a numbered subtitle per annotation', () => {
+    expect(toSRT(annotations)).to.equal(
+      '1\n00:00:10,500 --> 00:00:15,000\nAlex: Flicker, "top" left\nSam: =fixed\nin v2\n\n' +
+        '2\n01:02:05,000 --> 01:02:06,000\nAnonymous: Nice | cut\n'
+    );
+  });
+});
+
+describe('Timeline markers', () => {
+  it('exports an EDL with a Resolve marker per annotation', () => {
+    const lines = toEDL(annotations, { frameRate: 24, colors: { issue: 'Red' } }).split('\n');
+    expect(lines.slice(0, 2)).to.deep.equal(['TITLE: Annotations', 'FCM: NON-DROP FRAME']);
+    expect(lines[3]).to.equal('001  001      V     C        00:00:10:12 00:00:10:13 00:00:10:12 00:00:10:13  ');
+    expect(lines[4]).to.equal(' |C:ResolveColorRed |M:Alex: Flicker, "top" left / Sam: =fixed in v2 |D:108');
+    expect(lines[7]).to.equal(' |C:ResolveColorBlue |M:Anonymous: Nice / cut |D:1');
+  });
+
+  it('exports drop-frame EDLs from the start timecode', () => {
+    const options = { frameRate: 29.97, startTimecode: '01:00:00;00' };
+    const edl = toEDL(annotations, options);
+    expect(edl).to.contain('FCM: DROP FRAME');
+    expect(edl).to.contain('001  001      V     C        01:00:10;15 01:00:10;16 01:00:10;15 01:00:10;16  ');
+    expect(fromEDL(edl, options)[0].range.start).to.equal(315 / 29.97);
+  });
+
+  it('imports EDL markers and Avid locators', () => {
+    const edl = toEDL(annotations, { frameRate: 24, colors: { issue: 'Red' } }) + '* LOC: 00:01:00:00 RED   Check mix\n';
+    const imported = fromEDL(edl, { frameRate: 24, colors: { issue: 'Red' } });
+    expect(imported.map(a => a.range)).to.deep.equal([{ start: 10.5, end: 15 }, { start: 3725 }, { start: 60 }]);
+    expect(imported.map(a => a.annotationType)).to.deep.equal(['issue', null, 'issue']);
+    expect(imported[2].comments[0].body).to.equal('Check mix');
+    expect(() => fromEDL('just text')).to.throw('Not an EDL file');
+  });
+
+  it('round-trips a marker list', () => {
+    const list = toMarkerList(annotations, { frameRate: 24 });
+    expect(list.split('\r\n')[1]).to.equal(
+      'Alex\t"Flicker, ""top"" left / Sam: =fixed in v2"\t00:00:10:12\t00:00:15:00\t00:00:04:12\tComment'
+    );
+    const imported = fromMarkerList(list, { frameRate: 24 });
+    expect(imported[0].range).to.deep.equal({ start: 10.5, end: 15 });
+    expect(imported[0].comments[0].meta.user_name).to.equal('Alex');
+    expect(imported[1].range).to.deep.equal({ start: 3725 });
+    expect(() => getFormat('srt', 'import')).to.throw("Can't import annotations as 'srt'");
+  });
+});
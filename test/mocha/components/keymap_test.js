@@ -0,0 +1,83 @@
+'use strict';
+
+const { Keymap, parseKeys, formatKeys } = require('../../../src/js/lib/keymap'),
+  expect = require('chai').expect;
+
+// Minimal stand-in for a KeyboardEvent
+const keyEvent = (key, mods = {}, target = { tagName: 'DIV' }) => ({
+  key,
+  target,
+  shiftKey: !!mods.shift,
+  altKey: !!mods.alt,
+  ctrlKey: !!mods.ctrl,
+  metaKey: !!mods.meta,
+  defaultPrevented: false,
+  preventDefault() {
+    this.defaultPrevented = true;
+  },
+  stopPropagation() {}
+});
+
+describe('keymap', () => {
+  it('parses modifiers, aliases and mod per platform', () => {
+    expect(parseKeys('Shift+Left')).to.deep.equal({ key: 'arrowleft', shift: true, alt: false, ctrl: false, meta: false });
+    expect(parseKeys('mod+enter', false).ctrl).to.equal(true);
+    expect(parseKeys('mod+enter', true).meta).to.equal(true);
+    expect(parseKeys('shift++').key).to.equal('+');
+    expect(parseKeys('hyper+x')).to.equal(null);
+    expect(formatKeys('shift+arrowleft', false)).to.equal('Shift + ←');
+    expect(formatKeys('mod+s', true)).to.equal('⌘ + S');
+  });
+
+  it('runs the action matching the exact modifiers', () => {
+    const calls = [];
+    const keymap = new Keymap({}, false);
+    keymap.register('next', { keys: 'arrowright', handler: () => calls.push('next') });
+    keymap.register('nudge', { keys: 'shift+arrowright', handler: () => calls.push('nudge') });
+    keymap.register('help', { keys: '?', handler: () => calls.push('help') });
+
+    const e = keyEvent('ArrowRight', { shift: true });
+    expect(keymap.handleKeydown(e)).to.equal(true);
+    expect(e.defaultPrevented).to.equal(true);
+    keymap.handleKeydown(keyEvent('ArrowRight'));
+    keymap.handleKeydown(keyEvent('ArrowRight', { ctrl: true }));
+    keymap.handleKeydown(keyEvent('?', { shift: true }));
+    expect(calls).to.deep.equal(['nudge', 'next', 'help']);
+  });
+
+  it('leaves the key alone when the handler does not apply', () => {
+    const keymap = new Keymap({}, false);
+    keymap.register('save', { keys: 'mod+enter', handler: () => false });
+    const e = keyEvent('Enter', { ctrl: true });
+    expect(keymap.handleKeydown(e)).to.equal(false);
+    expect(e.defaultPrevented).to.equal(false);
+  });
+
+  it('ignores keys typed into text fields unless the action allows it', () => {
+    const calls = [];
+    const keymap = new Keymap({}, false);
+    keymap.register('reply', { keys: 'r', handler: () => calls.push('reply') });
+    keymap.register('cancel', { keys: 'escape', allowInText: true, handler: () => calls.push('cancel') });
+    const textarea = { tagName: 'TEXTAREA' };
+
+    keymap.handleKeydown(keyEvent('r', {}, textarea));
+    keymap.handleKeydown(keyEvent('r', {}, { tagName: 'DIV', isContentEditable: true }));
+    keymap.handleKeydown(keyEvent('Escape', {}, textarea));
+    expect(calls).to.deep.equal(['cancel']);
+  });
+
+  it('applies user bindings over defaults and lists the active ones', () => {
+    const keymap = new Keymap({ add: ['a', 'N'], remove: null }, false);
+    keymap.register('add', { keys: 'n', description: 'Add', handler: () => true });
+    keymap.register('remove', { keys: 'delete', description: 'Remove', handler: () => true });
+    keymap.register('save', { keys: 'mod+enter', description: 'Save', handler: () => true });
+
+    expect(keymap.list()).to.deep.equal([
+      { action: 'add', keys: ['a', 'N'], labels: ['A', 'N'], description: 'Add' },
+      { action: 'save', keys: ['mod+enter'], labels: ['Ctrl + Enter'], description: 'Save' }
+    ]);
+
+    keymap.setBindings({ save: 'ctrl+s', remove: 'x' });
+    expect(keymap.list().map(b => b.keys[0])).to.deep.equal(['a', 'x', 'ctrl+s']);
+  });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const Markdown = require('../../../src/js/lib/markdown'),
+  Mentions = require('../../../src/js/lib/mentions'),
+  CommentEditor = require('../../../src/js/lib/comment_editor'),
+  { toW3C, fromW3C } = require('../../../src/js/lib/w3c'),
+  expect = require('chai').expect;
+
+describe('Markdown', () => {
+  it('renders bold, italic, inline code and links', () => {
+    const html = Markdown.toHTML('**Flicker** at *top* in `frame_01`, see [notes](https://example.com/a?b=1&c=2)', {
+      markdown: true
+    });
+    expect(html).to.equal(
+      '<strong>Flicker</strong> at <em>top</em> in <code>frame_01</code>, see ' +
+        '<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer nofollow">notes</a>'
+    );
+    expect(Markdown.toHTML('my_file_name and _this_', { markdown: true })).to.equal('my_file_name and <em>this</em>');
+  });
+
+  it('renders lists and line breaks', () => {
+    const html = Markdown.toHTML('To fix:\n- color\n- **audio**\n1. first\nThanks\nSam', { markdown: true });
+    expect(html).to.equal(
+      'To fix:<ul><li>color</li><li><strong>audio</strong></li></ul><ol><li>first</li></ol>Thanks<br>Sam'
+    );
+  });
+
+  it('escapes HTML and keeps unsafe links as text', () => {
+    const html = Markdown.toHTML('<img src=x onerror=alert(1)> [x](javascript:alert(1))', { markdown: true });
+    expect(html).to.equal('&lt;img src=x onerror=alert(1)&gt; [x](javascript:alert(1))');
+    expect(Markdown.toHTML('**not bold**\nnext')).to.equal('**not bold**<br>next');
+  });
+});
+
+describe('Mentions', () => {
+  const users = [{ id: 42, name: 'Alex Ackerman' }, { id: 7, name: 'Sam Smith' }, { id: 8, name: 'Samir' }];
+
+  it('keeps mentions in the text and shows them by name', () => {
+    const text = `Can you check, ${Mentions.mentionMarkup(users[0])} and @[Sam Smith](7)? cc @[Sam Smith](7)`;
+    expect(text).to.contain('@[Alex Ackerman](42)');
+    expect(Mentions.mentionsIn(text)).to.deep.equal([{ id: '42', name: 'Alex Ackerman' }, { id: '7', name: 'Sam Smith' }]);
+    expect(Mentions.toPlainText(text)).to.equal('Can you check, @Alex Ackerman and @Sam Smith? cc @Sam Smith');
+    expect(Markdown.toHTML('**@[Sam Smith](7)**', { markdown: true })).to.equal(
+      '<strong><span class="vac-mention" data-user-id="7">@Sam Smith</span></strong>'
+    );
+  });
+
+  it('finds the name being typed and the users matching it', () => {
+    expect(Mentions.mentionQuery('Thanks @sa')).to.equal('sa');
+    expect(Mentions.mentionQuery('@')).to.equal('');
+    expect(Mentions.mentionQuery('mail me@example')).to.equal(null);
+    expect(Mentions.mentionQuery('@Sam Smith')).to.equal(null);
+
+    return Promise.all([
+      Mentions.findUsers(users, 'sm'),
+      Mentions.findUsers(users, 'sam'),
+      Mentions.findUsers(query => Promise.resolve([{ id: query, name: query }]), 'zoe')
+    ]).then(([bySurname, byName, looked]) => {
+      expect(bySurname.map(user => user.id)).to.deep.equal([7]);
+      expect(byName.map(user => user.id)).to.deep.equal([7, 8]);
+      expect(looked).to.deep.equal([{ id: 'zoe', name: 'zoe' }]);
+    });
+  });
+
+  it('adds a tagging body per user mentioned in W3C output', () => {
+    const comment = {
+      id: 'c1',
+      body: 'Check this @[Alex Ackerman](42)',
+      meta: { datetime: '2017-03-28T19:17:32.238Z', user_id: 1, user_name: 'Sam Smith' }
+    };
+    const w3c = toW3C({ id: 'a1', range: { start: 1 }, shape: null, comments: [comment] }, 'video.mp4', '', {
+      markdown: true
+    });
+    expect(w3c.body).to.deep.equal([
+      { type: 'TextualBody', value: 'Check this @[Alex Ackerman](42)', format: 'text/markdown' },
+      { type: 'SpecificResource', purpose: 'tagging', source: { type: 'Person', id: '42', name: 'Alex Ackerman' } }
+    ]);
+    expect(fromW3C(w3c).comments[0].body).to.equal(comment.body);
+  });
+
+  describe('autocomplete', () => {
+    // Minimal stand-in for the elements the editor uses
+    const fakeEl = () => {
+      const classes = new Set();
+      const attrs = {};
+      return {
+        children: [],
+        classList: {
+          add: name => classes.add(name),
+          remove: name => classes.delete(name),
+          toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)),
+          contains: name => classes.has(name)
+        },
+        set className(value) {
+          value.split(' ').forEach(name => classes.add(name));
+        },
+        setAttribute: (name, value) => (attrs[name] = String(value)),
+        getAttribute: name => attrs[name],
+        removeAttribute: name => delete attrs[name],
+        addEventListener() {},
+        removeEventListener() {},
+        appendChild(child) {
+          this.children.push(child);
+        },
+        after() {},
+        remove() {}
+      };
+    };
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      global.document = { createElement: fakeEl };
+    });
+    afterEach(() => {
+      delete global.document;
+    });
+
+    it('hides the list when the user directory fails', () => {
+      const textarea = { ...fakeEl(), value: 'Hi @al', selectionStart: 6 };
+      const form = { querySelector: selector => (selector === 'textarea' ? textarea : null) };
+      const lookups = [
+        () => Promise.resolve([{ id: 42, name: 'Alex Ackerman' }]),
+        () => Promise.reject(new Error('offline')),
+        () => {
+          throw new Error('offline');
+        }
+      ];
+      const editor = new CommentEditor(form, { userDirectory: () => lookups.shift()() });
+      const listShown = () => !editor.listEl.classList.contains('vac-hidden');
+
+      editor.updateMentions();
+      return flush()
+        .then(() => {
+          expect(listShown()).to.equal(true);
+          editor.updateMentions();
+          return flush();
+        })
+        .then(() => {
+          expect(listShown()).to.equal(false);
+          expect(textarea.getAttribute('aria-expanded')).to.equal('false');
+          editor.updateMentions();
+          return flush();
+        })
+        .then(() => {
+          expect(listShown()).to.equal(false);
+          expect(editor.matches).to.deep.equal([]);
+        });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const { allowed } = require('../../../src/js/lib/permissions'),
+  expect = require('chai').expect;
+
+const flags = {
+  allowAdd: true,
+  allowEdit: true,
+  allowDelete: true,
+  restrictEditToOwner: false,
+  restrictDeleteToOwner: false
+};
+const ada = { user_id: 1, user_name: 'Ada' };
+const comment = (id, userId) => ({ id, meta: { user_id: userId } });
+const annotation = { id: 'a1', commentList: { comments: [comment('c1', 1), comment('c2', 2)] } };
+const [first, reply] = annotation.commentList.comments;
+
+describe('permissions', () => {
+  it('allows everything by default, and nothing unknown', () => {
+    ['add', 'reply', 'edit', 'delete-comment', 'delete-annotation', 'resolve', 'shape-edit'].forEach(action => {
+      expect(allowed(flags, ada, action, annotation, reply), action).to.equal(true);
+    });
+    expect(allowed(flags, ada, 'publish', annotation)).to.equal(false);
+  });
+
+  it('restricts comments to their authors and annotations to their first comment author', () => {
+    const options = { ...flags, restrictEditToOwner: true, restrictDeleteToOwner: true };
+    expect(allowed(options, ada, 'edit', annotation, first)).to.equal(true);
+    expect(allowed(options, ada, 'edit', annotation, reply)).to.equal(false);
+    expect(allowed(options, ada, 'delete-comment', annotation, reply)).to.equal(false);
+    expect(allowed(options, ada, 'delete-annotation', annotation)).to.equal(true);
+    expect(allowed(options, { user_id: 2 }, 'shape-edit', annotation)).to.equal(false);
+    expect(allowed(options, { user_id: 2 }, 'delete-comment', annotation, reply)).to.equal(true);
+    expect(allowed({ ...flags, allowAdd: false }, ada, 'add')).to.equal(false);
+  });
+
+  it('asks the policy after the flags', () => {
+    const calls = [];
+    // Only the author of an annotation can resolve it
+    const permissionPolicy = (action, user, target, about) => {
+      calls.push([action, user, target, about]);
+      return action !== 'resolve' || target.commentList.comments[0].meta.user_id === user.user_id;
+    };
+    const options = { ...flags, allowDelete: false, permissionPolicy };
+
+    expect(allowed(options, ada, 'resolve', annotation)).to.equal(true);
+    expect(allowed(options, { user_id: 2 }, 'resolve', annotation)).to.equal(false);
+    expect(allowed(options, ada, 'reply', annotation, reply)).to.equal(true);
+    expect(calls[2]).to.deep.equal(['reply', ada, annotation, reply]);
+    expect(allowed(options, ada, 'delete-comment', annotation, first)).to.equal(false);
+    expect(calls).to.have.lengthOf(3);
+  });
+});
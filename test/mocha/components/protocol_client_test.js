@@ -0,0 +1,161 @@
+'use strict';
+
+const ProtocolClient = require('../../../src/js/lib/storage/protocol_client'),
+  expect = require('chai').expect;
+
+const CONTAINER = 'https://example.com/annos/';
+
+// In-memory Web Annotation Protocol server: a paged container with ETags and If-Match checks
+const fakeServer = (pageSize = 2) => {
+  const store = new Map(); // iri -> { annotation, version }
+  const requests = [];
+  let created = 0;
+
+  const respond = (status, body = null, headers = {}) =>
+    Promise.resolve({
+      ok: status < 400,
+      status,
+      headers: { get: name => headers[name] || null },
+      text: () => Promise.resolve(body ? JSON.stringify(body) : '')
+    });
+  const etag = iri => `"${store.get(iri).version}"`;
+  const page = index => {
+    const iris = Array.from(store.keys());
+    const items = iris.slice(index * pageSize, (index + 1) * pageSize).map(iri => store.get(iri).annotation);
+    const next = (index + 1) * pageSize < iris.length ? `?page=${index + 1}` : undefined;
+    return { id: `${CONTAINER}?page=${index}`, type: 'AnnotationPage', items, next };
+  };
+
+  const fetch = (url, options) => {
+    const body = options.body && JSON.parse(options.body);
+    const ifMatch = options.headers['If-Match'];
+    requests.push({ url, method: options.method, headers: options.headers, body });
+
+    if (url === CONTAINER && options.method === 'GET') {
+      return respond(200, { id: CONTAINER, type: ['BasicContainer', 'AnnotationCollection'], first: page(0) });
+    }
+    if (url === CONTAINER && options.method === 'POST') {
+      created += 1;
+      const iri = `${CONTAINER}${created}`;
+      store.set(iri, { annotation: { ...body, id: iri }, version: 1 });
+      return respond(201, store.get(iri).annotation, { Location: iri, ETag: etag(iri) });
+    }
+    if (url.indexOf(`${CONTAINER}?page=`) === 0) return respond(200, page(Number(url.split('=')[1])));
+    if (!store.has(url)) return respond(404);
+    if (options.method === 'GET') return respond(200, store.get(url).annotation, { ETag: etag(url) });
+    if (ifMatch !== etag(url)) return respond(412);
+    if (options.method === 'DELETE') {
+      store.delete(url);
+      return respond(204);
+    }
+    store.set(url, { annotation: body, version: store.get(url).version + 1 });
+    return respond(200, body, { ETag: etag(url) });
+  };
+
+  // Simulate another client changing an annotation
+  const touch = iri => {
+    store.get(iri).version += 1;
+  };
+
+  return { fetch, requests, store, touch };
+};
+
+const annotation = (id, extra = {}) => ({ id, type: 'Annotation', body: { type: 'TextualBody', value: id }, ...extra });
+
+describe('protocol client', () => {
+  it('creates annotations and replies, mapping server IRIs back to local ids', () => {
+    const server = fakeServer();
+    const client = new ProtocolClient({ container: CONTAINER, fetch: server.fetch });
+
+    return client
+      .create(annotation('urn:uuid:a1'))
+      .then(saved => {
+        expect(saved.id).to.equal('urn:uuid:a1');
+        expect(server.requests[0].headers.Slug).to.equal('a1');
+        expect(server.requests[0].body.id).to.equal(undefined);
+        expect(server.requests[0].body.canonical).to.equal('urn:uuid:a1');
+        expect(client.iriFor('urn:uuid:a1')).to.equal(`${CONTAINER}1`);
+        return client.create(annotation('urn:uuid:r1', { motivation: 'replying', target: 'urn:uuid:a1' }));
+      })
+      .then(() => {
+        expect(server.store.get(`${CONTAINER}2`).annotation.target).to.equal(`${CONTAINER}1`);
+        return new ProtocolClient({ container: CONTAINER, fetch: server.fetch }).list();
+      })
+      .then(list => {
+        expect(list.map(item => item.id)).to.deep.equal(['urn:uuid:a1', 'urn:uuid:r1']);
+        expect(list[1].target).to.equal('urn:uuid:a1');
+      });
+  });
+
+  it('follows next pages when reading the container', () => {
+    const server = fakeServer(2);
+    const client = new ProtocolClient({ container: CONTAINER, fetch: server.fetch });
+    const ids = ['a', 'b', 'c', 'd', 'e'];
+
+    return ids
+      .reduce((chain, id) => chain.then(() => client.create(annotation(id))), Promise.resolve())
+      .then(() => client.list())
+      .then(list => {
+        expect(list.map(item => item.id)).to.deep.equal(ids);
+        expect(server.requests.filter(req => req.url.indexOf('?page=') !== -1).length).to.equal(2);
+        expect(server.requests[5].headers.Prefer).to.contain('PreferContainedDescriptions');
+      });
+  });
+
+  it('updates and deletes with If-Match, failing with a conflict when changed elsewhere', () => {
+    const server = fakeServer();
+    const client = new ProtocolClient({ container: CONTAINER, fetch: server.fetch });
+    const iri = `${CONTAINER}1`;
+
+    return client
+      .create(annotation('a1'))
+      .then(() => client.update(annotation('a1', { bodyValue: 'changed' })))
+      .then(() => {
+        const put = server.requests[1];
+        expect(put).to.include({ method: 'PUT', url: iri });
+        expect(put.headers['If-Match']).to.equal('"1"');
+        expect(server.store.get(iri).annotation.bodyValue).to.equal('changed');
+        server.touch(iri);
+        return client.delete('a1');
+      })
+      .then(
+        () => expect.fail('should reject'),
+        error => {
+          expect(error.status).to.equal(412);
+          expect(error.conflict).to.equal(true);
+          // The stale ETag was dropped, so a retry reads the current one
+          return client.delete('a1');
+        }
+      )
+      .then(() => {
+        expect(server.store.has(iri)).to.equal(false);
+        expect(client.iriFor('a1')).to.equal(`${CONTAINER}a1`);
+      });
+  });
+
+  it('saves when the server answers a write with a body that is not JSON', () => {
+    const requests = [];
+    const bodies = [['Created', { 'Content-Type': 'text/plain' }], ['<p>Created</p>', {}]];
+    const fetch = (url, options) => {
+      requests.push(options);
+      const [text, headers] = bodies[requests.length - 1];
+      const all = { ...headers, Location: `${CONTAINER}${requests.length}` };
+      return Promise.resolve({
+        ok: true,
+        status: 201,
+        headers: { get: name => all[name] || null },
+        text: () => Promise.resolve(text)
+      });
+    };
+    const client = new ProtocolClient({ container: CONTAINER, fetch });
+
+    return client
+      .create(annotation('a1'))
+      .then(() => client.create(annotation('a2')))
+      .then(saved => {
+        expect(saved.id).to.equal('a2');
+        expect(client.iriFor('a1')).to.equal(`${CONTAINER}1`);
+        expect(client.iriFor('a2')).to.equal(`${CONTAINER}2`);
+      });
+  });
+});
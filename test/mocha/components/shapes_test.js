@@ -0,0 +1,95 @@
+'use strict';
+
+const Shapes = require('../../../src/js/lib/shapes'),
+  expect = require('chai').expect;
+
+describe('shapes', () => {
+  describe('validate', () => {
+    it('keeps fractional coordinates at the drawing precision', () => {
+      const shapes = [
+        { x1: 12.34, y1: 5.5, x2: 40.126, y2: 60 },
+        { type: 'ellipse', x1: 12.34, y1: 5.5, x2: 40.12, y2: 60 },
+        { type: 'arrow', x1: 40.12, y1: 60, x2: 12.34, y2: 5.5 },
+        { type: 'point', x: 12.34, y: '5.5' }
+      ];
+      expect(shapes.map(Shapes.validate)).to.deep.equal([
+        { x1: 12.34, y1: 5.5, x2: 40.13, y2: 60 },
+        { type: 'ellipse', x1: 12.34, y1: 5.5, x2: 40.12, y2: 60 },
+        { type: 'arrow', x1: 40.12, y1: 60, x2: 12.34, y2: 5.5 },
+        { type: 'point', x: 12.34, y: 5.5 }
+      ]);
+      const keyframes = Shapes.validateKeyframes([{ time: 1, shape: shapes[0] }, { time: 2, shape: shapes[3] }]);
+      expect(keyframes.map(kf => kf.shape)).to.deep.equal([Shapes.validate(shapes[0]), Shapes.validate(shapes[3])]);
+      expect(shapes[0].x2).to.equal(40.126); // Validating copies the shape
+    });
+  });
+
+  describe('move and resize', () => {
+    it('moves a shape, stopping at the edges of the frame', () => {
+      const rect = { x1: 10, y1: 10, x2: 30, y2: 20 };
+      expect(Shapes.translate(rect, 5.5, -2)).to.deep.equal({ x1: 15.5, y1: 8, x2: 35.5, y2: 18 });
+      expect(Shapes.translate(rect, 90, -50)).to.deep.equal({ x1: 80, y1: 0, x2: 100, y2: 10 });
+    });
+
+    it('stretches point lists to a new bounding box', () => {
+      const polygon = { type: 'polygon', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }] };
+      const from = Shapes.boundingBox(polygon);
+      const fitted = Shapes.fitToBox(polygon, from, { x1: 20, y1: 20, x2: 40, y2: 25 });
+      expect(fitted.points).to.deep.equal([{ x: 20, y: 20 }, { x: 40, y: 20 }, { x: 20, y: 25 }]);
+    });
+
+    it('keeps boxes normalized but lets arrows flip', () => {
+      const from = { x1: 10, y1: 10, x2: 20, y2: 20 };
+      const flipped = { x1: 20, y1: 10, x2: 5, y2: 20 };
+      expect(Shapes.fitToBox({ ...from, type: 'ellipse' }, from, flipped)).to.deep.equal({
+        type: 'ellipse', x1: 5, y1: 10, x2: 20, y2: 20
+      });
+      expect(Shapes.fitToBox({ ...from, type: 'arrow' }, from, flipped)).to.deep.equal({
+        type: 'arrow', x1: 20, y1: 10, x2: 5, y2: 20
+      });
+    });
+  });
+
+  describe('keyframes', () => {
+    const keyframes = [
+      { time: 10, shape: { x1: 0, y1: 0, x2: 10, y2: 10 } },
+      { time: 20, shape: { x1: 50, y1: 20, x2: 60, y2: 30 } },
+      { time: 30, shape: { type: 'point', x: 5, y: 5 } }
+    ];
+
+    it('interpolates between keyframes of the same type', () => {
+      expect(Shapes.shapeAtTime(keyframes, 15)).to.deep.equal({ x1: 25, y1: 10, x2: 35, y2: 20 });
+    });
+
+    it('holds the first and last shape outside the keyframed span', () => {
+      expect(Shapes.shapeAtTime(keyframes, 2)).to.deep.equal(keyframes[0].shape);
+      expect(Shapes.shapeAtTime(keyframes, 40)).to.deep.equal(keyframes[2].shape);
+    });
+
+    it('steps between keyframes of different types', () => {
+      expect(Shapes.shapeAtTime(keyframes, 29)).to.deep.equal(keyframes[1].shape);
+      expect(Shapes.shapeAtTime(keyframes, 30)).to.deep.equal(keyframes[2].shape);
+    });
+
+    it('interpolates arrays of shapes shape by shape', () => {
+      const from = [keyframes[0].shape, { type: 'point', x: 0, y: 0 }];
+      const to = [keyframes[1].shape, { type: 'point', x: 10, y: 20 }];
+      expect(Shapes.interpolate(from, to, 0.5)).to.deep.equal([
+        { x1: 25, y1: 10, x2: 35, y2: 20 },
+        { type: 'point', x: 5, y: 10 }
+      ]);
+      expect(Shapes.interpolate(from, to.slice(1), 0.5)).to.equal(from);
+    });
+
+    it('sorts keyframes and drops invalid ones', () => {
+      const valid = Shapes.validateKeyframes([
+        keyframes[1],
+        { time: 'x', shape: keyframes[0].shape },
+        { time: 12, shape: { type: 'polygon', points: [] } },
+        keyframes[0]
+      ]);
+      expect(valid.map(kf => kf.time)).to.deep.equal([10, 20]);
+      expect(Shapes.validateKeyframes([])).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const StorageAdapter = require('../../../src/js/lib/storage/storage_adapter'),
+  LocalStorageAdapter = require('../../../src/js/lib/storage/local_storage_adapter'),
+  RestAdapter = require('../../../src/js/lib/storage/rest_adapter'),
+  expect = require('chai').expect;
+
+// Minimal stand-in for window.localStorage
+const fakeStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const annotation = { id: 'a1', type: 'Annotation', body: [{ type: 'TextualBody', value: 'Hi' }], target: {} };
+
+describe('storage adapters', () => {
+  it('recognizes adapters by interface', () => {
+    expect(StorageAdapter.isAdapter(new LocalStorageAdapter({ storage: fakeStorage() }))).to.equal(true);
+    expect(StorageAdapter.isAdapter({ load() {} })).to.equal(false);
+    expect(StorageAdapter.isAdapter(null)).to.equal(false);
+  });
+
+  it('LocalStorageAdapter stores annotations and replies, deleting replies with their annotation', () => {
+    const adapter = new LocalStorageAdapter({ key: 'test', storage: fakeStorage() });
+    return adapter
+      .create(annotation)
+      .then(() => adapter.reply('a1', { id: 'r1', type: 'Annotation', motivation: 'replying' }))
+      .then(reply => {
+        expect(reply.target).to.equal('a1');
+        return adapter.update({ ...annotation, body: [] });
+      })
+      .then(() => adapter.load())
+      .then(list => {
+        expect(list.map(item => item.id)).to.deep.equal(['a1', 'r1']);
+        expect(list[0].body).to.deep.equal([]);
+        return adapter.delete('a1');
+      })
+      .then(() => adapter.load())
+      .then(list => expect(list).to.deep.equal([]));
+  });
+
+  it('LocalStorageAdapter deletes the replies to a reply with it', () => {
+    const adapter = new LocalStorageAdapter({ key: 'test', storage: fakeStorage() });
+    const reply = (id, target) => ({ id, type: 'Annotation', motivation: 'replying', ...(target ? { target } : {}) });
+    return adapter
+      .create(annotation)
+      .then(() => adapter.reply('a1', reply('r1')))
+      .then(() => adapter.reply('a1', reply('r2', 'r1')))
+      .then(() => adapter.reply('a1', reply('r3', 'r2')))
+      .then(() => adapter.reply('a1', reply('r4')))
+      .then(() => adapter.load())
+      .then(list => {
+        expect(list.map(item => item.target)).to.deep.equal([{}, 'a1', 'r1', 'r2', 'a1']);
+        return adapter.delete('r1');
+      })
+      .then(() => adapter.load())
+      .then(list => expect(list.map(item => item.id)).to.deep.equal(['a1', 'r4']));
+  });
+
+  it('RestAdapter stores replies as annotations targeting their parent', () => {
+    const calls = [];
+    const adapter = new RestAdapter({ endpoint: 'https://example.com/annos/', fetch: () => Promise.reject() });
+    adapter.client.create = item => {
+      calls.push(item);
+      return Promise.resolve(item);
+    };
+    return adapter.reply('a1', { id: 'r1', type: 'Annotation', motivation: 'replying' }).then(reply => {
+      expect(reply).to.deep.equal(calls[0]);
+      expect(reply.target).to.equal('a1');
+    });
+  });
+});
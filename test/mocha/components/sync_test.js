@@ -0,0 +1,112 @@
+'use strict';
+
+const Transport = require('../../../src/js/lib/sync/transport'),
+  LocalTransport = require('../../../src/js/lib/sync/local_transport'),
+  BroadcastChannelTransport = require('../../../src/js/lib/sync/broadcast_channel_transport'),
+  WebSocketTransport = require('../../../src/js/lib/sync/websocket_transport'),
+  expect = require('chai').expect;
+
+// Wait for messages delivered asynchronously
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Minimal stand-in for a WebSocket
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.handlers = {};
+  }
+  addEventListener(type, handler) {
+    this.handlers[type] = handler;
+  }
+  send(data) {
+    this.sent.push(data);
+  }
+  close() {
+    this.readyState = 3;
+  }
+  open() {
+    this.readyState = 1;
+    this.handlers.open();
+  }
+  message(data) {
+    this.handlers.message({ data });
+  }
+}
+
+describe('sync transports', () => {
+  it('recognizes transports by interface', () => {
+    const transport = new LocalTransport('check');
+    expect(Transport.isTransport(transport)).to.equal(true);
+    expect(Transport.isTransport({ send() {} })).to.equal(false);
+    transport.close();
+  });
+
+  it('LocalTransport delivers copies to the other transports on a channel', () => {
+    const a = new LocalTransport('room');
+    const b = new LocalTransport('room');
+    const other = new LocalTransport('other-room');
+    const received = { a: [], b: [], other: [] };
+    a.onMessage(m => received.a.push(m));
+    b.onMessage(m => received.b.push(m));
+    other.onMessage(m => received.other.push(m));
+
+    const message = { type: 'presence', annotationId: 'a1' };
+    a.send(message);
+    return tick().then(() => {
+      expect(received.a).to.deep.equal([]);
+      expect(received.other).to.deep.equal([]);
+      expect(received.b).to.deep.equal([message]);
+      expect(received.b[0]).to.not.equal(message);
+      b.close();
+      a.send(message);
+      return tick();
+    }).then(() => {
+      expect(received.b).to.have.length(1);
+      a.close();
+      other.close();
+    });
+  });
+
+  it('BroadcastChannelTransport posts and receives messages on a named channel', () => {
+    let channel;
+    class FakeChannel {
+      constructor(name) {
+        this.name = name;
+        this.posted = [];
+        channel = this;
+      }
+      postMessage(message) {
+        this.posted.push(message);
+      }
+      close() {}
+    }
+    const transport = new BroadcastChannelTransport('review', FakeChannel);
+    const received = [];
+    transport.onMessage(m => received.push(m));
+
+    transport.send({ type: 'hello' });
+    channel.onmessage({ data: { type: 'leave' } });
+    expect(channel.name).to.equal('review');
+    expect(channel.posted).to.deep.equal([{ type: 'hello' }]);
+    expect(received).to.deep.equal([{ type: 'leave' }]);
+  });
+
+  it('WebSocketTransport queues messages until open and ignores non-JSON frames', () => {
+    const transport = new WebSocketTransport({ url: 'wss://example.com/review', WebSocket: FakeSocket });
+    const { socket } = transport;
+    const received = [];
+    transport.onMessage(m => received.push(m));
+
+    transport.send({ type: 'hello' });
+    expect(socket.sent).to.deep.equal([]);
+    socket.open();
+    transport.send({ type: 'presence', annotationId: null });
+    expect(socket.sent.map(data => JSON.parse(data).type)).to.deep.equal(['hello', 'presence']);
+
+    socket.message('ping');
+    socket.message('{"type":"leave"}');
+    expect(received).to.deep.equal([{ type: 'leave' }]);
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const UndoHistory = require('../../../src/js/lib/undo_history'),
+  expect = require('chai').expect;
+
+// A value changed through recorded steps
+const counter = history => {
+  const state = { value: 0 };
+  state.set = (value, mergeKey = null, now = 0) => {
+    const previous = state.value;
+    state.value = value;
+    history.record(
+      { label: `Set ${value}`, mergeKey, undo: () => state.set(previous), redo: () => state.set(value) },
+      now
+    );
+  };
+  return state;
+};
+
+describe('UndoHistory', () => {
+  it('undoes and redoes steps in order, ignoring steps recorded while applying them', () => {
+    let changes = 0;
+    const history = new UndoHistory({ onChange: () => (changes += 1) });
+    const state = counter(history);
+    state.set(1);
+    state.set(2);
+
+    expect(history.undoLabel).to.equal('Set 2');
+    expect(history.undo().label).to.equal('Set 2');
+    expect(state.value).to.equal(1);
+    expect(history.undo().label).to.equal('Set 1');
+    expect(state.value).to.equal(0);
+    expect(history.undo()).to.equal(null);
+    expect(history.canUndo).to.equal(false);
+
+    history.redo();
+    expect(state.value).to.equal(1);
+    expect(history.redoLabel).to.equal('Set 2');
+    expect(changes).to.equal(5);
+  });
+
+  it('clears the redo stack when a new step is recorded', () => {
+    const history = new UndoHistory();
+    const state = counter(history);
+    state.set(1);
+    history.undo();
+    state.set(5);
+    expect(history.canRedo).to.equal(false);
+    history.undo();
+    expect(state.value).to.equal(0);
+  });
+
+  it('merges steps with the same mergeKey within the merge window', () => {
+    const history = new UndoHistory({ mergeWindow: 100 });
+    const state = counter(history);
+    state.set(1, 'drag', 0);
+    state.set(2, 'drag', 50);
+    state.set(3, 'drag', 140);
+    state.set(4, 'drag', 300);
+    state.set(5, null, 310);
+
+    history.undo();
+    expect(state.value).to.equal(4);
+    history.undo();
+    expect(state.value).to.equal(3);
+    history.undo();
+    expect(state.value).to.equal(0);
+    history.redo();
+    expect(state.value).to.equal(3);
+
+    // A redone step doesn't merge with the next one
+    state.set(6, 'drag', 320);
+    history.undo();
+    expect(state.value).to.equal(3);
+  });
+
+  it('keeps at most the step limit', () => {
+    const history = new UndoHistory({ limit: 2 });
+    const state = counter(history);
+    [1, 2, 3].forEach(value => state.set(value));
+    history.undo();
+    history.undo();
+    expect(history.canUndo).to.equal(false);
+    expect(state.value).to.equal(1);
+  });
+});
@@ -0,0 +1,280 @@
+'use strict';
+
+const { toW3C, fromW3C, toW3CCollection, fromW3CCollection } = require('../../../src/js/lib/w3c'),
+  Shapes = require('../../../src/js/lib/shapes'),
+  expect = require('chai').expect;
+
+const comment = {
+  id: 'c1',
+  body: 'Look here',
+  meta: { datetime: '2017-03-28T19:17:32.238Z', user_id: 1, user_name: 'Alex Ackerman' }
+};
+
+describe('w3c', () => {
+  describe('shapes', () => {
+    it('keeps rectangles in the media fragment', () => {
+      const internal = {
+        id: 'a1',
+        range: { start: 5, end: 10 },
+        shape: { x1: 10, y1: 20, x2: 30, y2: 60 },
+        comments: [comment]
+      };
+      const w3c = toW3C(internal, 'video.mp4');
+
+      expect(w3c.target.selector.type).to.equal('FragmentSelector');
+      expect(w3c.target.selector.value).to.equal('t=5,10&xywh=percent:10,20,20,40');
+      expect(w3c.target.selector.refinedBy).to.be.undefined;
+      expect(fromW3C(w3c).shape).to.deep.equal(internal.shape);
+    });
+
+    it('round-trips fractional coordinates of validated shapes', () => {
+      const shape = Shapes.validate({ type: 'ellipse', x1: 12.34, y1: 9.87, x2: 56.78, y2: 43.21 });
+      const internal = { id: 'a1', range: { start: 1, end: 2 }, shape, comments: [comment] };
+      expect(Shapes.validate(fromW3C(toW3C(internal, 'video.mp4')).shape)).to.deep.equal(shape);
+
+      const rect = Shapes.validate({ x1: 12.34, y1: 9.87, x2: 56.78, y2: 43.21 });
+      expect(Shapes.validate(fromW3C(toW3C({ ...internal, shape: rect }, 'video.mp4')).shape)).to.deep.equal(rect);
+    });
+
+    it('round-trips a polygon as an SvgSelector refining the time fragment', () => {
+      const shape = {
+        type: 'polygon',
+        points: [
+          { x: 10, y: 10 },
+          { x: 50.5, y: 12 },
+          { x: 30, y: 44.25 }
+        ]
+      };
+      const w3c = toW3C({ id: 'a1', range: { start: 5, end: 10 }, shape, comments: [comment] });
+
+      expect(w3c.target.selector.value).to.equal('t=5,10');
+      expect(w3c.target.selector.refinedBy.type).to.equal('SvgSelector');
+      expect(w3c.target.selector.refinedBy.value).to.contain('<polygon points="10,10 50.5,12 30,44.25">');
+
+      const internal = fromW3C(w3c);
+      expect(internal.range).to.deep.equal({ start: 5, end: 10 });
+      expect(internal.shape).to.deep.equal(shape);
+    });
+
+    it('round-trips a freehand outline as an SVG path', () => {
+      const shape = {
+        type: 'freehand',
+        points: [
+          { x: 1, y: 2 },
+          { x: 3, y: 4 },
+          { x: 5, y: 2 }
+        ]
+      };
+      const w3c = toW3C({ id: 'a1', range: { start: 1 }, shape, comments: [comment] });
+
+      expect(w3c.target.selector.refinedBy.value).to.contain('<path d="M1 2 L3 4 L5 2 Z">');
+      expect(fromW3C(w3c).shape).to.deep.equal(shape);
+    });
+
+    it('round-trips ellipses, arrows and points as SvgSelectors', () => {
+      const shapes = [
+        { type: 'ellipse', x1: 10, y1: 20, x2: 30, y2: 60 },
+        { type: 'arrow', x1: 80, y1: 70, x2: 40.5, y2: 20 },
+        { type: 'point', x: 12.5, y: 88 }
+      ];
+      const elements = ['<ellipse cx="20" cy="40" rx="10" ry="20">', '<line x1="80"', '<circle cx="12.5" cy="88" r="0">'];
+
+      shapes.forEach((shape, i) => {
+        const w3c = toW3C({ id: 'a1', range: { start: 1 }, shape, comments: [comment] });
+        expect(w3c.target.selector.value).to.equal('t=1');
+        expect(w3c.target.selector.refinedBy.value).to.contain(elements[i]);
+        expect(fromW3C(w3c).shape).to.deep.equal(shape);
+      });
+    });
+
+    it('round-trips keyframes as a list of selectors', () => {
+      const keyframes = [
+        { time: 5, shape: { x1: 10, y1: 10, x2: 20, y2: 20 } },
+        { time: 8, shape: { type: 'ellipse', x1: 40, y1: 10, x2: 60, y2: 20 } }
+      ];
+      const w3c = toW3C({ id: 'a1', range: { start: 5, end: 10 }, shape: keyframes[0].shape, keyframes, comments: [comment] });
+
+      expect(w3c.keyframes.map(s => s.value)).to.deep.equal(['t=5&xywh=percent:10,10,10,10', 't=8']);
+      expect(w3c.keyframes[1].refinedBy.type).to.equal('SvgSelector');
+      expect(fromW3C(w3c).keyframes).to.deep.equal(keyframes);
+    });
+
+    it('exports several shapes as one target per shape', () => {
+      const shape = [
+        { x1: 10, y1: 20, x2: 30, y2: 60 },
+        { type: 'point', x: 50, y: 50 }
+      ];
+      const w3c = toW3C({ id: 'a1', range: { start: 5, end: 10 }, shape, comments: [comment] }, 'video.mp4');
+
+      expect(w3c.target).to.have.length(2);
+      expect(w3c.target[0].source).to.equal('video.mp4');
+      expect(w3c.target[0].selector.value).to.equal('t=5,10&xywh=percent:10,20,20,40');
+      expect(w3c.target[1].selector.refinedBy.value).to.contain('<circle cx="50" cy="50" r="0">');
+
+      const internal = fromW3C(w3c);
+      expect(internal.range).to.deep.equal({ start: 5, end: 10 });
+      expect(internal.shape).to.deep.equal(shape);
+    });
+
+    it('reads every element of an SvgSelector as a shape', () => {
+      const keyframes = [{ time: 2, shape: [{ x1: 1, y1: 1, x2: 2, y2: 2 }, { type: 'point', x: 5, y: 5 }] }];
+      const w3c = toW3C({ id: 'a1', range: { start: 2 }, shape: keyframes[0].shape, keyframes, comments: [comment] });
+
+      expect(w3c.keyframes[0].value).to.equal('t=2');
+      expect(fromW3C(w3c).keyframes).to.deep.equal(keyframes);
+    });
+
+    it('ignores SVG paths with curves', () => {
+      const w3c = toW3C({ id: 'a1', range: { start: 1 }, shape: null, comments: [comment] });
+      w3c.target.selector.refinedBy = {
+        type: 'SvgSelector',
+        value: '<svg><path d="M1 2 C3 4 5 6 7 8 Z"/></svg>'
+      };
+      expect(fromW3C(w3c).shape).to.equal(null);
+    });
+  });
+
+  describe('importing', () => {
+    const annotation = target => ({ id: 'x1', type: 'Annotation', body: 'Look here', target });
+    const importWith = (target, options = {}) => {
+      const issues = [];
+      const internal = fromW3C(annotation(target), null, { ...options, onIssue: issue => issues.push(issue) });
+      return { internal, issues };
+    };
+
+    it('reads media fragments of IRIs in npt, clock and smpte times and pixel regions', () => {
+      const npt = importWith('video.mp4#t=npt:01:02:03.5,1:02:05');
+      expect(npt.internal.range).to.deep.equal({ start: 3723.5, end: 3725 });
+      expect(importWith({ id: 'video.mp4#t=,4' }).internal.range).to.deep.equal({ start: 0, end: 4 });
+      expect(importWith('video.mp4#t=smpte-25:00:00:10:05').internal.range).to.deep.equal({ start: 10.2 });
+
+      const { internal } = importWith('video.mp4#t=2&xywh=pixel:160,90,320,180', { videoWidth: 640, videoHeight: 360 });
+      expect(internal.shape).to.deep.equal({ x1: 25, y1: 25, x2: 75, y2: 75 });
+      const unsized = importWith('video.mp4#t=2&xywh=160,90,320,180');
+      expect(unsized.internal.shape).to.equal(null);
+      expect(unsized.issues[0]).to.deep.equal({
+        id: 'x1',
+        message: "Spatial fragment 'xywh=160,90,320,180' is in pixels, and the video size is not known",
+        skipped: false
+      });
+    });
+
+    it('reads alternative selectors, refinedBy chains and SVG viewBoxes', () => {
+      const svg = {
+        type: 'SvgSelector',
+        value: '<svg viewBox="0 0 640 360"><rect x="64" y="36" width="320" height="180"/></svg>'
+      };
+      const alternatives = importWith({
+        source: 'video.mp4',
+        selector: [{ type: 'TextQuoteSelector', exact: 'x' }, { type: 'FragmentSelector', value: 't=3' }, svg]
+      });
+      expect(alternatives.internal.range).to.deep.equal({ start: 3 });
+      expect(alternatives.internal.shape).to.deep.equal({ x1: 10, y1: 10, x2: 60, y2: 60 });
+      expect(alternatives.issues).to.deep.equal([]);
+
+      const refined = importWith({
+        source: 'video.mp4',
+        selector: {
+          type: 'FragmentSelector',
+          value: 't=10,20&xywh=percent:50,50,50,50',
+          refinedBy: { type: 'FragmentSelector', value: 't=2,4', refinedBy: svg }
+        }
+      });
+      expect(refined.internal.range).to.deep.equal({ start: 12, end: 14 });
+      expect(refined.internal.shape).to.deep.equal({ x1: 55, y1: 55, x2: 80, y2: 80 });
+    });
+
+    it('covers the time ranges and shapes of every target', () => {
+      const { internal } = importWith([
+        { source: 'video.mp4', selector: { type: 'FragmentSelector', value: 't=5,8&xywh=percent:0,0,10,10' } },
+        'video.mp4#t=2,6&xywh=percent:50,50,10,10'
+      ]);
+      expect(internal.range).to.deep.equal({ start: 2, end: 8 });
+      expect(internal.shape).to.deep.equal([{ x1: 0, y1: 0, x2: 10, y2: 10 }, { x1: 50, y1: 50, x2: 60, y2: 60 }]);
+    });
+
+    it('reports and skips annotations without a time it can read', () => {
+      const issues = [];
+      const collection = [
+        annotation('video.mp4#t=clock:2024-01-01T10:00:00Z'),
+        { ...annotation('video.mp4#t=1'), id: 'x2' }
+      ];
+      const imported = fromW3CCollection(collection, null, { onIssue: issue => issues.push(issue) });
+
+      expect(imported.map(a => a.id)).to.deep.equal(['x2']);
+      expect(issues.map(issue => issue.message)).to.deep.equal([
+        "Time fragment 't=clock:2024-01-01T10:00:00Z': wall-clock time is not supported",
+        'Annotation has no time fragment that can be read'
+      ]);
+      expect(issues.every(issue => issue.id === 'x1' && issue.skipped)).to.equal(true);
+      const external = importWith({ source: 'video.mp4', selector: { type: 'SvgSelector', id: 'shapes.svg' } });
+      expect(external.internal).to.equal(null);
+    });
+  });
+
+  it('round-trips ids through the idPrefix', () => {
+    const reply = { ...comment, id: 'c2' };
+    const internal = { id: 'a1', range: { start: 1 }, shape: null, comments: [comment, reply] };
+    const collection = toW3CCollection([internal], 'video.mp4', 'urn:uuid:');
+
+    expect(collection.map(item => item.id)).to.deep.equal(['urn:uuid:a1', 'urn:uuid:c2']);
+    expect(collection[1].target).to.equal('urn:uuid:a1');
+
+    const [restored] = fromW3CCollection(collection, 'urn:uuid:');
+    expect(restored.id).to.equal('a1');
+    expect(restored.comments[1].id).to.equal('c2');
+  });
+
+  it('round-trips threads as replies targeting the comment they reply to', () => {
+    const reply = (id, parentId) => ({ ...comment, id, ...(parentId ? { parentId } : {}) });
+    const internal = {
+      id: 'a1',
+      range: { start: 1 },
+      shape: null,
+      comments: [comment, reply('c2'), reply('c3', 'c2'), reply('c4', 'c3'), reply('c5')]
+    };
+    const collection = toW3CCollection([internal], 'video.mp4', 'urn:uuid:');
+    expect(collection.slice(1).map(item => item.target)).to.deep.equal([
+      'urn:uuid:a1',
+      'urn:uuid:c2',
+      'urn:uuid:c3',
+      'urn:uuid:a1'
+    ]);
+
+    // Replies may come in any order
+    const [restored] = fromW3CCollection(collection.slice().reverse(), 'urn:uuid:');
+    expect(restored.comments.map(c => [c.id, c.parentId])).to.deep.equal([
+      [null, undefined],
+      ['c5', undefined],
+      ['c4', 'c3'],
+      ['c3', 'c2'],
+      ['c2', undefined]
+    ]);
+  });
+
+  it('keeps when comments were edited as modified', () => {
+    const edited = { ...comment, meta: { ...comment.meta, modified: '2017-03-29T08:00:00.000Z' } };
+    const reply = { ...edited, id: 'c2', meta: { ...edited.meta, modified: '2017-03-30T08:00:00.000Z' } };
+    const collection = toW3CCollection([{ id: 'a1', range: { start: 1 }, shape: null, comments: [edited, reply] }]);
+    expect(collection.map(item => item.modified)).to.deep.equal(['2017-03-29T08:00:00.000Z', '2017-03-30T08:00:00.000Z']);
+
+    const [restored] = fromW3CCollection(collection);
+    expect(restored.comments.map(c => c.meta.modified)).to.deep.equal(collection.map(item => item.modified));
+    const unedited = toW3C({ id: 'a2', range: { start: 1 }, shape: null, comments: [comment] });
+    expect(unedited).not.to.have.property('modified');
+    expect(fromW3C(unedited).comments[0].meta).not.to.have.property('modified');
+  });
+
+  it('keeps the status and status entries', () => {
+    const entry = { ...comment, id: 'c2', body: 'Changed the status to Resolved', status: 'resolved' };
+    const w3c = toW3CCollection([{ id: 'a1', range: { start: 1 }, shape: null, status: 'resolved', comments: [comment, entry] }]);
+    expect(w3c.map(item => item.status)).to.deep.equal(['resolved', 'resolved']);
+
+    const [restored] = fromW3CCollection(w3c);
+    expect(restored.status).to.equal('resolved');
+    expect(restored.comments.map(c => c.status)).to.deep.equal([undefined, 'resolved']);
+    expect(toW3C({ id: 'a2', range: { start: 1 }, shape: null, status: 'open', comments: [comment] })).not.to.have.property(
+      'status'
+    );
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { toWebVTT, fromWebVTT, fillTextTrack, formatTimestamp, parseTimestamp } = require('../../../src/js/lib/formats/webvtt'),
+  expect = require('chai').expect;
+
+const annotations = [
+  {
+    id: 'a1',
+    range: { start: 10.5, end: 15 },
+    shape: { x1: 10, y1: 20, x2: 50, y2: 60 },
+    markerClass: null,
+    annotationType: 'issue',
+    comments: [
+      { id: 'c1', meta: { datetime: '2024-01-01T00:00:00.000Z', user_id: 1, user_name: 'Alex <QC>' }, body: 'Flicker --> here' },
+      { id: 'c2', meta: { datetime: '2024-01-02T00:00:00.000Z', user_id: 2, user_name: 'Sam' }, body: 'Fixed\n\nin v2' }
+    ]
+  },
+  {
+    id: 'a2',
+    range: { start: 3725 },
+    shape: null,
+    keyframes: [{ time: 3725, shape: { type: 'point', x: 5, y: 5 } }],
+    markerClass: 'urgent',
+    annotationType: null,
+    comments: [{ id: 'c3', meta: { datetime: '2024-01-03T00:00:00.000Z', user_id: null, user_name: null }, body: 'A & B' }]
+  }
+];
+
+describe('WebVTT', () => {
+  it('formats and parses timestamps', () => {
+    expect(formatTimestamp(3725.25)).to.equal('01:02:05.250');
+    expect(parseTimestamp('01:02:05.250')).to.equal(3725.25);
+    expect(parseTimestamp('02:05.250')).to.equal(125.25);
+  });
+
+  it('exports cues with voice spans, shape cue settings and a JSON payload', () => {
+    const vtt = toWebVTT(annotations);
+    const lines = vtt.split('\n');
+    expect(lines[0]).to.equal('WEBVTT');
+    expect(vtt).to.contain(
+      'a1\n00:00:10.500 --> 00:00:15.000 position:10% line:20% size:40% align:start\n' +
+        '<v Alex &lt;QC&gt;>Flicker --&gt; here</v>\n<v Sam>Fixed\nin v2</v>'
+    );
+    // A single point in time lasts a second, and comments without a user get a voice anyway
+    expect(vtt).to.contain('a2\n01:02:05.000 --> 01:02:06.000\n<v Anonymous>A &amp; B</v>');
+    // Only the cue timing lines contain '-->'
+    expect(lines.filter(line => line.indexOf('-->') !== -1)).to.have.length(2);
+  });
+
+  it('round-trips annotations through its own export', () => {
+    const imported = fromWebVTT(toWebVTT(annotations));
+    expect(imported[0]).to.deep.equal({ ...annotations[0], comments: [annotations[0].comments[0], { ...annotations[0].comments[1], body: 'Fixed\nin v2' }] });
+    expect(imported[1]).to.deep.equal(annotations[1]);
+  });
+
+  it('imports cues from other tools, one comment per voice', () => {
+    const vtt = [
+      'WEBVTT - QC notes',
+      '',
+      'STYLE',
+      '::cue { color: yellow }',
+      '',
+      'NOTE checked by the night shift',
+      '',
+      '00:01.000 --> 00:04.000 line:0',
+      '<v.loud Ann>Audio <b>drops</b></v><v Bo>Confirmed',
+      '',
+      'cue-2',
+      '00:00:05.000 --> 00:00:06.500',
+      'Plain caption text'
+    ].join('\r\n');
+    const [first, second] = fromWebVTT(vtt);
+
+    expect(first.range).to.deep.equal({ start: 1, end: 4 });
+    expect(first.shape).to.equal(null);
+    expect(first.comments.map(c => [c.meta.user_name, c.body])).to.deep.equal([['Ann', 'Audio drops'], ['Bo', 'Confirmed']]);
+    expect(first.comments[0].meta.datetime < first.comments[1].meta.datetime).to.equal(true);
+    expect(second.id).to.equal('cue-2');
+    expect(second.comments[0].body).to.equal('Plain caption text');
+    expect(() => fromWebVTT('1\n00:00:01,000 --> 00:00:02,000\nSRT')).to.throw('Not a WebVTT file');
+  });
+
+  it('fills a native text track with cues', () => {
+    class FakeCue {
+      constructor(startTime, endTime, text) {
+        Object.assign(this, { startTime, endTime, text });
+      }
+    }
+    const track = { cues: [], addCue: cue => track.cues.push(cue) };
+    const player = {
+      addTextTrack: (kind, label, language) => Object.assign(track, { kind, label, language })
+    };
+
+    expect(fillTextTrack(player, annotations, { label: 'QC' }, FakeCue)).to.equal(track);
+    expect(track).to.include({ kind: 'metadata', label: 'QC' });
+    expect(track.cues[0]).to.include({ id: 'a1', startTime: 10.5, endTime: 15, line: 20, position: 10, size: 40, snapToLines: false });
+    expect(track.cues[1]).to.include({ id: 'a2', startTime: 3725, endTime: 3726 });
+    expect(track.cues[1].line).to.equal(undefined);
+  });
+});
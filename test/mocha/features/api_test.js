@@ -223,8 +223,8 @@ describe('external event-based API', () => {
         plugin.onReady(() => {
           player.play().then(() => {
             plugin.annotationState.openAnnotationById(2);
-            $('a.vac-delete-annotation').click();
-            $('a.vac-delete-confirm').click();
+            $('.vac-delete-annotation').click();
+            $('.vac-delete-confirm').click();
           });
         });
       });